@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+// Headless report generation for cron jobs and build boxes. Reads Harvest CSV exports and
+// prints the same weekly utilization, alerts, shoutouts and client/project totals the app
+// shows, using the app's own analytics module so the numbers always match.
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import Papa from 'papaparse';
+import {
+  validateCsvFile,
+  countIssues,
+  mergeCsvFiles,
+  buildReport,
+  REPORT_SECTIONS,
+  DATE_FORMATS,
+  WEEK_STARTS,
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  parseSettingsProfile,
+  parseHolidayCalendar,
+  mergeHolidays,
+  parseLocalDate,
+  startOfDay,
+  endOfDay,
+  formatSheetAsMarkdown
+} from '../src/analytics/index.js';
+
+const FORMATS = { json: 'json', csv: 'csv', markdown: 'md' };
+
+const USAGE = `Usage: harvest-analyze [options] <export.csv>...
+
+Options:
+  --settings <file>        Settings profile exported from the app (internal clients, thresholds)
+  --internal <client>      Treat this client as internal; repeat for several (replaces the profile's list)
+  --standard-hours <n>     Standard weekly hours
+  --low <n>                Alert when a week has fewer hours than this
+  --high <n>               Alert when a week has more hours than this
+  --holidays <file>        Holiday calendar (ICS or CSV) to add to the profile's; repeat for several
+  --week-start <day>       monday or sunday
+  --date-format <format>   ${DATE_FORMATS.map(({ id }) => id).join(', ')} (default: auto)
+  --from <yyyy-mm-dd>      Only include entries on or after this date
+  --to <yyyy-mm-dd>        Only include entries on or before this date
+  --report <section>       ${REPORT_SECTIONS.join(', ')}; repeat for several (default: all)
+  --format <format>        ${Object.keys(FORMATS).join(', ')} (default: markdown)
+  --out-dir <dir>          Write one file per section instead of printing to stdout
+  -h, --help               Show this help`;
+
+class UsageError extends Error {}
+
+const parseHours = (value, flag) => {
+  if (value === undefined) return undefined;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new UsageError(`${flag} expects a number of hours, got "${value}"`);
+  }
+  return hours;
+};
+
+const parseDateOption = (value, flag) => {
+  if (value === undefined) return null;
+  const date = parseLocalDate(value);
+  if (!date) throw new UsageError(`${flag} expects a date as yyyy-mm-dd, got "${value}"`);
+  return date;
+};
+
+const parseOptions = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      settings: { type: 'string' },
+      internal: { type: 'string', multiple: true },
+      'standard-hours': { type: 'string' },
+      low: { type: 'string' },
+      high: { type: 'string' },
+      holidays: { type: 'string', multiple: true },
+      'week-start': { type: 'string' },
+      'date-format': { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      report: { type: 'string', multiple: true },
+      format: { type: 'string', default: 'markdown' },
+      'out-dir': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length === 0) throw new UsageError('No CSV files given');
+  if (!FORMATS[values.format]) throw new UsageError(`Unknown format "${values.format}"`);
+
+  const sections = values.report || REPORT_SECTIONS;
+  const unknown = sections.filter(section => !REPORT_SECTIONS.includes(section));
+  if (unknown.length > 0) throw new UsageError(`Unknown report section "${unknown[0]}"`);
+
+  let weekStartsOn;
+  if (values['week-start'] !== undefined) {
+    const weekStart = WEEK_STARTS.find(({ label }) => label.toLowerCase() === values['week-start'].toLowerCase());
+    if (!weekStart) throw new UsageError(`--week-start expects monday or sunday, got "${values['week-start']}"`);
+    weekStartsOn = weekStart.id;
+  }
+  if (values['date-format'] !== undefined && !DATE_FORMATS.some(({ id }) => id === values['date-format'])) {
+    throw new UsageError(`Unknown date format "${values['date-format']}"`);
+  }
+
+  const from = parseDateOption(values.from, '--from');
+  const to = parseDateOption(values.to, '--to');
+  if (from && to && from > to) throw new UsageError('--from is after --to');
+
+  if (values.format === 'csv' && sections.length > 1 && !values['out-dir']) {
+    throw new UsageError('CSV holds one table; pick a single --report or use --out-dir');
+  }
+
+  return {
+    files: positionals,
+    settingsFile: values.settings,
+    internal: values.internal,
+    standardWeeklyHours: parseHours(values['standard-hours'], '--standard-hours'),
+    lowHoursThreshold: parseHours(values.low, '--low'),
+    highHoursThreshold: parseHours(values.high, '--high'),
+    weekStartsOn,
+    dateFormat: values['date-format'],
+    holidayFiles: values.holidays || [],
+    dateRange: from || to ? { start: from ? startOfDay(from) : null, end: to ? endOfDay(to) : null } : null,
+    sections,
+    format: values.format,
+    outDir: values['out-dir']
+  };
+};
+
+const loadSettings = async (options) => {
+  let settings = DEFAULT_SETTINGS;
+  if (options.settingsFile) {
+    try {
+      settings = parseSettingsProfile(await readFile(options.settingsFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read settings profile ${options.settingsFile}: ${error.message}`);
+    }
+  }
+
+  const overrides = {};
+  if (options.internal) overrides.internalClients = options.internal.map(pattern => ({ pattern, match: 'exact' }));
+  ['standardWeeklyHours', 'lowHoursThreshold', 'highHoursThreshold', 'weekStartsOn', 'dateFormat'].forEach(key => {
+    if (options[key] !== undefined) overrides[key] = options[key];
+  });
+  let holidays = settings.holidays;
+  for (const file of options.holidayFiles) {
+    try {
+      holidays = mergeHolidays(holidays, parseHolidayCalendar(await readFile(file, 'utf8')).holidays);
+    } catch (error) {
+      throw new Error(`Could not read holiday calendar ${file}: ${error.message}`);
+    }
+  }
+  overrides.holidays = holidays;
+  return normalizeSettings({ ...settings, ...overrides });
+};
+
+// Same Papa options as the in-browser import, so both see identical rows
+const parseFile = async (file, dateFormat) => {
+  const text = await readFile(file, 'utf8');
+  const results = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: (header) => header.trim()
+  });
+  return validateCsvFile({ fileName: path.basename(file), ...results }, { dateFormat });
+};
+
+const count = (n, singular, plural = `${singular}s`) => `${n} ${n === 1 ? singular : plural}`;
+
+const describeIssues = (diagnostics) => {
+  const parts = [];
+  if (diagnostics.missingColumns.length > 0) parts.push(`missing columns ${diagnostics.missingColumns.join(', ')}`);
+  if (diagnostics.parseErrors.length > 0) parts.push(count(diagnostics.parseErrors.length, 'parse error'));
+  if (diagnostics.skippedRows.length > 0) parts.push(`${count(diagnostics.skippedRows.length, 'row')} skipped`);
+  if (diagnostics.invalidHours.length > 0) parts.push(`${count(diagnostics.invalidHours.length, 'invalid hours value')} counted as 0`);
+  if (diagnostics.unknownBillable.length > 0) parts.push(count(diagnostics.unknownBillable.length, 'unknown billable flag'));
+  return parts.join(', ');
+};
+
+const sheetToRecords = (sheet) => sheet.rows.map(row => Object.fromEntries(sheet.columns.map((column, i) => [column, row[i]])));
+
+const sheetFileName = (sheet, extension) => `harvest-${sheet.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.${extension}`;
+
+const formatSheet = (sheet, format) => {
+  if (format === 'csv') return Papa.unparse({ fields: sheet.columns, data: sheet.rows });
+  if (format === 'json') return JSON.stringify(sheetToRecords(sheet), null, 2);
+  return `## ${sheet.name}\n\n${formatSheetAsMarkdown(sheet)}`;
+};
+
+const formatMarkdownSummary = (stats) => (
+  [
+    '# Harvest Time Report',
+    '',
+    `Total ${stats.totalHours}h · billable ${stats.billableHours}h (${stats.utilizationRate}%) · ` +
+      `internal ${stats.internalHours}h · ${stats.uniqueClients} clients · ${stats.uniqueProjects} projects`
+  ].join('\n')
+);
+
+const formatReport = (report, sections, format) => {
+  if (format === 'json') {
+    return JSON.stringify({
+      stats: report.stats,
+      ...Object.fromEntries(sections.map(section => [section, sheetToRecords(report.sheets[section])]))
+    }, null, 2);
+  }
+  if (format === 'csv') return formatSheet(report.sheets[sections[0]], format);
+  return [formatMarkdownSummary(report.stats), ...sections.map(section => formatSheet(report.sheets[section], format))].join('\n\n');
+};
+
+const run = async (argv) => {
+  const options = parseOptions(argv);
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  const settings = await loadSettings(options);
+  const parsed = [];
+  for (const file of options.files) {
+    try {
+      parsed.push(await parseFile(file, settings.dateFormat));
+    } catch (error) {
+      throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+  }
+
+  parsed.forEach(diagnostics => {
+    if (countIssues(diagnostics) > 0) process.stderr.write(`${diagnostics.fileName}: ${describeIssues(diagnostics)}\n`);
+  });
+
+  // Overlapping exports are merged the same way as files dropped into the app together
+  const { rows, report: mergeReport } = mergeCsvFiles([], parsed.map(({ fileName, validRows }) => ({ fileName, data: validRows })));
+  mergeReport.forEach(({ fileName, duplicateRows }) => {
+    if (duplicateRows > 0) process.stderr.write(`${fileName}: ${count(duplicateRows, 'entry', 'entries')} already in an earlier file were skipped\n`);
+  });
+  if (rows.length === 0) throw new Error('No time entries found in the given files');
+
+  const report = buildReport(rows, settings, { dateRange: options.dateRange });
+  if (report.financialsOmitted) {
+    process.stderr.write(`Revenue, cost and margin omitted: entries span several currencies (${report.currencies.join(', ')})\n`);
+  }
+
+  if (!options.outDir) {
+    process.stdout.write(`${formatReport(report, options.sections, options.format)}\n`);
+    return;
+  }
+
+  await mkdir(options.outDir, { recursive: true });
+  for (const section of options.sections) {
+    const sheet = report.sheets[section];
+    const target = path.join(options.outDir, sheetFileName(sheet, FORMATS[options.format]));
+    await writeFile(target, `${formatSheet(sheet, options.format)}\n`);
+    process.stderr.write(`Wrote ${target}\n`);
+  }
+};
+
+run(process.argv.slice(2)).catch(error => {
+  process.stderr.write(`harvest-analyze: ${error.message}\n`);
+  if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+    process.stderr.write(`\n${USAGE}\n`);
+    process.exitCode = 2;
+  } else {
+    process.exitCode = 1;
+  }
+});
@@ -1,58 +1,205 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell } from 'recharts';
-import * as Papa from 'papaparse';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell, ReferenceArea } from 'recharts';
+import SettingsPanel from './components/SettingsPanel';
+import ImportSummary from './components/ImportSummary';
+import ImportDiagnostics from './components/ImportDiagnostics';
+import FinancialBreakdown from './components/FinancialBreakdown';
+import ProjectBudgets from './components/ProjectBudgets';
+import ComplianceView from './components/ComplianceView';
+import NotesView from './components/NotesView';
+import HeatmapView from './components/HeatmapView';
+import AnomaliesPanel from './components/AnomaliesPanel';
+import HoursForecast from './components/HoursForecast';
+import { FORECAST_HORIZONS, forecastMonthlyHours, extendMonthlyTrend } from './analytics/forecast';
+import EmployeeProfile from './components/EmployeeProfile';
+import ClientProfile from './components/ClientProfile';
+import DateRangePicker from './components/DateRangePicker';
+import ComparisonDelta from './components/ComparisonDelta';
+import ExportMenu from './components/ExportMenu';
+import SummaryReport from './components/SummaryReport';
+import DetailsTable from './components/DetailsTable';
+import MultiSelect from './components/MultiSelect';
+import FilterBreadcrumb from './components/FilterBreadcrumb';
+import FilterPresets from './components/FilterPresets';
+import WorkspacePanel from './components/WorkspacePanel';
+import ImportProgress from './components/ImportProgress';
+import UtilizationAlert from './components/UtilizationAlert';
+import { useDataset, useAnalytics } from './hooks/useAnalytics';
+import { parseCsvFiles } from './utils/csvImport';
+import { mergeCsvFiles } from './analytics/merge';
+import { hasFinancialColumns, formatCurrency } from './analytics/financials';
+import { buildDataset, queryDataset, selectRows, getDatasetFilterOptions } from './analytics/dataset';
+import { runAnalyticsQuery } from './analytics/query';
+import { computeUtilizationAlerts, computeShoutouts } from './analytics/stats';
+import { NAV_TABS, readUrlState, writeUrlState } from './utils/urlState';
+import { FILTER_DIMENSIONS, EMPTY_FILTERS, hasActiveFilters, pruneFilters, describeFilters, toggleFilterValue } from './analytics/filters';
+import { loadFilterPresets, saveFilterPresets, upsertFilterPreset } from './utils/filterPresets';
+import { loadBudgets, saveBudgets } from './utils/budgets';
+import { getProjectKey } from './analytics/budgets';
+import { loadRoster, saveRoster } from './utils/roster';
+import { formatDate, parseLocalDate } from './analytics/dates';
+import { DATE_RANGE_PRESETS, resolveDateRange, getPreviousPeriod, getMonthSpan } from './analytics/dateRanges';
+import {
+  buildEntriesSheet,
+  buildWeeklySheet,
+  buildInternalSheet,
+  buildClientSheet,
+  buildProjectSheet
+} from './analytics/sheets';
+import { exportSheetToCsv, exportSheetsToXlsx } from './utils/exporters';
+import { loadSettings, saveSettings } from './utils/settings';
+import { createInternalClientMatcher } from './analytics/settings';
+import { computeWeekCapacity } from './analytics/capacity';
+
+// Series on the monthly trend, in the colours of their solid lines
+const TREND_SERIES = [
+  { id: 'total', label: 'Total', color: '#4F46E5' },
+  { id: 'billable', label: 'Billable', color: '#10B981' },
+  { id: 'internal', label: 'Internal', color: '#7C3AED' },
+  { id: 'external', label: 'External', color: '#3B82F6' }
+];
+
+// Placeholders shown until the dataset and its first aggregates arrive from the worker
+const EMPTY_DATASET = buildDataset([], () => false);
+const EMPTY_AGGREGATES = runAnalyticsQuery(EMPTY_DATASET, {
+  filters: EMPTY_FILTERS,
+  dateRange: { start: null, end: null },
+  compareRange: null,
+  includeFinancials: false
+});
 
 const App = () => {
+  // Filters and tab start from the URL so shared links reopen the same view once the file is loaded
+  const [initialUrlState] = useState(readUrlState);
   const [csvData, setCsvData] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [selectedEmployee, setSelectedEmployee] = useState('all');
-  const [selectedClient, setSelectedClient] = useState('all');
-  const [selectedProject, setSelectedProject] = useState('all');
-  const [selectedTask, setSelectedTask] = useState('all');
-  const [selectedDateRange, setSelectedDateRange] = useState('all');
-  const [activeTab, setActiveTab] = useState('overview');
+  const [importProgress, setImportProgress] = useState(null);
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [filterPresets, setFilterPresets] = useState(loadFilterPresets);
+  const [selectedDateRange, setSelectedDateRange] = useState(initialUrlState.dateRange);
+  const [dateAnchor, setDateAnchor] = useState(initialUrlState.dateAnchor);
+  const [customStartDate, setCustomStartDate] = useState(initialUrlState.customStart);
+  const [customEndDate, setCustomEndDate] = useState(initialUrlState.customEnd);
+  const [compareEnabled, setCompareEnabled] = useState(initialUrlState.compareEnabled);
+  const [comparePreset, setComparePreset] = useState(initialUrlState.comparePreset);
+  const [compareStartDate, setCompareStartDate] = useState(initialUrlState.compareStart);
+  const [compareEndDate, setCompareEndDate] = useState(initialUrlState.compareEnd);
+  const [activeTab, setActiveTab] = useState(initialUrlState.tab);
+  const [profileEmployee, setProfileEmployee] = useState(initialUrlState.profileEmployee);
+  const [profileClient, setProfileClient] = useState(initialUrlState.profileClient);
   const [expandedRows, setExpandedRows] = useState(new Set());
+  const [trendSelection, setTrendSelection] = useState(null);
+  const [showForecast, setShowForecast] = useState(false);
+  const [forecastHorizon, setForecastHorizon] = useState(8);
+  const [settings, setSettings] = useState(loadSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showWorkspace, setShowWorkspace] = useState(false);
+  const [loadedFiles, setLoadedFiles] = useState([]);
+  const [showImportSummary, setShowImportSummary] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [budgets, setBudgets] = useState(loadBudgets);
+  const [roster, setRoster] = useState(loadRoster);
+  const [showReport, setShowReport] = useState(false);
 
-  // Define internal clients
-  const INTERNAL_CLIENTS = ['Onica', 'Rackspace Innovation In Action'];
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
 
-  // Helper functions for date operations
-  const startOfWeek = (date) => {
-    const d = new Date(date);
-    const day = d.getDay();
-    const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-    return new Date(d.setDate(diff));
-  };
+  useEffect(() => {
+    saveBudgets(budgets);
+  }, [budgets]);
 
-  const formatDate = (date, format) => {
-    const d = new Date(date);
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    
-    if (format === 'yyyy-MM-dd') {
-      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-    } else if (format === 'MMM d, yyyy') {
-      return `${months[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()}`;
-    } else if (format === 'MMM d') {
-      return `${months[d.getMonth()]} ${d.getDate()}`;
-    }
-    return d.toDateString();
-  };
+  useEffect(() => {
+    saveRoster(roster);
+  }, [roster]);
 
-  const differenceInDays = (date1, date2) => {
-    const oneDay = 24 * 60 * 60 * 1000;
-    return Math.round(Math.abs((date1 - date2) / oneDay));
-  };
+  useEffect(() => {
+    saveFilterPresets(filterPresets);
+  }, [filterPresets]);
 
-  // Process CSV data to add full name and categorize clients
-  const processedData = useMemo(() => {
-    return csvData.map(row => ({
-      ...row,
-      'Full Name': `${row['First Name']} ${row['Last Name']}`,
-      'Date': new Date(row['Date']),
-      'Hours': parseFloat(row['Hours']) || 0,
-      'Is Internal': INTERNAL_CLIENTS.includes(row['Client'])
-    }));
-  }, [csvData]);
+  // Keep the URL in sync with the view; the first sync replaces instead of pushing
+  const urlSynced = useRef(false);
+  useEffect(() => {
+    writeUrlState({
+      filters,
+      dateRange: selectedDateRange,
+      dateAnchor,
+      customStart: customStartDate,
+      customEnd: customEndDate,
+      compareEnabled,
+      comparePreset,
+      compareStart: compareStartDate,
+      compareEnd: compareEndDate,
+      tab: activeTab,
+      profileEmployee: activeTab === 'profile' ? profileEmployee : '',
+      profileClient: activeTab === 'client' ? profileClient : ''
+    }, !urlSynced.current);
+    urlSynced.current = true;
+  }, [filters, selectedDateRange, dateAnchor,
+    customStartDate, customEndDate, compareEnabled, comparePreset, compareStartDate, compareEndDate, activeTab, profileEmployee, profileClient]);
+
+  // Back/forward restore the view recorded in the URL
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState();
+      setFilters(state.filters);
+      setSelectedDateRange(state.dateRange);
+      setDateAnchor(state.dateAnchor);
+      setCustomStartDate(state.customStart);
+      setCustomEndDate(state.customEnd);
+      setCompareEnabled(state.compareEnabled);
+      setComparePreset(state.comparePreset);
+      setCompareStartDate(state.compareStart);
+      setCompareEndDate(state.compareEnd);
+      setActiveTab(state.tab);
+      setProfileEmployee(state.profileEmployee);
+      setProfileClient(state.profileClient);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Internal clients come from the configurable rule list
+  const isInternalClient = useMemo(() => createInternalClientMatcher(settings.internalClients), [settings.internalClients]);
+
+  // Processed rows (newest first) plus the lookup tables used for filtering, built in the
+  // worker; this copy feeds every view that does not come from useAnalytics' aggregates
+  const { dataset: builtDataset, worker: analyticsWorker, error: datasetError } = useDataset({
+    csvData,
+    internalClients: settings.internalClients,
+    timeOffRules: settings.timeOffRules
+  });
+  const dataset = builtDataset || EMPTY_DATASET;
+  const processedData = dataset.rows;
+
+  const latestEntryDate = useMemo(() => (
+    processedData.length > 0 ? processedData[0]['Date'] : new Date(0)
+  ), [processedData]);
+
+  // Presets resolve against today or the newest entry, so older exports stay analysable
+  const dateRange = useMemo(() => resolveDateRange(selectedDateRange, {
+    anchor: dateAnchor === 'data' && processedData.length > 0 ? latestEntryDate : new Date(),
+    fiscalYearStartMonth: settings.fiscalYearStartMonth,
+    weekStartsOn: settings.weekStartsOn,
+    customStart: customStartDate,
+    customEnd: customEndDate
+  }), [selectedDateRange, dateAnchor, latestEntryDate, processedData.length, settings.fiscalYearStartMonth, settings.weekStartsOn, customStartDate, customEndDate]);
+
+  // Comparison period; "previous-period" mirrors the primary range's length immediately before it
+  const compareRange = useMemo(() => {
+    if (!compareEnabled) return null;
+    if (comparePreset === 'previous-period') return getPreviousPeriod(dateRange);
+    return resolveDateRange(comparePreset, {
+      anchor: dateAnchor === 'data' && processedData.length > 0 ? latestEntryDate : new Date(),
+      fiscalYearStartMonth: settings.fiscalYearStartMonth,
+      weekStartsOn: settings.weekStartsOn,
+      customStart: compareStartDate,
+      customEnd: compareEndDate
+    });
+  }, [compareEnabled, comparePreset, dateRange, dateAnchor, latestEntryDate, processedData.length, settings.fiscalYearStartMonth, settings.weekStartsOn, compareStartDate, compareEndDate]);
+
+  const hasFinancials = useMemo(() => hasFinancialColumns(csvData), [csvData]);
 
   // Get unique values for filters
   const employees = useMemo(() => {
@@ -60,200 +207,264 @@ const App = () => {
     return unique.sort();
   }, [processedData]);
 
-  const clients = useMemo(() => {
-    const unique = [...new Set(processedData.map(row => row['Client']))];
-    return unique.filter(Boolean).sort();
-  }, [processedData]);
+  const filterOptions = useMemo(() => getDatasetFilterOptions(dataset, filters), [dataset, filters]);
 
-  const projects = useMemo(() => {
-    if (selectedClient === 'all') return [];
-    const filtered = processedData.filter(row => row['Client'] === selectedClient);
-    const unique = [...new Set(filtered.map(row => row['Project']))];
-    return unique.filter(Boolean).sort();
-  }, [processedData, selectedClient]);
-
-  const tasks = useMemo(() => {
-    if (selectedProject === 'all') return [];
-    const filtered = processedData.filter(row => row['Project'] === selectedProject);
-    const unique = [...new Set(filtered.map(row => row['Task']))];
-    return unique.filter(Boolean).sort();
-  }, [processedData, selectedProject]);
-
-  // Filter data based on selections
-  const filteredData = useMemo(() => {
-    let filtered = processedData;
-    
-    if (selectedEmployee !== 'all') {
-      filtered = filtered.filter(row => row['Full Name'] === selectedEmployee);
-    }
-    
-    if (selectedClient !== 'all') {
-      filtered = filtered.filter(row => row['Client'] === selectedClient);
-    }
-    
-    if (selectedProject !== 'all') {
-      filtered = filtered.filter(row => row['Project'] === selectedProject);
-    }
-    
-    if (selectedTask !== 'all') {
-      filtered = filtered.filter(row => row['Task'] === selectedTask);
+  // Roles and Employee? only exist in some Harvest exports; hide their filters when the column is absent
+  const availableDimensions = useMemo(() => FILTER_DIMENSIONS.filter(dimension => {
+    if (dimension.id === 'role') return filterOptions.role.length > 0;
+    if (dimension.id === 'employment') return csvData.some(row => row['Employee?'] !== undefined);
+    return true;
+  }), [filterOptions, csvData]);
+
+  const updateFilter = (id, values) => {
+    setFilters(prev => {
+      const next = { ...prev, [id]: values };
+      return pruneFilters(next, getDatasetFilterOptions(dataset, next));
+    });
+  };
+
+  // Clicking a task, client bar or pie slice toggles that value in its filter
+  const toggleCrossFilter = (id, value) => updateFilter(id, toggleFilterValue(filters, id, value)[id]);
+
+  // Project names repeat across clients, so a project card selects its client as well
+  const toggleProjectFilter = (client, project) => {
+    if (filters.project.includes(project)) {
+      updateFilter('project', filters.project.filter(selected => selected !== project));
+      return;
     }
-    
-    if (selectedDateRange !== 'all') {
-      const now = new Date();
-      const ranges = {
-        'week': 7,
-        'month': 30,
-        'quarter': 90,
-        'year': 365
-      };
-      const daysBack = ranges[selectedDateRange];
-      if (daysBack) {
-        filtered = filtered.filter(row => {
-          const daysDiff = differenceInDays(now, row['Date']);
-          return daysDiff <= daysBack && daysDiff >= 0;
-        });
-      }
+    setFilters(prev => ({
+      ...prev,
+      client: prev.client.includes(client) ? prev.client : [...prev.client, client],
+      project: [...prev.project, project]
+    }));
+  };
+
+  // Dragging across the monthly trend (or clicking one month) narrows the dates to those months
+  const selectTrendMonths = (from, to) => {
+    const { customStart, customEnd } = getMonthSpan(monthlyTrend[from].key, monthlyTrend[to].key);
+    setSelectedDateRange('custom');
+    setCustomStartDate(customStart);
+    setCustomEndDate(customEnd);
+  };
+
+  const applyPreset = (preset) => {
+    setFilters(preset.filters);
+    if (preset.dateRange) {
+      setSelectedDateRange(preset.dateRange.preset);
+      setDateAnchor(preset.dateRange.anchor);
+      setCustomStartDate(preset.dateRange.customStart);
+      setCustomEndDate(preset.dateRange.customEnd);
     }
-    
-    return filtered.sort((a, b) => b['Date'] - a['Date']); // Sort by date descending
-  }, [processedData, selectedEmployee, selectedClient, selectedProject, selectedTask, selectedDateRange]);
-
-  // Separate internal and external data
-  const internalData = useMemo(() => filteredData.filter(row => row['Is Internal']), [filteredData]);
-  const externalData = useMemo(() => filteredData.filter(row => !row['Is Internal']), [filteredData]);
-
-  // Calculate weekly utilization
-  const weeklyUtilization = useMemo(() => {
-    const weekMap = new Map();
-    
-    filteredData.forEach(row => {
-      const weekStart = startOfWeek(row['Date']);
-      const weekKey = formatDate(weekStart, 'yyyy-MM-dd');
-      const employee = row['Full Name'];
-      
-      if (!weekMap.has(weekKey)) {
-        weekMap.set(weekKey, new Map());
-      }
-      
-      const employeeMap = weekMap.get(weekKey);
-      if (!employeeMap.has(employee)) {
-        employeeMap.set(employee, {
-          hours: 0,
-          billableHours: 0,
-          internalHours: 0,
-          externalHours: 0,
-          days: new Set()
-        });
-      }
-      
-      const stats = employeeMap.get(employee);
-      stats.hours += row['Hours'];
-      if (row['Billable?'] === 'Yes') {
-        stats.billableHours += row['Hours'];
-      }
-      if (row['Is Internal']) {
-        stats.internalHours += row['Hours'];
-      } else {
-        stats.externalHours += row['Hours'];
-      }
-      stats.days.add(formatDate(row['Date'], 'yyyy-MM-dd'));
-    });
-    
-    // Convert to sorted array (newest first)
-    return Array.from(weekMap.entries())
-      .sort(([a], [b]) => new Date(b) - new Date(a));
-  }, [filteredData]);
-
-  // Calculate statistics
-  const stats = useMemo(() => {
-    const totalHours = filteredData.reduce((sum, row) => sum + row['Hours'], 0);
-    const billableHours = filteredData.reduce((sum, row) => 
-      row['Billable?'] === 'Yes' ? sum + row['Hours'] : sum, 0);
-    const internalHours = internalData.reduce((sum, row) => sum + row['Hours'], 0);
-    const externalHours = externalData.reduce((sum, row) => sum + row['Hours'], 0);
-    const uniqueClients = new Set(filteredData.map(row => row['Client'])).size;
-    const uniqueProjects = new Set(filteredData.map(row => row['Project'])).size;
-    const uniqueDays = new Set(filteredData.map(row => formatDate(row['Date'], 'yyyy-MM-dd'))).size;
-    
+  };
+
+  const savePreset = (name) => {
+    setFilterPresets(prev => upsertFilterPreset(prev, {
+      name,
+      filters,
+      dateRange: { preset: selectedDateRange, anchor: dateAnchor, customStart: customStartDate, customEnd: customEndDate }
+    }));
+  };
+
+  // Entries matching the filters, newest first, straight from the lookup tables. Selected on
+  // the main thread for the row-based views below
+  const filteredData = useMemo(
+    () => selectRows(dataset, queryDataset(dataset, filters, dateRange)),
+    [dataset, filters, dateRange]
+  );
+
+  // Totals and chart aggregates are computed in the worker; the previous ones stay visible
+  // while updating
+  const analyticsQuery = useMemo(() => ({
+    filters,
+    dateRange,
+    compareRange,
+    includeFinancials: hasFinancials,
+    weekStartsOn: settings.weekStartsOn
+  }), [filters, dateRange, compareRange, hasFinancials, settings.weekStartsOn]);
+
+  const { aggregates, pending: analyticsPending, error: queryError } = useAnalytics({
+    worker: analyticsWorker,
+    dataset: builtDataset,
+    query: analyticsQuery
+  });
+  const analyticsError = datasetError || queryError;
+
+  const {
+    stats,
+    clientHours,
+    employeeUtilization,
+    weeklyUtilization,
+    internalBreakdown,
+    internalEmployeeHours,
+    financials,
+    projectSummary,
+    monthlyTrend,
+    taskWordCloud,
+    currencies,
+    comparison
+  } = aggregates || EMPTY_AGGREGATES;
+
+  // Amounts in different currencies are never added up; money stays hidden until the
+  // filters narrow the entries to a single currency
+  const mixedCurrencies = currencies.length > 1;
+  const currency = currencies.length === 1 ? currencies[0] : 'USD';
+  const showFinancials = hasFinancials && !mixedCurrencies;
+
+  // Data is loaded but its first aggregates are still being computed
+  const preparing = csvData.length > 0 && !aggregates && !analyticsError;
+
+  // Forecast mode draws the projected months onto the monthly trend
+  const monthlyForecast = useMemo(() => (
+    showForecast ? forecastMonthlyHours(filteredData, { horizon: forecastHorizon, weekStartsOn: settings.weekStartsOn }) : []
+  ), [showForecast, filteredData, forecastHorizon, settings.weekStartsOn]);
+  const trendData = useMemo(() => extendMonthlyTrend(monthlyTrend, monthlyForecast), [monthlyTrend, monthlyForecast]);
+
+  // Months past the data only exist in the forecast and can't be selected as dates
+  const trendMonthIndex = (e) => (
+    e && e.activeTooltipIndex !== undefined ? Math.min(e.activeTooltipIndex, monthlyTrend.length - 1) : null
+  );
+
+  const sortedClientHours = useMemo(() => Object.entries(clientHours).sort(([, a], [, b]) => b - a), [clientHours]);
+
+  // Low/high weeks and recent shoutouts, using each person's thresholds
+  const utilizationAlerts = useMemo(() => computeUtilizationAlerts(weeklyUtilization, settings), [weeklyUtilization, settings]);
+  const shoutouts = useMemo(() => computeShoutouts(weeklyUtilization, settings), [weeklyUtilization, settings]);
+
+  const alertCounts = useMemo(() => ({
+    low: utilizationAlerts.filter(alert => alert.level === 'low').length,
+    high: utilizationAlerts.filter(alert => alert.level === 'high').length
+  }), [utilizationAlerts]);
+
+  // Compliance checks whole days, so only the people filters narrow it and the period is
+  // clipped to the dates the loaded files actually cover
+  const complianceRows = useMemo(() => selectRows(dataset, queryDataset(dataset, {
+    ...EMPTY_FILTERS,
+    employee: filters.employee,
+    role: filters.role,
+    employment: filters.employment
+  }, dateRange)), [dataset, filters.employee, filters.role, filters.employment, dateRange]);
+
+  const compliancePeriod = useMemo(() => {
+    if (processedData.length === 0) return { start: null, end: null };
+    const earliest = processedData[processedData.length - 1]['Date'];
     return {
-      totalHours: totalHours.toFixed(1),
-      billableHours: billableHours.toFixed(1),
-      internalHours: internalHours.toFixed(1),
-      externalHours: externalHours.toFixed(1),
-      utilizationRate: totalHours > 0 ? ((billableHours / totalHours) * 100).toFixed(1) : 0,
-      internalRate: totalHours > 0 ? ((internalHours / totalHours) * 100).toFixed(1) : 0,
-      uniqueClients,
-      uniqueProjects,
-      avgHoursPerDay: uniqueDays > 0 ? (totalHours / uniqueDays).toFixed(1) : 0
+      start: dateRange.start && dateRange.start > earliest ? dateRange.start : earliest,
+      end: dateRange.end && dateRange.end < latestEntryDate ? dateRange.end : latestEntryDate
     };
-  }, [filteredData, internalData, externalData]);
-
-  // Internal project breakdown
-  const internalBreakdown = useMemo(() => {
-    const breakdown = {};
-    
-    internalData.forEach(row => {
-      const client = row['Client'];
-      const project = row['Project'] || 'No Project';
-      const task = row['Task'] || 'No Task';
-      
-      if (!breakdown[client]) breakdown[client] = {};
-      if (!breakdown[client][project]) breakdown[client][project] = {};
-      if (!breakdown[client][project][task]) breakdown[client][project][task] = {
-        hours: 0,
-        billableHours: 0,
-        entries: []
-      };
-      
-      breakdown[client][project][task].hours += row['Hours'];
-      if (row['Billable?'] === 'Yes') {
-        breakdown[client][project][task].billableHours += row['Hours'];
-      }
-      breakdown[client][project][task].entries.push(row);
-    });
-    
-    return breakdown;
-  }, [internalData]);
-
-  // Task word cloud data
-  const taskWordCloud = useMemo(() => {
-    const taskCounts = {};
-    filteredData.forEach(row => {
-      if (row['Task']) {
-        taskCounts[row['Task']] = (taskCounts[row['Task']] || 0) + row['Hours'];
+  }, [processedData, dateRange, latestEntryDate]);
+
+  // Profiles compare a person with the whole team and show a client's whole account, so
+  // they see every entry in the period
+  const profileRows = useMemo(() => (
+    activeTab === 'profile' || activeTab === 'client' ? selectRows(dataset, queryDataset(dataset, EMPTY_FILTERS, dateRange)) : []
+  ), [activeTab, dataset, dateRange]);
+
+  const openProfile = (employee) => {
+    setProfileEmployee(employee);
+    setActiveTab('profile');
+  };
+
+  const openClientProfile = (client) => {
+    setProfileClient(client);
+    setActiveTab('client');
+  };
+
+  // All entries per project for budget tracking; budgets ignore the active filters
+  const projectEntries = useMemo(() => {
+    const map = new Map();
+    processedData.forEach(row => {
+      const key = getProjectKey(row['Client'], row['Project']);
+      if (!map.has(key)) {
+        map.set(key, { client: row['Client'], project: row['Project'], entries: [] });
       }
+      map.get(key).entries.push(row);
     });
-    
-    return Object.entries(taskCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 20)
-      .map(([task, hours]) => ({
-        text: task,
-        value: hours,
-        size: Math.min(Math.max(hours / 10, 12), 48)
+    return map;
+  }, [processedData]);
+
+  // Parse one or more CSV files and merge them into the dataset (or replace it)
+  const loadFiles = async (fileList, append) => {
+    const files = Array.from(fileList || []).filter(file => file.name.toLowerCase().endsWith('.csv'));
+    if (files.length === 0) return;
+
+    setLoading(true);
+    setImportError(null);
+    try {
+      const parsed = await parseCsvFiles(files, setImportProgress, { dateFormat: settings.dateFormat });
+      const { rows, report } = mergeCsvFiles(
+        append ? csvData : [],
+        parsed.map(result => ({ fileName: result.fileName, data: result.diagnostics.validRows }))
+      );
+      const fileReports = report.map((fileReport, index) => ({
+        ...fileReport,
+        totalRows: parsed[index].totalRows,
+        diagnostics: parsed[index].diagnostics
       }));
-  }, [filteredData]);
+      setCsvData(rows);
+      setLoadedFiles(prev => (append ? [...prev, ...fileReports] : fileReports));
+      setShowImportSummary(true);
+    } catch (error) {
+      setImportError(`Error parsing CSV: ${error.message || error}`);
+    } finally {
+      setLoading(false);
+      setImportProgress(null);
+    }
+  };
 
   // Handle file upload
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      setLoading(true);
-      Papa.parse(file, {
-        header: true,
-        complete: (results) => {
-          setCsvData(results.data.filter(row => row['Date']));
-          setLoading(false);
-        },
-        error: (error) => {
-          console.error('Error parsing CSV:', error);
-          setLoading(false);
-        }
-      });
+  const handleFileUpload = (event, append = false) => {
+    loadFiles(event.target.files, append);
+    event.target.value = '';
+  };
+
+  // Reopen a dataset saved in the local workspace
+  const openWorkspaceDataset = ({ rows, files }) => {
+    setCsvData(rows);
+    setLoadedFiles(files);
+    setShowImportSummary(false);
+    setImportError(null);
+    setShowWorkspace(false);
+  };
+
+  // Dropped files are appended once data is loaded
+  const handleDrop = (event) => {
+    event.preventDefault();
+    loadFiles(event.dataTransfer.files, csvData.length > 0);
+  };
+
+  // Exportable tables; built on demand since the entry list can be large
+  const EXPORT_DATASETS = [
+    { id: 'entries', label: 'Filtered entries', build: () => buildEntriesSheet(filteredData) },
+    { id: 'weekly', label: 'Weekly utilization', build: () => buildWeeklySheet(weeklyUtilization, settings) },
+    { id: 'internal', label: 'Internal attribution', build: () => buildInternalSheet(internalBreakdown) },
+    { id: 'clients', label: 'Client totals', build: () => buildClientSheet(filteredData, showFinancials) },
+    { id: 'projects', label: 'Project totals', build: () => buildProjectSheet(projectSummary, showFinancials) }
+  ];
+
+  const handleExport = (ids, format) => {
+    const sheets = EXPORT_DATASETS.filter(dataset => ids.includes(dataset.id)).map(dataset => dataset.build());
+    if (format === 'csv') {
+      sheets.forEach(sheet => exportSheetToCsv(sheet));
+    } else {
+      exportSheetsToXlsx(sheets, ids.length === 1 ? `harvest-${ids[0]}.xlsx` : 'harvest-analysis.xlsx');
     }
   };
 
+  const filterSummary = [
+    ...describeFilters(filters),
+    dateRange.start && dateRange.end
+      ? `Dates: ${formatDate(dateRange.start, 'MMM d, yyyy')} – ${formatDate(dateRange.end, 'MMM d, yyyy')}`
+      : 'Dates: entire file'
+  ].filter(Boolean).join(' · ');
+
+  // Breadcrumb chip for a narrowed date range; presets without fixed bounds show their name
+  const selectedPreset = DATE_RANGE_PRESETS.find(preset => preset.id === selectedDateRange);
+  const dateRangeLabel = selectedDateRange === 'all' ? null : (
+    dateRange.start && dateRange.end
+      ? `${formatDate(dateRange.start, 'MMM d, yyyy')} – ${formatDate(dateRange.end, 'MMM d, yyyy')}`
+      : (selectedPreset ? selectedPreset.label : 'Custom Range')
+  );
+
   // Toggle row expansion
   const toggleRow = (key) => {
     const newExpanded = new Set(expandedRows);
@@ -265,30 +476,6 @@ const App = () => {
     setExpandedRows(newExpanded);
   };
 
-  // Utilization Alert Component
-  const UtilizationAlert = ({ employee, hours, weekStart }) => {
-    const isLow = hours < 30;
-    const isHigh = hours > 45;
-    
-    if (!isLow && !isHigh) return null;
-    
-    return (
-      <div className={`p-4 rounded-lg ${isLow ? 'bg-yellow-50 border border-yellow-200' : 'bg-red-50 border border-red-200'}`}>
-        <div className="flex items-center">
-          <span className={`text-2xl mr-3 ${isLow ? '⚠️' : '🔥'}`}></span>
-          <div>
-            <p className={`font-semibold ${isLow ? 'text-yellow-800' : 'text-red-800'}`}>
-              {isLow ? 'Low' : 'High'} Utilization Alert
-            </p>
-            <p className={`text-sm ${isLow ? 'text-yellow-700' : 'text-red-700'}`}>
-              {employee} logged {hours.toFixed(1)} hours for week of {formatDate(new Date(weekStart), 'MMM d, yyyy')}
-            </p>
-          </div>
-        </div>
-      </div>
-    );
-  };
-
   // Shoutout Component
   const Shoutout = ({ employee, achievement }) => (
     <div className="bg-gradient-to-r from-blue-50 to-indigo-50 p-4 rounded-lg border border-blue-200">
@@ -306,51 +493,111 @@ const App = () => {
   const COLORS = ['#4F46E5', '#7C3AED', '#EC4899', '#F59E0B', '#10B981', '#3B82F6'];
 
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-gray-50" onDragOver={(e) => e.preventDefault()} onDrop={handleDrop}>
       {/* Header */}
-      <header className="bg-white shadow-sm border-b">
+      {showReport && (
+        <SummaryReport
+          stats={stats}
+          financials={financials ? financials.totals : null}
+          currency={currency}
+          clientHours={sortedClientHours}
+          projectSummary={projectSummary}
+          monthlyTrend={monthlyTrend}
+          alertCounts={alertCounts}
+          filterSummary={filterSummary}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+
+      <header className={`bg-white shadow-sm border-b ${showReport ? 'print:hidden' : ''}`}>
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
           <div className="flex items-center justify-between">
             <div>
               <h1 className="text-2xl font-bold text-gray-900">Harvest Time Entry Analyzer</h1>
               <p className="text-sm text-gray-600 mt-1">Upload and analyze your team's time tracking data</p>
             </div>
-            {csvData.length === 0 && (
-              <label className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 cursor-pointer transition-colors">
-                Upload CSV
-                <input 
-                  type="file" 
-                  accept=".csv" 
-                  onChange={handleFileUpload}
-                  className="hidden"
-                />
-              </label>
-            )}
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => setShowWorkspace(true)}
+                className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Workspace
+              </button>
+              <button
+                onClick={() => setShowSettings(true)}
+                className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Settings
+              </button>
+              {csvData.length === 0 && (
+                <label className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 cursor-pointer transition-colors">
+                  Upload CSV
+                  <input 
+                    type="file" 
+                    accept=".csv" 
+                    multiple
+                    onChange={handleFileUpload}
+                    className="hidden"
+                  />
+                </label>
+              )}
+            </div>
           </div>
         </div>
       </header>
 
-      {loading && (
-        <div className="flex items-center justify-center p-12">
-          <div className="text-center">
-            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
-            <p className="mt-4 text-gray-600">Loading CSV data...</p>
-          </div>
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          employees={employees}
+          onSave={(updated) => {
+            setSettings(updated);
+            setShowSettings(false);
+          }}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      {showWorkspace && (
+        <WorkspacePanel
+          current={csvData.length > 0 ? { rows: csvData, files: loadedFiles } : null}
+          onOpen={openWorkspaceDataset}
+          onClose={() => setShowWorkspace(false)}
+        />
+      )}
+
+      {showDiagnostics && (
+        <ImportDiagnostics files={loadedFiles} onClose={() => setShowDiagnostics(false)} />
+      )}
+
+      {importError && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-6">
+          <div className="p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800">{importError}</div>
         </div>
       )}
 
+      {analyticsError && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-6">
+          <div className="p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800">Analysis failed: {analyticsError}</div>
+        </div>
+      )}
+
+      {(loading || preparing) && <ImportProgress progress={importProgress} />}
+
       {!loading && csvData.length === 0 && (
         <div className="max-w-md mx-auto mt-12 p-8 bg-white rounded-lg shadow-sm border-2 border-dashed border-gray-300">
           <div className="text-center">
             <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
             </svg>
-            <p className="mt-4 text-gray-600">Upload your Harvest time entries CSV to get started</p>
+            <p className="mt-4 text-gray-600">Upload or drop your Harvest time entries CSVs to get started</p>
+            <p className="mt-1 text-xs text-gray-500">Select several monthly exports at once; overlapping entries are merged</p>
             <label className="mt-4 inline-block bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 cursor-pointer transition-colors">
-              Choose File
+              Choose Files
               <input 
                 type="file" 
                 accept=".csv" 
+                multiple
                 onChange={handleFileUpload}
                 className="hidden"
               />
@@ -359,114 +606,144 @@ const App = () => {
         </div>
       )}
 
-      {!loading && csvData.length > 0 && (
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {!loading && !preparing && csvData.length > 0 && (
+        <div className={`max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 ${showReport ? 'print:hidden' : ''}`}>
+          {showImportSummary && loadedFiles.length > 0 && (
+            <ImportSummary
+              files={loadedFiles}
+              onShowDiagnostics={() => setShowDiagnostics(true)}
+              onDismiss={() => setShowImportSummary(false)}
+            />
+          )}
+
           {/* Filters */}
           <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <FilterPresets
+                presets={filterPresets}
+                onApply={applyPreset}
+                onSave={savePreset}
+                onDelete={(name) => setFilterPresets(prev => prev.filter(preset => preset.name !== name))}
+              />
+              {hasActiveFilters(filters) && (
+                <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-sm text-gray-500 hover:text-gray-700">
+                  Clear filters
+                </button>
+              )}
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Employee</label>
-                <select 
-                  value={selectedEmployee}
-                  onChange={(e) => setSelectedEmployee(e.target.value)}
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                >
-                  <option value="all">All Employees</option>
-                  {employees.map(emp => (
-                    <option key={emp} value={emp}>{emp}</option>
-                  ))}
-                </select>
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Client</label>
-                <select 
-                  value={selectedClient}
-                  onChange={(e) => {
-                    setSelectedClient(e.target.value);
-                    setSelectedProject('all');
-                    setSelectedTask('all');
-                  }}
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                >
-                  <option value="all">All Clients</option>
-                  <optgroup label="Internal">
-                    {clients.filter(c => INTERNAL_CLIENTS.includes(c)).map(client => (
-                      <option key={client} value={client}>{client}</option>
-                    ))}
-                  </optgroup>
-                  <optgroup label="External">
-                    {clients.filter(c => !INTERNAL_CLIENTS.includes(c)).map(client => (
-                      <option key={client} value={client}>{client}</option>
-                    ))}
-                  </optgroup>
-                </select>
-              </div>
-              {selectedClient !== 'all' && (
+              {availableDimensions.map(dimension => (
+                <MultiSelect
+                  key={dimension.id}
+                  label={dimension.label}
+                  allLabel={dimension.allLabel}
+                  options={filterOptions[dimension.id]}
+                  selected={filters[dimension.id]}
+                  onChange={(values) => updateFilter(dimension.id, values)}
+                  groups={dimension.id === 'client' ? [
+                    { label: 'Internal', match: isInternalClient },
+                    { label: 'External', match: client => !isInternalClient(client) }
+                  ] : undefined}
+                />
+              ))}
+              <DateRangePicker
+                preset={selectedDateRange}
+                anchor={dateAnchor}
+                customStart={customStartDate}
+                customEnd={customEndDate}
+                resolvedRange={dateRange}
+                onChange={(changes) => {
+                  if (changes.preset !== undefined) setSelectedDateRange(changes.preset);
+                  if (changes.anchor !== undefined) setDateAnchor(changes.anchor);
+                  if (changes.customStart !== undefined) setCustomStartDate(changes.customStart);
+                  if (changes.customEnd !== undefined) setCustomEndDate(changes.customEnd);
+                }}
+              />
+              {compareEnabled ? (
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Project</label>
-                  <select 
-                    value={selectedProject}
-                    onChange={(e) => {
-                      setSelectedProject(e.target.value);
-                      setSelectedTask('all');
+                  <DateRangePicker
+                    label="Compare To"
+                    extraPresets={[{ id: 'previous-period', label: 'Previous Period' }]}
+                    preset={comparePreset}
+                    anchor={dateAnchor}
+                    customStart={compareStartDate}
+                    customEnd={compareEndDate}
+                    resolvedRange={compareRange}
+                    onChange={(changes) => {
+                      if (changes.preset !== undefined) setComparePreset(changes.preset);
+                      if (changes.anchor !== undefined) setDateAnchor(changes.anchor);
+                      if (changes.customStart !== undefined) setCompareStartDate(changes.customStart);
+                      if (changes.customEnd !== undefined) setCompareEndDate(changes.customEnd);
                     }}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                  >
-                    <option value="all">All Projects</option>
-                    {projects.map(project => (
-                      <option key={project} value={project}>{project}</option>
-                    ))}
-                  </select>
+                  />
+                  {comparePreset === 'previous-period' && !compareRange && (
+                    <p className="mt-1 text-xs text-yellow-700">Pick a bounded date range to compare with its previous period</p>
+                  )}
+                  <button onClick={() => setCompareEnabled(false)} className="mt-1 text-xs text-gray-500 hover:text-gray-700">
+                    Stop comparing
+                  </button>
                 </div>
-              )}
-              {selectedProject !== 'all' && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Task</label>
-                  <select 
-                    value={selectedTask}
-                    onChange={(e) => setSelectedTask(e.target.value)}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              ) : (
+                <div className="flex items-end">
+                  <button
+                    onClick={() => setCompareEnabled(true)}
+                    className="w-full border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
                   >
-                    <option value="all">All Tasks</option>
-                    {tasks.map(task => (
-                      <option key={task} value={task}>{task}</option>
-                    ))}
-                  </select>
+                    Compare Periods
+                  </button>
                 </div>
               )}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Date Range</label>
-                <select 
-                  value={selectedDateRange}
-                  onChange={(e) => setSelectedDateRange(e.target.value)}
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                >
-                  <option value="all">All Time</option>
-                  <option value="week">Last 7 Days</option>
-                  <option value="month">Last 30 Days</option>
-                  <option value="quarter">Last 90 Days</option>
-                  <option value="year">Last Year</option>
-                </select>
-              </div>
-              <div className="flex items-end">
-                <label className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 cursor-pointer transition-colors">
+              <div className="flex items-end space-x-2">
+                <label className="bg-indigo-50 text-indigo-700 px-4 py-2 rounded-lg hover:bg-indigo-100 cursor-pointer transition-colors whitespace-nowrap">
+                  Add CSV
+                  <input 
+                    type="file" 
+                    accept=".csv" 
+                    multiple
+                    onChange={(e) => handleFileUpload(e, true)}
+                    className="hidden"
+                  />
+                </label>
+                <label className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 cursor-pointer transition-colors whitespace-nowrap">
                   Upload New CSV
                   <input 
                     type="file" 
                     accept=".csv" 
+                    multiple
                     onChange={handleFileUpload}
                     className="hidden"
                   />
                 </label>
               </div>
+              {!showImportSummary && loadedFiles.length > 0 && (
+                <div className="flex items-end">
+                  <button
+                    onClick={() => setShowImportSummary(true)}
+                    className="text-sm text-indigo-600 hover:text-indigo-800 py-2"
+                  >
+                    {loadedFiles.length} {loadedFiles.length === 1 ? 'file' : 'files'} loaded
+                  </button>
+                </div>
+              )}
             </div>
           </div>
 
+          <FilterBreadcrumb
+            filters={filters}
+            dateLabel={dateRangeLabel}
+            onRemove={(id, value) => toggleCrossFilter(id, value)}
+            onClearDates={() => setSelectedDateRange('all')}
+            onClearAll={() => {
+              setFilters(EMPTY_FILTERS);
+              setSelectedDateRange('all');
+            }}
+          />
+
           {/* Tabs */}
           <div className="bg-white rounded-lg shadow-sm mb-6">
-            <div className="border-b border-gray-200">
+            <div className="border-b border-gray-200 flex items-center justify-between pr-4">
               <nav className="flex -mb-px">
-                {['overview', 'utilization', 'internal', 'insights', 'details'].map(tab => (
+                {NAV_TABS.map(tab => (
                   <button
                     key={tab}
                     onClick={() => setActiveTab(tab)}
@@ -480,6 +757,12 @@ const App = () => {
                   </button>
                 ))}
               </nav>
+              {analyticsPending && <span className="ml-auto mr-4 text-xs text-gray-500">Updating…</span>}
+              <ExportMenu
+                datasets={EXPORT_DATASETS}
+                onExport={handleExport}
+                onOpenReport={() => setShowReport(true)}
+              />
             </div>
           </div>
 
@@ -491,28 +774,81 @@ const App = () => {
                 <div className="bg-white rounded-lg shadow-sm p-6">
                   <p className="text-sm text-gray-600 mb-2">Total Hours</p>
                   <p className="text-2xl font-bold text-gray-900">{stats.totalHours}</p>
+                  {comparison && <ComparisonDelta current={stats.totalHours} previous={comparison.stats.totalHours} />}
                 </div>
                 <div className="bg-white rounded-lg shadow-sm p-6">
                   <p className="text-sm text-gray-600 mb-2">Billable Hours</p>
                   <p className="text-2xl font-bold text-green-600">{stats.billableHours}</p>
                   <p className="text-xs text-gray-500 mt-1">{stats.utilizationRate}% utilization</p>
+                  {comparison && <ComparisonDelta current={stats.billableHours} previous={comparison.stats.billableHours} />}
                 </div>
                 <div className="bg-white rounded-lg shadow-sm p-6">
                   <p className="text-sm text-gray-600 mb-2">Internal Hours</p>
                   <p className="text-2xl font-bold text-purple-600">{stats.internalHours}</p>
                   <p className="text-xs text-gray-500 mt-1">{stats.internalRate}% of total</p>
+                  {comparison && <ComparisonDelta current={stats.internalHours} previous={comparison.stats.internalHours} />}
                 </div>
                 <div className="bg-white rounded-lg shadow-sm p-6">
                   <p className="text-sm text-gray-600 mb-2">External Hours</p>
                   <p className="text-2xl font-bold text-blue-600">{stats.externalHours}</p>
                   <p className="text-xs text-gray-500 mt-1">{(100 - parseFloat(stats.internalRate)).toFixed(1)}% of total</p>
+                  {comparison && <ComparisonDelta current={stats.externalHours} previous={comparison.stats.externalHours} />}
                 </div>
               </div>
 
+              {hasFinancials && mixedCurrencies && (
+                <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                  The filtered entries are billed in {currencies.join(', ')}. Revenue and cost are hidden rather than added up across currencies; filter to clients billed in one currency to see them.
+                </div>
+              )}
+
+              {/* Financial Cards */}
+              {financials && (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                  <div className="bg-white rounded-lg shadow-sm p-6">
+                    <p className="text-sm text-gray-600 mb-2">Revenue</p>
+                    <p className="text-2xl font-bold text-green-600">{formatCurrency(financials.totals.revenue, currency)}</p>
+                    {comparison && comparison.financials && (
+                      <ComparisonDelta current={financials.totals.revenue} previous={comparison.financials.revenue} format={(v) => formatCurrency(v, currency)} />
+                    )}
+                  </div>
+                  <div className="bg-white rounded-lg shadow-sm p-6">
+                    <p className="text-sm text-gray-600 mb-2">Cost</p>
+                    <p className="text-2xl font-bold text-gray-900">{formatCurrency(financials.totals.cost, currency)}</p>
+                    {comparison && comparison.financials && (
+                      <ComparisonDelta current={financials.totals.cost} previous={comparison.financials.cost} format={(v) => formatCurrency(v, currency)} invert />
+                    )}
+                  </div>
+                  <div className="bg-white rounded-lg shadow-sm p-6">
+                    <p className="text-sm text-gray-600 mb-2">Gross Margin</p>
+                    <p className={`text-2xl font-bold ${financials.totals.margin < 0 ? 'text-red-600' : 'text-indigo-600'}`}>
+                      {formatCurrency(financials.totals.margin, currency)}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">{financials.totals.marginRate.toFixed(1)}% of revenue</p>
+                    {comparison && comparison.financials && (
+                      <ComparisonDelta current={financials.totals.margin} previous={comparison.financials.margin} format={(v) => formatCurrency(v, currency)} />
+                    )}
+                  </div>
+                  <div className="bg-white rounded-lg shadow-sm p-6">
+                    <p className="text-sm text-gray-600 mb-2">Effective Hourly Rate</p>
+                    <p className="text-2xl font-bold text-gray-900">{formatCurrency(financials.totals.effectiveRate, currency, 2)}</p>
+                    <p className="text-xs text-gray-500 mt-1">revenue / total hours</p>
+                    {comparison && comparison.financials && (
+                      <ComparisonDelta current={financials.totals.effectiveRate} previous={comparison.financials.effectiveRate} format={(v) => formatCurrency(v, currency, 2)} />
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {financials && (
+                <FinancialBreakdown breakdowns={financials.breakdowns} currency={currency} />
+              )}
+
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 {/* Internal vs External Pie Chart */}
                 <div className="bg-white rounded-lg shadow-sm p-6">
-                  <h3 className="text-lg font-semibold text-gray-900 mb-4">Internal vs External Hours</h3>
+                  <h3 className="text-lg font-semibold text-gray-900 mb-1">Internal vs External Hours</h3>
+                  <p className="text-sm text-gray-600 mb-4">Click a slice to filter by it</p>
                   <ResponsiveContainer width="100%" height={300}>
                     <PieChart>
                       <Pie
@@ -527,6 +863,8 @@ const App = () => {
                         outerRadius={80}
                         fill="#8884d8"
                         dataKey="value"
+                        onClick={(entry) => toggleCrossFilter('type', entry.name)}
+                        className="cursor-pointer"
                       >
                         <Cell fill="#7C3AED" />
                         <Cell fill="#3B82F6" />
@@ -542,15 +880,24 @@ const App = () => {
                   <div className="space-y-3">
                     <div className="flex justify-between">
                       <span className="text-gray-600">Unique Clients:</span>
-                      <span className="font-medium">{stats.uniqueClients}</span>
+                      <span className="font-medium">
+                        {stats.uniqueClients}
+                        {comparison && <span className="ml-2"><ComparisonDelta current={stats.uniqueClients} previous={comparison.stats.uniqueClients} format={(v) => String(Math.round(v))} /></span>}
+                      </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Unique Projects:</span>
-                      <span className="font-medium">{stats.uniqueProjects}</span>
+                      <span className="font-medium">
+                        {stats.uniqueProjects}
+                        {comparison && <span className="ml-2"><ComparisonDelta current={stats.uniqueProjects} previous={comparison.stats.uniqueProjects} format={(v) => String(Math.round(v))} /></span>}
+                      </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Avg Hours/Day:</span>
-                      <span className="font-medium">{stats.avgHoursPerDay}</span>
+                      <span className="font-medium">
+                        {stats.avgHoursPerDay}
+                        {comparison && <span className="ml-2"><ComparisonDelta current={stats.avgHoursPerDay} previous={comparison.stats.avgHoursPerDay} /></span>}
+                      </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Date Range:</span>
@@ -567,12 +914,16 @@ const App = () => {
 
               {/* Task Word Cloud */}
               <div className="bg-white rounded-lg shadow-sm p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Task Cloud</h3>
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Task Cloud</h3>
+                <p className="text-sm text-gray-600 mb-4">Click a task to filter by it</p>
                 <div className="text-center">
                   {taskWordCloud.map((task, index) => (
                     <span
                       key={index}
-                      className="inline-block m-1 px-2 py-1 rounded cursor-pointer hover:scale-110 transition-transform"
+                      onClick={() => toggleCrossFilter('task', task.text)}
+                      className={`inline-block m-1 px-2 py-1 rounded cursor-pointer hover:scale-110 transition-transform ${
+                        filters.task.includes(task.text) ? 'bg-indigo-50 ring-2 ring-indigo-300' : ''
+                      }`}
                       style={{
                         fontSize: `${task.size}px`,
                         color: `hsl(${220 + index * 15}, 70%, ${40 + (index % 3) * 10}%)`,
@@ -588,20 +939,13 @@ const App = () => {
 
               {/* Recent Shoutouts */}
               <div className="space-y-3">
-                {weeklyUtilization.slice(0, 3).map(([weekStart, employeeMap]) => {
-                  return Array.from(employeeMap.entries()).map(([employee, stats]) => {
-                    if (stats.billableHours / stats.hours > 0.9 && stats.hours >= 35) {
-                      return (
-                        <Shoutout 
-                          key={`${weekStart}-${employee}`}
-                          employee={employee}
-                          achievement={`${stats.billableHours.toFixed(1)} billable hours (${((stats.billableHours / stats.hours) * 100).toFixed(0)}% utilization) week of ${formatDate(new Date(weekStart), 'MMM d')}`}
-                        />
-                      );
-                    }
-                    return null;
-                  });
-                })}
+                {shoutouts.map(({ weekStart, employee, billableHours, billableRate }) => (
+                  <Shoutout 
+                    key={`${weekStart}-${employee}`}
+                    employee={employee}
+                    achievement={`${billableHours.toFixed(1)} billable hours (${billableRate.toFixed(0)}% utilization) week of ${formatDate(parseLocalDate(weekStart), 'MMM d')}`}
+                  />
+                ))}
               </div>
             </div>
           )}
@@ -611,26 +955,67 @@ const App = () => {
             <div className="space-y-6">
               {/* Utilization Alerts */}
               <div className="space-y-3">
-                {weeklyUtilization.map(([weekStart, employeeMap]) => {
-                  return Array.from(employeeMap.entries()).map(([employee, stats]) => {
-                    if (stats.hours < 30 || stats.hours > 45) {
-                      return (
-                        <UtilizationAlert 
-                          key={`${weekStart}-${employee}`}
-                          employee={employee}
-                          hours={stats.hours}
-                          weekStart={weekStart}
-                        />
-                      );
-                    }
-                    return null;
-                  });
-                })}
+                {utilizationAlerts.map(({ weekStart, employee, hours, level, capacity }) => (
+                  <UtilizationAlert 
+                    key={`${weekStart}-${employee}`}
+                    employee={employee}
+                    hours={hours}
+                    capacity={capacity}
+                    weekStart={weekStart}
+                    level={level}
+                  />
+                ))}
               </div>
 
+              {/* Employee Comparison */}
+              {comparison && (
+                <div className="bg-white rounded-lg shadow-sm p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-4">Employee Utilization Comparison</h3>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                      <thead>
+                        <tr className="border-b">
+                          <th className="text-left py-2 px-4">Employee</th>
+                          <th className="text-right py-2 px-4">Total</th>
+                          <th className="text-right py-2 px-4">Change</th>
+                          <th className="text-right py-2 px-4">Billable</th>
+                          <th className="text-right py-2 px-4">Change</th>
+                          <th className="text-right py-2 px-4">Utilization %</th>
+                          <th className="text-right py-2 px-4">Change</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[...new Set([...Object.keys(employeeUtilization), ...Object.keys(comparison.employees)])]
+                          .sort()
+                          .map(employee => {
+                            const current = employeeUtilization[employee] || { hours: 0, billableHours: 0, utilization: 0 };
+                            const previous = comparison.employees[employee] || { hours: 0, billableHours: 0, utilization: 0 };
+                            return (
+                              <tr key={employee} className="border-b hover:bg-gray-50">
+                                <td className="py-2 px-4">{employee}</td>
+                                <td className="text-right py-2 px-4 font-medium">{current.hours.toFixed(1)}</td>
+                                <td className="text-right py-2 px-4"><ComparisonDelta current={current.hours} previous={previous.hours} /></td>
+                                <td className="text-right py-2 px-4 text-green-600">{current.billableHours.toFixed(1)}</td>
+                                <td className="text-right py-2 px-4"><ComparisonDelta current={current.billableHours} previous={previous.billableHours} /></td>
+                                <td className="text-right py-2 px-4">{current.utilization.toFixed(1)}%</td>
+                                <td className="text-right py-2 px-4">
+                                  <ComparisonDelta current={current.utilization} previous={previous.utilization} format={(v) => `${v.toFixed(1)}pt`} />
+                                </td>
+                              </tr>
+                            );
+                          })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
               {/* Weekly Breakdown */}
               <div className="bg-white rounded-lg shadow-sm p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Weekly Breakdown</h3>
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Weekly Breakdown</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Capacity is each person&apos;s weekly target less holidays (*) and time off; utilization is billable hours over capacity. Click a name for that person&apos;s profile.
+                </p>
                 <div className="overflow-x-auto">
                   <table className="min-w-full">
                     <thead>
@@ -641,33 +1026,51 @@ const App = () => {
                         <th className="text-right py-2 px-4">Billable</th>
                         <th className="text-right py-2 px-4">Internal</th>
                         <th className="text-right py-2 px-4">External</th>
+                        <th className="text-right py-2 px-4">Time Off</th>
+                        <th className="text-right py-2 px-4">Capacity</th>
                         <th className="text-right py-2 px-4">Utilization %</th>
                         <th className="text-right py-2 px-4">Days</th>
                       </tr>
                     </thead>
                     <tbody>
                       {weeklyUtilization.map(([weekStart, employeeMap]) => {
-                        return Array.from(employeeMap.entries()).map(([employee, stats]) => (
+                        return Array.from(employeeMap.entries()).map(([employee, stats]) => {
+                          // Utilization is measured against the hours left after holidays and time off
+                          const capacity = computeWeekCapacity(settings, employee, weekStart, stats);
+                          const rate = capacity.utilization;
+                          return (
                           <tr key={`${weekStart}-${employee}`} className="border-b hover:bg-gray-50">
-                            <td className="py-2 px-4">{formatDate(new Date(weekStart), 'MMM d, yyyy')}</td>
-                            <td className="py-2 px-4">{employee}</td>
+                            <td className="py-2 px-4">{formatDate(parseLocalDate(weekStart), 'MMM d, yyyy')}</td>
+                            <td className="py-2 px-4">
+                              <button onClick={() => openProfile(employee)} className="text-indigo-600 hover:text-indigo-800 hover:underline">
+                                {employee}
+                              </button>
+                            </td>
                             <td className="text-right py-2 px-4 font-medium">{stats.hours.toFixed(1)}</td>
                             <td className="text-right py-2 px-4 text-green-600">{stats.billableHours.toFixed(1)}</td>
                             <td className="text-right py-2 px-4 text-purple-600">{stats.internalHours.toFixed(1)}</td>
                             <td className="text-right py-2 px-4 text-blue-600">{stats.externalHours.toFixed(1)}</td>
+                            <td className="text-right py-2 px-4 text-gray-500">{stats.timeOffHours > 0 ? stats.timeOffHours.toFixed(1) : '–'}</td>
+                            <td
+                              className="text-right py-2 px-4"
+                              title={capacity.holidays.map(holiday => holiday.name).join(', ') || undefined}
+                            >
+                              {capacity.available.toFixed(1)}
+                              {capacity.holidays.length > 0 && <span className="text-gray-400"> *</span>}
+                            </td>
                             <td className="text-right py-2 px-4">
                               <span className={`font-medium ${
-                                stats.hours > 0 ? 
-                                  (stats.billableHours / stats.hours > 0.8 ? 'text-green-600' : 
-                                   stats.billableHours / stats.hours > 0.6 ? 'text-yellow-600' : 'text-red-600')
-                                  : 'text-gray-400'
+                                rate === null ? 'text-gray-400' :
+                                  rate > 80 ? 'text-green-600' :
+                                  rate > 60 ? 'text-yellow-600' : 'text-red-600'
                               }`}>
-                                {stats.hours > 0 ? ((stats.billableHours / stats.hours) * 100).toFixed(1) : '0'}%
+                                {rate === null ? '–' : `${rate.toFixed(1)}%`}
                               </span>
                             </td>
                             <td className="text-right py-2 px-4">{stats.days.size}</td>
                           </tr>
-                        ));
+                          );
+                        });
                       })}
                     </tbody>
                   </table>
@@ -676,6 +1079,11 @@ const App = () => {
             </div>
           )}
 
+          {/* Heatmaps Tab */}
+          {activeTab === 'heatmaps' && (
+            <HeatmapView rows={filteredData} weeklyUtilization={weeklyUtilization} settings={settings} />
+          )}
+
           {/* Internal Tab */}
           {activeTab === 'internal' && (
             <div className="space-y-6">
@@ -747,7 +1155,7 @@ const App = () => {
                                       {expandedRows.has(`task-${client}-${project}-${task}`) && (
                                         <div className="mt-2 ml-4 text-xs space-y-1">
                                           {data.entries
-                                            .sort((a, b) => b['Date'] - a['Date'])
+                                            .map(position => processedData[position])
                                             .map((entry, idx) => (
                                               <div key={idx} className="flex justify-between py-1 px-2 bg-gray-50 rounded">
                                                 <span>{formatDate(entry['Date'], 'MMM d, yyyy')}</span>
@@ -777,14 +1185,7 @@ const App = () => {
               <div className="bg-white rounded-lg shadow-sm p-6">
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Internal Hours by Employee</h3>
                 <div className="space-y-3">
-                  {Object.entries(
-                    internalData.reduce((acc, row) => {
-                      acc[row['Full Name']] = (acc[row['Full Name']] || 0) + row['Hours'];
-                      return acc;
-                    }, {})
-                  )
-                  .sort(([,a], [,b]) => b - a)
-                  .map(([employee, hours]) => (
+                  {internalEmployeeHours.map(([employee, hours]) => (
                     <div key={employee} className="flex items-center">
                       <div className="flex-1">
                         <div className="flex justify-between mb-1">
@@ -810,29 +1211,38 @@ const App = () => {
             <div className="space-y-6">
               {/* Client Breakdown */}
               <div className="bg-white rounded-lg shadow-sm p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Client Hours Distribution</h3>
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Client Hours Distribution</h3>
+                <p className="text-sm text-gray-600 mb-4">Click a bar to filter by the client, or its name for the account profile</p>
                 <div className="space-y-3">
-                  {Object.entries(
-                    filteredData.reduce((acc, row) => {
-                      acc[row['Client']] = (acc[row['Client']] || 0) + row['Hours'];
-                      return acc;
-                    }, {})
-                  )
-                  .sort(([,a], [,b]) => b - a)
+                  {sortedClientHours
                   .slice(0, 10)
                   .map(([client, hours]) => {
-                    const isInternal = INTERNAL_CLIENTS.includes(client);
+                    const isInternal = isInternalClient(client);
                     return (
                       <div key={client} className="flex items-center">
                         <div className="flex-1">
                           <div className="flex justify-between mb-1">
                             <span className="text-sm font-medium text-gray-700">
-                              {client}
+                              <button onClick={() => openClientProfile(client)} className="hover:text-indigo-600 hover:underline">
+                                {client}
+                              </button>
                               {isInternal && <span className="ml-2 text-xs text-purple-600">(Internal)</span>}
                             </span>
-                            <span className="text-sm text-gray-600">{hours.toFixed(1)} hours</span>
+                            <span className="text-sm text-gray-600">
+                              {hours.toFixed(1)} hours
+                              {comparison && (
+                                <span className="ml-2">
+                                  <ComparisonDelta current={hours} previous={comparison.clientHours[client] || 0} />
+                                </span>
+                              )}
+                            </span>
                           </div>
-                          <div className="w-full bg-gray-200 rounded-full h-2">
+                          <div
+                            onClick={() => toggleCrossFilter('client', client)}
+                            className={`w-full bg-gray-200 rounded-full h-2 cursor-pointer hover:ring-2 ${
+                              filters.client.includes(client) ? 'ring-2 ring-indigo-300' : 'hover:ring-gray-300'
+                            }`}
+                          >
                             <div 
                               className={`h-2 rounded-full ${isInternal ? 'bg-purple-600' : 'bg-indigo-600'}`}
                               style={{ width: `${Math.min((hours / parseFloat(stats.totalHours)) * 100, 100)}%` }}
@@ -847,25 +1257,19 @@ const App = () => {
 
               {/* Project Analysis */}
               <div className="bg-white rounded-lg shadow-sm p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Top Projects by Hours</h3>
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Top Projects by Hours</h3>
+                <p className="text-sm text-gray-600 mb-4">Click a project to filter by it</p>
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {Object.entries(
-                    filteredData.reduce((acc, row) => {
-                      const key = `${row['Client']} - ${row['Project']}`;
-                      if (!acc[key]) {
-                        acc[key] = { hours: 0, billable: 0, isInternal: row['Is Internal'] };
-                      }
-                      acc[key].hours += row['Hours'];
-                      if (row['Billable?'] === 'Yes') {
-                        acc[key].billable += row['Hours'];
-                      }
-                      return acc;
-                    }, {})
-                  )
-                  .sort(([,a], [,b]) => b.hours - a.hours)
+                  {projectSummary
                   .slice(0, 9)
                   .map(([project, data]) => (
-                    <div key={project} className={`rounded-lg p-4 ${data.isInternal ? 'bg-purple-50' : 'bg-gray-50'}`}>
+                    <div
+                      key={project}
+                      onClick={() => toggleProjectFilter(data.client, data.project)}
+                      className={`rounded-lg p-4 cursor-pointer hover:shadow-md transition-shadow ${data.isInternal ? 'bg-purple-50' : 'bg-gray-50'} ${
+                        filters.project.includes(data.project) ? 'ring-2 ring-indigo-300' : ''
+                      }`}
+                    >
                       <h4 className="font-medium text-gray-900 text-sm mb-2">
                         {project}
                         {data.isInternal && <span className="ml-1 text-xs text-purple-600">(Internal)</span>}
@@ -883,6 +1287,29 @@ const App = () => {
                           <span className="text-gray-600">Rate:</span>
                           <span className="font-medium">{data.hours > 0 ? ((data.billable / data.hours) * 100).toFixed(0) : 0}%</span>
                         </div>
+                        {showFinancials && (
+                          <>
+                            <div className="flex justify-between text-sm border-t pt-1 mt-1">
+                              <span className="text-gray-600">Revenue:</span>
+                              <span className="font-medium text-green-600">{formatCurrency(data.revenue, currency)}</span>
+                            </div>
+                            <div className="flex justify-between text-sm">
+                              <span className="text-gray-600">Cost:</span>
+                              <span className="font-medium">{formatCurrency(data.cost, currency)}</span>
+                            </div>
+                            <div className="flex justify-between text-sm">
+                              <span className="text-gray-600">Margin:</span>
+                              <span className={`font-medium ${data.revenue - data.cost < 0 ? 'text-red-600' : ''}`}>
+                                {formatCurrency(data.revenue - data.cost, currency)}
+                                {data.revenue > 0 && ` (${(((data.revenue - data.cost) / data.revenue) * 100).toFixed(0)}%)`}
+                              </span>
+                            </div>
+                            <div className="flex justify-between text-sm">
+                              <span className="text-gray-600">Eff. Rate:</span>
+                              <span className="font-medium">{formatCurrency(data.hours > 0 ? data.revenue / data.hours : 0, currency, 2)}/h</span>
+                            </div>
+                          </>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -891,97 +1318,163 @@ const App = () => {
 
               {/* Monthly Trend */}
               <div className="bg-white rounded-lg shadow-sm p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Monthly Hours Trend</h3>
+                <div className="flex justify-between items-start mb-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-1">Monthly Hours Trend</h3>
+                    <p className="text-sm text-gray-600">
+                      {showForecast
+                        ? `Dashed lines project the next ${forecastHorizon} weeks from the filtered entries; the band is where the total should land 95% of the time`
+                        : 'Click a month, or drag across several, to narrow the dates'}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {showForecast && (
+                      <select
+                        value={forecastHorizon}
+                        onChange={(e) => setForecastHorizon(Number(e.target.value))}
+                        className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      >
+                        {FORECAST_HORIZONS.map(weeks => (
+                          <option key={weeks} value={weeks}>Next {weeks} weeks</option>
+                        ))}
+                      </select>
+                    )}
+                    <button
+                      onClick={() => setShowForecast(!showForecast)}
+                      className={`px-4 py-2 rounded-lg text-sm transition-colors ${
+                        showForecast ? 'bg-indigo-600 text-white hover:bg-indigo-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      {showForecast ? 'Hide Forecast' : 'Forecast'}
+                    </button>
+                  </div>
+                </div>
                 <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={
-                    Object.entries(
-                      filteredData.reduce((acc, row) => {
-                        const month = formatDate(row['Date'], 'MMM yyyy');
-                        if (!acc[month]) {
-                          acc[month] = { month, internal: 0, external: 0, total: 0 };
-                        }
-                        acc[month].total += row['Hours'];
-                        if (row['Is Internal']) {
-                          acc[month].internal += row['Hours'];
-                        } else {
-                          acc[month].external += row['Hours'];
-                        }
-                        return acc;
-                      }, {})
-                    )
-                    .map(([, data]) => data)
-                    .sort((a, b) => new Date(a.month) - new Date(b.month))
-                  }>
+                  <ComposedChart
+                    data={trendData}
+                    className="cursor-pointer select-none"
+                    onMouseDown={(e) => trendMonthIndex(e) !== null && setTrendSelection({ from: trendMonthIndex(e), to: trendMonthIndex(e) })}
+                    onMouseMove={(e) => trendSelection && trendMonthIndex(e) !== null && setTrendSelection({ ...trendSelection, to: trendMonthIndex(e) })}
+                    onMouseUp={() => {
+                      if (!trendSelection) return;
+                      selectTrendMonths(trendSelection.from, trendSelection.to);
+                      setTrendSelection(null);
+                    }}
+                    onMouseLeave={() => setTrendSelection(null)}
+                  >
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="month" />
                     <YAxis />
-                    <Tooltip />
+                    <Tooltip
+                      formatter={showForecast ? (value, name) => [
+                        Array.isArray(value) ? `${value[0].toFixed(1)}–${value[1].toFixed(1)}` : value.toFixed(1),
+                        name
+                      ] : undefined}
+                    />
                     <Legend />
+                    {showForecast && (
+                      <Area dataKey="totalBand" stroke="none" fill="#4F46E5" fillOpacity={0.12} name="Total (95% range)" />
+                    )}
                     <Line type="monotone" dataKey="total" stroke="#4F46E5" name="Total" />
+                    {showForecast && <Line type="monotone" dataKey="billable" stroke="#10B981" name="Billable" />}
                     <Line type="monotone" dataKey="internal" stroke="#7C3AED" name="Internal" />
                     <Line type="monotone" dataKey="external" stroke="#3B82F6" name="External" />
-                  </LineChart>
+                    {showForecast && TREND_SERIES.map(({ id, label, color }) => (
+                      <Line
+                        key={id}
+                        type="monotone"
+                        dataKey={`${id}Forecast`}
+                        stroke={color}
+                        strokeDasharray="5 5"
+                        name={`${label} (forecast)`}
+                        legendType="none"
+                        dot={false}
+                      />
+                    ))}
+                    {trendSelection && trendSelection.from !== trendSelection.to && (
+                      <ReferenceArea
+                        x1={monthlyTrend[trendSelection.from].month}
+                        x2={monthlyTrend[trendSelection.to].month}
+                        fill="#4F46E5"
+                        fillOpacity={0.1}
+                      />
+                    )}
+                  </ComposedChart>
                 </ResponsiveContainer>
+                {showForecast && (
+                  <div className="mt-6">
+                    {monthlyForecast.length === 0 && (
+                      <p className="text-sm text-gray-500 text-center pb-4">At least four complete weeks of entries are needed for a forecast</p>
+                    )}
+                    <HoursForecast rows={filteredData} settings={settings} asOf={latestEntryDate} horizon={forecastHorizon} />
+                  </div>
+                )}
               </div>
             </div>
           )}
 
+          {/* Notes Tab */}
+          {activeTab === 'notes' && (
+            <NotesView rows={filteredData} />
+          )}
+
+          {/* Budgets Tab */}
+          {activeTab === 'budgets' && (
+            <ProjectBudgets
+              budgets={budgets}
+              onChange={setBudgets}
+              projectEntries={projectEntries}
+              asOf={latestEntryDate}
+              currency={currency}
+            />
+          )}
+
+          {/* Employee Profile (opened from the weekly breakdown) */}
+          {activeTab === 'profile' && (
+            <EmployeeProfile
+              rows={profileRows}
+              employee={profileEmployee}
+              settings={settings}
+              onBack={() => setActiveTab('utilization')}
+            />
+          )}
+
+          {/* Client Profile (opened from the client hours distribution) */}
+          {activeTab === 'client' && (
+            <ClientProfile
+              rows={profileRows}
+              client={profileClient}
+              clients={dataset.values.client}
+              asOf={latestEntryDate}
+              weekStartsOn={settings.weekStartsOn}
+              isInternal={isInternalClient(profileClient)}
+              onSelectClient={setProfileClient}
+              onBack={() => setActiveTab('insights')}
+            />
+          )}
+
+          {/* Compliance Tab */}
+          {activeTab === 'compliance' && (
+            <ComplianceView
+              rows={complianceRows}
+              start={compliancePeriod.start}
+              end={compliancePeriod.end}
+              roster={roster}
+              employees={filters.employee}
+              holidays={settings.holidays}
+              weekStartsOn={settings.weekStartsOn}
+              onRosterChange={setRoster}
+            />
+          )}
+
+          {/* Anomalies Tab */}
+          {activeTab === 'anomalies' && (
+            <AnomaliesPanel rows={filteredData} settings={settings} />
+          )}
+
           {/* Details Tab */}
           {activeTab === 'details' && (
-            <div className="bg-white rounded-lg shadow-sm overflow-hidden">
-              <div className="overflow-x-auto">
-                <table className="min-w-full">
-                  <thead className="bg-gray-50">
-                    <tr>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Project</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Task</th>
-                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
-                      <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
-                      <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Billable</th>
-                    </tr>
-                  </thead>
-                  <tbody className="bg-white divide-y divide-gray-200">
-                    {filteredData.slice(0, 100).map((row, index) => (
-                      <tr key={index} className="hover:bg-gray-50">
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {formatDate(row['Date'], 'MMM d, yyyy')}
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row['Full Name']}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {row['Client']}
-                          {row['Is Internal'] && <span className="ml-1 text-xs text-purple-600">(Int)</span>}
-                        </td>
-                        <td className="px-6 py-4 text-sm text-gray-900">{row['Project']}</td>
-                        <td className="px-6 py-4 text-sm text-gray-900">{row['Task']}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">{row['Hours'].toFixed(1)}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
-                          <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${
-                            row['Is Internal'] ? 'bg-purple-100 text-purple-800' : 'bg-blue-100 text-blue-800'
-                          }`}>
-                            {row['Is Internal'] ? 'Internal' : 'External'}
-                          </span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
-                          {row['Billable?'] === 'Yes' ? (
-                            <span className="text-green-600">✓</span>
-                          ) : (
-                            <span className="text-gray-400">-</span>
-                          )}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-              {filteredData.length > 100 && (
-                <div className="px-6 py-4 bg-gray-50 text-sm text-gray-600 text-center">
-                  Showing first 100 of {filteredData.length} entries (sorted by date, newest first)
-                </div>
-              )}
-            </div>
+            <DetailsTable rows={filteredData} />
           )}
         </div>
       )}
@@ -0,0 +1,197 @@
+import { formatDate, startOfWeek } from './dates.js';
+
+export const ANOMALY_TYPES = [
+  { id: 'long-entry', label: 'Unusually long entry', description: "Single entries far above the person's usual entry length" },
+  { id: 'client-switch', label: 'Sudden client switch', description: 'Weeks mostly spent on a client the person had not logged to in the previous four weeks' },
+  { id: 'duplicate', label: 'Possible duplicate', description: 'Entries on the same day with the same client, project, task, hours and notes' },
+  { id: 'billable-internal', label: 'Billable internal time', description: 'Billable entries on internal clients' },
+  { id: 'non-billable', label: 'Non-billable on billable project', description: 'Non-billable entries on projects that are almost always billed' },
+  { id: 'off-day', label: 'Weekend or holiday work', description: 'Entries on Saturdays, Sundays or configured holidays' }
+];
+
+// A person needs this many entries before their usual entry length means anything
+const MIN_ENTRIES_FOR_NORM = 10;
+
+// Robust z-score (median and scaled median absolute deviation) above which an entry is flagged;
+// entries also have to be at least LONG_ENTRY_MIN_HOURS and twice the median
+const LONG_ENTRY_Z = 4;
+const LONG_ENTRY_MIN_HOURS = 4;
+
+// Client switches look back this many weeks and need the new client to take this share of the week
+const SWITCH_LOOKBACK_WEEKS = 4;
+const SWITCH_SHARE = 0.5;
+
+// A project counts as normally billable when at least this share of its hours (and
+// MIN_PROJECT_ENTRIES entries) are billable
+const BILLABLE_PROJECT_SHARE = 0.9;
+const MIN_PROJECT_ENTRIES = 10;
+
+const dayKey = (date) => formatDate(date, 'yyyy-MM-dd');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const groupBy = (rows, getKey) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = getKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+const totalHours = (rows) => rows.reduce((sum, row) => sum + row['Hours'], 0);
+
+const newestDate = (rows) => rows.reduce((latest, row) => (row['Date'] > latest ? row['Date'] : latest), rows[0]['Date']);
+
+const detectLongEntries = (rows) => {
+  const anomalies = [];
+  groupBy(rows, row => row['Full Name']).forEach((entries, employee) => {
+    if (entries.length < MIN_ENTRIES_FOR_NORM) return;
+    const hours = entries.map(row => row['Hours']);
+    const typical = median(hours);
+    const spread = 1.4826 * median(hours.map(value => Math.abs(value - typical)));
+    entries.forEach(row => {
+      const value = row['Hours'];
+      if (value < LONG_ENTRY_MIN_HOURS || value < typical * 2) return;
+      if (spread > 0 && (value - typical) / spread < LONG_ENTRY_Z) return;
+      anomalies.push({
+        type: 'long-entry',
+        employee,
+        date: row['Date'],
+        title: `${value.toFixed(1)}h entry`,
+        detail: `${row['Client']} › ${row['Project']}; their entries are usually about ${typical.toFixed(1)}h`,
+        rows: [row]
+      });
+    });
+  });
+  return anomalies;
+};
+
+const detectClientSwitches = (rows, weekStartsOn) => {
+  const anomalies = [];
+  groupBy(rows, row => row['Full Name']).forEach((entries, employee) => {
+    const weeks = Array.from(groupBy(entries, row => dayKey(startOfWeek(row['Date'], weekStartsOn))).entries())
+      .sort(([a], [b]) => a.localeCompare(b));
+    weeks.forEach(([weekStart, weekRows], index) => {
+      if (index < 2) return;
+      const earlier = weeks.slice(Math.max(0, index - SWITCH_LOOKBACK_WEEKS), index);
+      const previousClients = new Set(earlier.flatMap(([, list]) => list.map(row => row['Client'])));
+      const weekTotal = totalHours(weekRows);
+      groupBy(weekRows, row => row['Client']).forEach((clientRows, client) => {
+        const share = weekTotal > 0 ? totalHours(clientRows) / weekTotal : 0;
+        if (previousClients.has(client) || share < SWITCH_SHARE) return;
+        anomalies.push({
+          type: 'client-switch',
+          employee,
+          date: newestDate(clientRows),
+          title: `Switched to ${client}`,
+          detail: `${Math.round(share * 100)}% of the week of ${weekStart}, after none in the previous ${earlier.length} weeks with entries`,
+          rows: clientRows
+        });
+      });
+    });
+  });
+  return anomalies;
+};
+
+const normalizeNotes = (notes) => String(notes || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const detectDuplicates = (rows) => {
+  const anomalies = [];
+  groupBy(rows, row => [
+    row['Full Name'], dayKey(row['Date']), row['Client'], row['Project'], row['Task'], row['Hours'], normalizeNotes(row['Notes'])
+  ].join('\u0000')).forEach(group => {
+    if (group.length < 2) return;
+    const [row] = group;
+    anomalies.push({
+      type: 'duplicate',
+      employee: row['Full Name'],
+      date: row['Date'],
+      title: `${group.length} identical ${row['Hours'].toFixed(2)}h entries`,
+      detail: `${row['Client']} › ${row['Project']} › ${row['Task'] || 'No Task'}`,
+      rows: group
+    });
+  });
+  return anomalies;
+};
+
+// One anomaly per person and client/project, so a habit shows up once with all of its rows
+const groupByPersonAndProject = (rows, type, describe) => {
+  const anomalies = [];
+  groupBy(rows, row => `${row['Full Name']}\u0000${row['Client']}\u0000${row['Project']}`).forEach(group => {
+    const [row] = group;
+    anomalies.push({
+      type,
+      employee: row['Full Name'],
+      date: newestDate(group),
+      title: `${totalHours(group).toFixed(1)}h on ${row['Client']} › ${row['Project']}`,
+      detail: describe(group),
+      rows: group
+    });
+  });
+  return anomalies;
+};
+
+const detectBillableInternal = (rows) => groupByPersonAndProject(
+  rows.filter(row => row['Is Internal'] && row['Billable?'] === 'Yes'),
+  'billable-internal',
+  group => `${group.length} billable ${group.length === 1 ? 'entry' : 'entries'} on an internal client`
+);
+
+const detectNonBillable = (rows) => {
+  const billableProjects = new Set();
+  groupBy(rows, row => `${row['Client']}\u0000${row['Project']}`).forEach((entries, key) => {
+    const hours = totalHours(entries);
+    const billable = totalHours(entries.filter(row => row['Billable?'] === 'Yes'));
+    if (entries.length >= MIN_PROJECT_ENTRIES && hours > 0 && billable / hours >= BILLABLE_PROJECT_SHARE) billableProjects.add(key);
+  });
+  return groupByPersonAndProject(
+    rows.filter(row => row['Billable?'] !== 'Yes' && billableProjects.has(`${row['Client']}\u0000${row['Project']}`)),
+    'non-billable',
+    group => `${group.length} non-billable ${group.length === 1 ? 'entry' : 'entries'} on a project billed at least ${BILLABLE_PROJECT_SHARE * 100}% of the time`
+  );
+};
+
+const detectOffDays = (rows, holidays) => {
+  const holidayNames = new Map(holidays.map(holiday => [holiday.date, holiday.name]));
+  const anomalies = [];
+  groupBy(
+    rows.filter(row => {
+      const day = row['Date'].getDay();
+      return day === 0 || day === 6 || holidayNames.has(dayKey(row['Date']));
+    }),
+    row => `${row['Full Name']}\u0000${dayKey(row['Date'])}`
+  ).forEach(group => {
+    const [row] = group;
+    const date = dayKey(row['Date']);
+    anomalies.push({
+      type: 'off-day',
+      employee: row['Full Name'],
+      date: row['Date'],
+      title: `${totalHours(group).toFixed(1)}h on ${holidayNames.get(date) || formatDate(row['Date'], 'MMM d, yyyy')}`,
+      detail: holidayNames.has(date) ? 'Holiday' : 'Weekend',
+      rows: group
+    });
+  });
+  return anomalies;
+};
+
+// Everything suspicious in the processed rows, newest first:
+// [{ type (an ANOMALY_TYPES id), employee, date, title, detail, rows }] where rows are the
+// offending entries. Time off is left out; it is expected to look unlike work.
+export const detectAnomalies = (rows, { holidays = [], weekStartsOn = 1 } = {}) => {
+  const worked = rows.filter(row => !row['Is Time Off']);
+  return [
+    ...detectLongEntries(worked),
+    ...detectClientSwitches(worked, weekStartsOn),
+    ...detectDuplicates(worked),
+    ...detectBillableInternal(worked),
+    ...detectNonBillable(worked),
+    ...detectOffDays(worked, holidays)
+  ].sort((a, b) => b.date - a.date || a.employee.localeCompare(b.employee));
+};
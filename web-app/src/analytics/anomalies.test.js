@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { detectAnomalies } from './anomalies.js';
+
+// Processed rows, as produced by processRows
+const row = (date, hours, overrides = {}) => ({
+  'Date': date,
+  'Hours': hours,
+  'Full Name': 'Ada Lovelace',
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Notes': '',
+  'Billable?': 'Yes',
+  'Is Internal': false,
+  ...overrides
+});
+
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+// Two entries a workday for the first two weeks of March 2024
+const routine = () => [4, 5, 6, 7, 8, 11, 12, 13, 14, 15].flatMap(date => [
+  row(day(2024, 3, date), 3, { 'Notes': `morning ${date}` }),
+  row(day(2024, 3, date), 4, { 'Notes': `afternoon ${date}` })
+]);
+
+const ofType = (anomalies, type) => anomalies.filter(anomaly => anomaly.type === type);
+
+describe('detectAnomalies', () => {
+  it('finds nothing in ordinary weekday work', () => {
+    expect(detectAnomalies(routine())).toEqual([]);
+  });
+
+  it('flags an entry far above the person\'s usual length', () => {
+    const long = row(day(2024, 3, 14), 12, { 'Notes': 'release' });
+    const [anomaly] = ofType(detectAnomalies([...routine(), long]), 'long-entry');
+    expect(anomaly).toMatchObject({ employee: 'Ada Lovelace', title: '12.0h entry', rows: [long] });
+  });
+
+  it('needs enough entries to know what is usual', () => {
+    const rows = [row(day(2024, 3, 4), 1), row(day(2024, 3, 5), 1), row(day(2024, 3, 6), 12)];
+    expect(ofType(detectAnomalies(rows), 'long-entry')).toEqual([]);
+  });
+
+  it('flags a week mostly spent on a client not seen in the weeks before', () => {
+    const switched = [
+      row(day(2024, 3, 18), 30, { 'Client': 'Globex', 'Notes': 'kickoff' }),
+      row(day(2024, 3, 19), 5, { 'Notes': 'handover' })
+    ];
+    const [anomaly] = ofType(detectAnomalies([...routine(), ...switched]), 'client-switch');
+    expect(anomaly).toMatchObject({ title: 'Switched to Globex', rows: [switched[0]] });
+    expect(anomaly.detail).toMatch(/^86% of the week of 2024-03-18/);
+  });
+
+  it('does not call the first weeks of someone\'s history a switch', () => {
+    const rows = [row(day(2024, 3, 4), 8), row(day(2024, 3, 11), 8, { 'Client': 'Globex' })];
+    expect(ofType(detectAnomalies(rows), 'client-switch')).toEqual([]);
+  });
+
+  it('groups identical entries on the same day, ignoring note case and spacing', () => {
+    const first = row(day(2024, 3, 5), 2, { 'Notes': 'Standup' });
+    const second = row(day(2024, 3, 5), 2, { 'Notes': ' standup ' });
+    const other = row(day(2024, 3, 5), 2, { 'Notes': 'Review' });
+    expect(ofType(detectAnomalies([first, second, other]), 'duplicate')).toEqual([
+      expect.objectContaining({ title: '2 identical 2.00h entries', rows: [first, second] })
+    ]);
+  });
+
+  it('flags billable time on internal clients once per person and project', () => {
+    const rows = [
+      row(day(2024, 3, 4), 2, { 'Client': 'Internal', 'Project': 'Admin', 'Is Internal': true }),
+      row(day(2024, 3, 6), 1, { 'Client': 'Internal', 'Project': 'Admin', 'Is Internal': true }),
+      row(day(2024, 3, 6), 3, { 'Client': 'Internal', 'Project': 'Admin', 'Is Internal': true, 'Billable?': 'No' })
+    ];
+    expect(ofType(detectAnomalies(rows), 'billable-internal')).toEqual([
+      expect.objectContaining({ title: '3.0h on Internal › Admin', date: day(2024, 3, 6), rows: rows.slice(0, 2) })
+    ]);
+  });
+
+  it('flags non-billable time only on projects that are almost always billed', () => {
+    const unbilled = row(day(2024, 3, 15), 1, { 'Billable?': 'No', 'Notes': 'rework' });
+    const mixed = [
+      row(day(2024, 3, 4), 1, { 'Project': 'Support', 'Billable?': 'No' }),
+      row(day(2024, 3, 5), 1, { 'Project': 'Support' })
+    ];
+    expect(ofType(detectAnomalies([...routine(), unbilled, ...mixed]), 'non-billable')).toEqual([
+      expect.objectContaining({ title: '1.0h on Acme › Website', rows: [unbilled] })
+    ]);
+  });
+
+  it('flags weekend and holiday work but not time off', () => {
+    const saturday = row(day(2024, 3, 9), 2);
+    const holiday = row(day(2024, 5, 27), 3);
+    const vacation = row(day(2024, 3, 10), 8, { 'Is Time Off': true });
+    const anomalies = ofType(
+      detectAnomalies([saturday, holiday, vacation], { holidays: [{ date: '2024-05-27', name: 'Memorial Day' }] }),
+      'off-day'
+    );
+    expect(anomalies.map(anomaly => [anomaly.title, anomaly.detail])).toEqual([
+      ['3.0h on Memorial Day', 'Holiday'],
+      ['2.0h on Mar 9, 2024', 'Weekend']
+    ]);
+  });
+});
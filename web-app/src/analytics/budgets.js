@@ -0,0 +1,111 @@
+import Papa from 'papaparse';
+import { formatDate, addDays } from './dates.js';
+import { parseAmount } from './financials.js';
+
+export const BUDGET_TYPES = ['hours', 'currency'];
+export const BUDGET_ALERT_LEVELS = [100, 90, 75];
+
+// Days of history used to estimate the current burn rate
+const BURN_RATE_WINDOW = 28;
+
+export const getProjectKey = (client, project) => `${client || 'No Client'} - ${project || 'No Project'}`;
+
+const normalizeBudget = (budget) => {
+  const amount = parseFloat(budget && budget.amount);
+  if (!budget || !budget.client || !budget.project || !Number.isFinite(amount) || amount <= 0) {
+    return null;
+  }
+  return {
+    client: String(budget.client).trim(),
+    project: String(budget.project).trim(),
+    type: BUDGET_TYPES.includes(budget.type) ? budget.type : 'hours',
+    amount
+  };
+};
+
+export const normalizeBudgets = (budgets) => (
+  Array.isArray(budgets) ? budgets.map(normalizeBudget).filter(Boolean) : []
+);
+
+// Accepts a small CSV with Client, Project, Budget and an optional Type (hours or currency) column
+export const parseBudgetCsv = (text) => {
+  const { data, meta } = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: (header) => header.trim().toLowerCase()
+  });
+
+  const missing = ['client', 'project', 'budget'].filter(column => !meta.fields.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Budget CSV is missing columns: ${missing.join(', ')}`);
+  }
+
+  return normalizeBudgets(data.map(row => ({
+    client: row['client'],
+    project: row['project'],
+    amount: parseAmount(row['budget']),
+    type: String(row['type'] || 'hours').trim().toLowerCase()
+  })));
+};
+
+// Replace budgets for the same project, keep the rest
+export const mergeBudgets = (existing, incoming) => {
+  const incomingKeys = new Set(incoming.map(b => getProjectKey(b.client, b.project)));
+  return [
+    ...existing.filter(b => !incomingKeys.has(getProjectKey(b.client, b.project))),
+    ...incoming
+  ];
+};
+
+export const getBudgetAlertLevel = (percent) => BUDGET_ALERT_LEVELS.find(level => percent >= level) || null;
+
+// Burn-up/burn-down series, percent consumed and projected exhaustion for one project.
+// asOf anchors the burn-rate window so older exports project from their own last entry.
+export const computeBudgetStatus = (entries, budget, asOf) => {
+  const consumption = (row) => (budget.type === 'currency' ? row['Revenue'] : row['Hours']);
+
+  const daily = new Map();
+  entries.forEach(row => {
+    const key = formatDate(row['Date'], 'yyyy-MM-dd');
+    if (!daily.has(key)) {
+      daily.set(key, { date: row['Date'], value: 0 });
+    }
+    daily.get(key).value += consumption(row);
+  });
+
+  let consumed = 0;
+  const series = Array.from(daily.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, { date, value }]) => {
+      consumed += value;
+      return { key, date, label: formatDate(date, 'MMM d'), consumed, remaining: budget.amount - consumed };
+    });
+
+  const windowStart = formatDate(addDays(asOf, -BURN_RATE_WINDOW), 'yyyy-MM-dd');
+  const windowEnd = formatDate(asOf, 'yyyy-MM-dd');
+  const recent = series
+    .filter(point => point.key > windowStart && point.key <= windowEnd)
+    .reduce((sum, point) => sum + daily.get(point.key).value, 0);
+  const burnRatePerDay = recent / BURN_RATE_WINDOW;
+
+  const remaining = budget.amount - consumed;
+  let projectedExhaustion = null;
+  if (remaining <= 0) {
+    const crossing = series.find(point => point.remaining <= 0);
+    projectedExhaustion = crossing ? crossing.date : null;
+  } else if (burnRatePerDay > 0) {
+    projectedExhaustion = addDays(asOf, Math.ceil(remaining / burnRatePerDay));
+  }
+
+  const percent = budget.amount > 0 ? (consumed / budget.amount) * 100 : 0;
+
+  return {
+    consumed,
+    remaining,
+    percent,
+    burnRatePerWeek: burnRatePerDay * 7,
+    projectedExhaustion,
+    alertLevel: getBudgetAlertLevel(percent),
+    series
+  };
+};
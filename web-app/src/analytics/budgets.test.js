@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { computeBudgetStatus, parseBudgetCsv, mergeBudgets, getBudgetAlertLevel } from './budgets.js';
+
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+const entry = (date, hours, revenue = 0) => ({ 'Date': date, 'Hours': hours, 'Revenue': revenue });
+
+const hoursBudget = { client: 'Acme', project: 'Website', type: 'hours', amount: 100 };
+
+describe('computeBudgetStatus', () => {
+  it('projects exhaustion from the burn over the last four weeks', () => {
+    const status = computeBudgetStatus([
+      entry(day(2024, 2, 1), 40),
+      entry(day(2024, 3, 1), 10),
+      entry(day(2024, 3, 20), 10),
+      entry(day(2024, 3, 20), 8)
+    ], hoursBudget, day(2024, 3, 25));
+    expect(status).toMatchObject({ consumed: 68, remaining: 32, percent: 68, burnRatePerWeek: 7, alertLevel: null });
+    expect(status.projectedExhaustion).toEqual(day(2024, 4, 26));
+    expect(status.series.map(point => [point.key, point.consumed, point.remaining])).toEqual([
+      ['2024-02-01', 40, 60],
+      ['2024-03-01', 50, 50],
+      ['2024-03-20', 68, 32]
+    ]);
+  });
+
+  it('dates an exhausted budget by the day it ran out', () => {
+    const status = computeBudgetStatus([
+      entry(day(2024, 3, 1), 60),
+      entry(day(2024, 3, 5), 50),
+      entry(day(2024, 3, 8), 10)
+    ], hoursBudget, day(2024, 3, 8));
+    expect(status).toMatchObject({ consumed: 120, remaining: -20, alertLevel: 100 });
+    expect(status.projectedExhaustion).toEqual(day(2024, 3, 5));
+  });
+
+  it('burns billable amounts for currency budgets', () => {
+    const status = computeBudgetStatus(
+      [entry(day(2024, 3, 1), 4, 600), entry(day(2024, 3, 4), 2, 300)],
+      { ...hoursBudget, type: 'currency', amount: 1000 },
+      day(2024, 3, 4)
+    );
+    expect(status).toMatchObject({ consumed: 900, percent: 90, alertLevel: 90 });
+  });
+
+  it('has no projection without recent burn', () => {
+    const status = computeBudgetStatus([entry(day(2024, 1, 2), 10)], hoursBudget, day(2024, 3, 4));
+    expect(status).toMatchObject({ burnRatePerWeek: 0, projectedExhaustion: null });
+  });
+});
+
+describe('getBudgetAlertLevel', () => {
+  it('returns the highest level reached', () => {
+    expect([50, 75, 95, 130].map(getBudgetAlertLevel)).toEqual([null, 75, 90, 100]);
+  });
+});
+
+describe('parseBudgetCsv', () => {
+  it('reads budgets in any column case and drops unusable amounts', () => {
+    const csv = 'client,PROJECT,Budget,Type\nAcme,Website,"$1,200",Currency\nAcme,Portal,40,\nGlobex,Intranet,0,hours\n';
+    expect(parseBudgetCsv(csv)).toEqual([
+      { client: 'Acme', project: 'Website', type: 'currency', amount: 1200 },
+      { client: 'Acme', project: 'Portal', type: 'hours', amount: 40 }
+    ]);
+  });
+
+  it('names the missing columns', () => {
+    expect(() => parseBudgetCsv('Client,Hours\nAcme,10\n')).toThrow('Budget CSV is missing columns: project, budget');
+  });
+});
+
+describe('mergeBudgets', () => {
+  it('replaces budgets for the same project and keeps the rest', () => {
+    const portal = { client: 'Acme', project: 'Portal', type: 'hours', amount: 40 };
+    const updated = { ...hoursBudget, amount: 150 };
+    expect(mergeBudgets([hoursBudget, portal], [updated])).toEqual([portal, updated]);
+  });
+});
@@ -0,0 +1,49 @@
+import { parseLocalDate, addDays, formatDate } from './dates.js';
+import { getEmployeeThresholds } from './settings.js';
+
+// Capacity is spread evenly over Monday to Friday; weekend holidays cost nothing
+const WORKDAYS_PER_WEEK = 5;
+
+const isWorkday = (date) => date.getDay() >= 1 && date.getDay() <= 5;
+
+// Holidays falling on a workday in the week that starts on weekStart (yyyy-MM-dd)
+export const getWeekHolidays = (holidays, weekStart) => {
+  const start = parseLocalDate(weekStart);
+  if (!start || holidays.length === 0) return [];
+  const workdays = new Set();
+  for (let i = 0; i < 7; i++) {
+    const day = addDays(start, i);
+    if (isWorkday(day)) workdays.add(formatDate(day, 'yyyy-MM-dd'));
+  }
+  return holidays.filter(holiday => workdays.has(holiday.date));
+};
+
+// What a person could have worked in one week, given a computeWeeklyUtilization entry.
+// Each workday holiday removes a fifth of their weekly target; time off logged on other
+// days removes its hours (time off logged on a holiday is not taken off twice). Time off
+// never counts as worked hours. utilization is billable over available hours, in percent,
+// and null when the whole week was off.
+export const computeWeekCapacity = (settings, employee, weekStart, stats) => {
+  const { target } = getEmployeeThresholds(settings, employee);
+  const holidays = getWeekHolidays(settings.holidays, weekStart);
+  const holidayDates = new Set(holidays.map(holiday => holiday.date));
+  const holidayHours = (target / WORKDAYS_PER_WEEK) * holidays.length;
+
+  let timeOffHours = 0;
+  stats.timeOff.forEach((hours, date) => {
+    if (!holidayDates.has(date)) timeOffHours += hours;
+  });
+
+  const available = Math.max(0, target - holidayHours - timeOffHours);
+  return {
+    target,
+    holidays,
+    holidayHours,
+    timeOffHours,
+    available,
+    // Share of a normal week the person was around for; thresholds scale by it
+    availability: target > 0 ? available / target : 0,
+    workedHours: stats.hours - stats.timeOffHours,
+    utilization: available > 0 ? (stats.billableHours / available) * 100 : null
+  };
+};
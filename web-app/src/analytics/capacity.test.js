@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { computeWeekCapacity, getWeekHolidays } from './capacity.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+const week = (overrides = {}) => ({
+  hours: 0,
+  billableHours: 0,
+  timeOffHours: 0,
+  timeOff: new Map(),
+  ...overrides
+});
+
+const holidays = [
+  { date: '2024-11-28', name: 'Thanksgiving' },
+  { date: '2024-11-30', name: 'Saturday event' },
+  { date: '2024-12-25', name: 'Christmas' }
+];
+
+describe('getWeekHolidays', () => {
+  it('keeps workday holidays inside the week', () => {
+    expect(getWeekHolidays(holidays, '2024-11-25').map(holiday => holiday.name)).toEqual(['Thanksgiving']);
+  });
+
+  it('finds the same workdays when weeks start on Sunday', () => {
+    expect(getWeekHolidays(holidays, '2024-11-24').map(holiday => holiday.name)).toEqual(['Thanksgiving']);
+    expect(getWeekHolidays(holidays, '2024-12-01')).toEqual([]);
+  });
+});
+
+describe('computeWeekCapacity', () => {
+  const settings = { ...DEFAULT_SETTINGS, holidays, employeeTargets: { 'Grace Hopper': 20 } };
+
+  it('is the standard week when nothing is off', () => {
+    const capacity = computeWeekCapacity(settings, 'Ada Lovelace', '2024-11-04', week({ hours: 40, billableHours: 30 }));
+    expect(capacity).toMatchObject({ target: 40, available: 40, availability: 1, workedHours: 40, utilization: 75 });
+  });
+
+  it('takes a fifth of the target off per workday holiday', () => {
+    expect(computeWeekCapacity(settings, 'Ada Lovelace', '2024-11-25', week()).available).toBe(32);
+    expect(computeWeekCapacity(settings, 'Grace Hopper', '2024-11-25', week()).available).toBe(16);
+  });
+
+  it('removes time off from capacity and from worked hours', () => {
+    const stats = week({ hours: 40, billableHours: 24, timeOffHours: 16, timeOff: new Map([['2024-11-04', 8], ['2024-11-05', 8]]) });
+    const capacity = computeWeekCapacity(settings, 'Ada Lovelace', '2024-11-04', stats);
+    expect(capacity).toMatchObject({ available: 24, workedHours: 24, utilization: 100, availability: 0.6 });
+  });
+
+  it('does not take time off logged on a holiday twice', () => {
+    const stats = week({ hours: 8, timeOffHours: 8, timeOff: new Map([['2024-11-28', 8]]) });
+    expect(computeWeekCapacity(settings, 'Ada Lovelace', '2024-11-25', stats).available).toBe(32);
+  });
+
+  it('has no utilization for a week entirely off', () => {
+    const stats = week({ hours: 40, timeOffHours: 40, timeOff: new Map([['2024-11-04', 40]]) });
+    const capacity = computeWeekCapacity(settings, 'Ada Lovelace', '2024-11-04', stats);
+    expect(capacity.available).toBe(0);
+    expect(capacity.utilization).toBeNull();
+  });
+});
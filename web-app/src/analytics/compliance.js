@@ -0,0 +1,87 @@
+import Papa from 'papaparse';
+import { addDays, formatDate, startOfDay, startOfWeek } from './dates.js';
+
+// A day above this many logged hours is almost certainly a data-entry mistake
+export const IMPLAUSIBLE_DAY_HOURS = 14;
+
+const isWorkday = (date) => date.getDay() >= 1 && date.getDay() <= 5;
+
+const uniqueSorted = (names) => Array.from(new Set(names.map(name => name.trim()).filter(Boolean))).sort();
+
+// Roster upload: a CSV with a Name or Employee column, or First Name and Last Name columns
+// (as in Harvest's team export). Anything else is read as one name per line.
+export const parseRoster = (text) => {
+  const { data, meta } = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: (header) => header.trim()
+  });
+  const fields = meta.fields || [];
+  const nameColumn = fields.find(field => /^(name|full name|employee|person)$/i.test(field));
+  const firstColumn = fields.find(field => /^first name$/i.test(field));
+  const lastColumn = fields.find(field => /^last name$/i.test(field));
+
+  if (nameColumn) return uniqueSorted(data.map(row => row[nameColumn] || ''));
+  if (firstColumn && lastColumn) {
+    return uniqueSorted(data.map(row => [row[firstColumn], row[lastColumn]].filter(Boolean).join(' ')));
+  }
+  return uniqueSorted(text.split(/\r?\n/));
+};
+
+// Timesheet completeness for everyone on the roster plus anyone else with entries, over
+// start..end (Dates, inclusive). Expected days are weekdays that are not holidays; a day
+// counts as logged if it has any entry, time off included. Per person:
+// { employee, onRoster, hours, expectedDays, loggedDays, completeness (percent),
+//   missingDays: [yyyy-MM-dd], emptyWeeks: [week start], longDays: [{ date, hours }] }
+// sorted least complete first.
+export const computeCompliance = (rows, { start, end, roster = [], holidays = [], weekStartsOn = 1 }) => {
+  const holidayDates = new Set(holidays.map(holiday => holiday.date));
+  const workdays = [];
+  const workdayWeeks = new Map();
+  for (let day = startOfDay(start); day <= end; day = addDays(day, 1)) {
+    if (!isWorkday(day) || holidayDates.has(formatDate(day, 'yyyy-MM-dd'))) continue;
+    const key = formatDate(day, 'yyyy-MM-dd');
+    workdays.push(key);
+    workdayWeeks.set(key, formatDate(startOfWeek(day, weekStartsOn), 'yyyy-MM-dd'));
+  }
+  const expectedWeeks = Array.from(new Set(workdayWeeks.values()));
+
+  const daily = new Map();
+  rows.forEach(row => {
+    const employee = row['Full Name'];
+    if (!daily.has(employee)) daily.set(employee, new Map());
+    const days = daily.get(employee);
+    const key = formatDate(row['Date'], 'yyyy-MM-dd');
+    days.set(key, (days.get(key) || 0) + row['Hours']);
+  });
+
+  const rosterNames = new Set(roster);
+  const people = uniqueSorted([...roster, ...Array.from(daily.keys()).filter(Boolean)]).map(employee => {
+    const days = daily.get(employee) || new Map();
+    const missingDays = workdays.filter(day => !days.has(day));
+    const loggedWeeks = new Set(workdays.filter(day => days.has(day)).map(day => workdayWeeks.get(day)));
+    const longDays = Array.from(days.entries())
+      .filter(([, hours]) => hours > IMPLAUSIBLE_DAY_HOURS)
+      .map(([date, hours]) => ({ date, hours }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    let hours = 0;
+    days.forEach(value => {
+      hours += value;
+    });
+
+    return {
+      employee,
+      onRoster: rosterNames.has(employee),
+      hours,
+      expectedDays: workdays.length,
+      loggedDays: workdays.length - missingDays.length,
+      completeness: workdays.length > 0 ? ((workdays.length - missingDays.length) / workdays.length) * 100 : 100,
+      missingDays,
+      emptyWeeks: expectedWeeks.filter(week => !loggedWeeks.has(week)),
+      longDays
+    };
+  });
+
+  people.sort((a, b) => a.completeness - b.completeness || a.employee.localeCompare(b.employee));
+  return { expectedDays: workdays.length, people };
+};
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { computeCompliance, parseRoster } from './compliance.js';
+import { buildComplianceSheet } from './sheets.js';
+import { parseLocalDate } from './dates.js';
+
+const entry = (employee, date, hours) => ({ 'Full Name': employee, 'Date': parseLocalDate(date), 'Hours': hours });
+
+// Mon 2024-11-04 .. Fri 2024-11-15: ten workdays over two weeks
+const period = { start: parseLocalDate('2024-11-04'), end: parseLocalDate('2024-11-15') };
+
+const days = (employee, dates, hours = 8) => dates.map(date => entry(employee, date, hours));
+
+const firstWeek = ['2024-11-04', '2024-11-05', '2024-11-06', '2024-11-07', '2024-11-08'];
+const secondWeek = ['2024-11-11', '2024-11-12', '2024-11-13', '2024-11-14', '2024-11-15'];
+
+describe('computeCompliance', () => {
+  it('lists missing workdays and empty weeks per person', () => {
+    const rows = [
+      ...days('Ada Lovelace', [...firstWeek, ...secondWeek]),
+      ...days('Grace Hopper', ['2024-11-04', '2024-11-05', '2024-11-06'])
+    ];
+    const { expectedDays, people } = computeCompliance(rows, period);
+
+    expect(expectedDays).toBe(10);
+    expect(people.map(person => person.employee)).toEqual(['Grace Hopper', 'Ada Lovelace']);
+    expect(people[0]).toMatchObject({
+      loggedDays: 3,
+      completeness: 30,
+      missingDays: ['2024-11-07', '2024-11-08', ...secondWeek],
+      emptyWeeks: ['2024-11-11'],
+      hours: 24
+    });
+    expect(people[1]).toMatchObject({ completeness: 100, missingDays: [], emptyWeeks: [] });
+  });
+
+  it('does not expect entries on weekends or holidays', () => {
+    const rows = days('Ada Lovelace', [...firstWeek.filter(date => date !== '2024-11-08'), '2024-11-09', ...secondWeek]);
+    const { people } = computeCompliance(rows, { ...period, holidays: [{ date: '2024-11-08', name: 'Company day' }] });
+    expect(people[0]).toMatchObject({ expectedDays: 9, completeness: 100, hours: 80 });
+  });
+
+  it('counts time off as a logged day', () => {
+    const rows = [...days('Ada Lovelace', firstWeek), ...days('Ada Lovelace', secondWeek).map(row => ({ ...row, 'Is Time Off': true }))];
+    expect(computeCompliance(rows, period).people[0].missingDays).toEqual([]);
+  });
+
+  it('flags days above the plausible total', () => {
+    const rows = [
+      ...days('Ada Lovelace', [...firstWeek, ...secondWeek]),
+      entry('Ada Lovelace', '2024-11-06', 7),
+      entry('Ada Lovelace', '2024-11-12', 5)
+    ];
+    expect(computeCompliance(rows, period).people[0].longDays).toEqual([{ date: '2024-11-06', hours: 15 }]);
+  });
+
+  it('includes roster members with no entries at all', () => {
+    const rows = days('Ada Lovelace', [...firstWeek, ...secondWeek]);
+    const { people } = computeCompliance(rows, { ...period, roster: ['Alan Turing', 'Ada Lovelace'] });
+    expect(people[0]).toMatchObject({
+      employee: 'Alan Turing',
+      onRoster: true,
+      completeness: 0,
+      emptyWeeks: ['2024-11-04', '2024-11-11']
+    });
+    expect(people[1]).toMatchObject({ employee: 'Ada Lovelace', onRoster: true });
+  });
+
+  it('groups weeks by the configured week start', () => {
+    const rows = days('Ada Lovelace', firstWeek);
+    expect(computeCompliance(rows, { ...period, weekStartsOn: 0 }).people[0].emptyWeeks).toEqual(['2024-11-10']);
+  });
+});
+
+describe('parseRoster', () => {
+  it('reads a Name column', () => {
+    expect(parseRoster('Name,Email\nGrace Hopper,g@example.com\nAda Lovelace,a@example.com\n')).toEqual(['Ada Lovelace', 'Grace Hopper']);
+  });
+
+  it('joins first and last name columns', () => {
+    expect(parseRoster('First Name,Last Name\nAda,Lovelace\nAda,Lovelace\n')).toEqual(['Ada Lovelace']);
+  });
+
+  it('falls back to one name per line', () => {
+    expect(parseRoster('Ada Lovelace\n\n  Grace Hopper  \n')).toEqual(['Ada Lovelace', 'Grace Hopper']);
+  });
+});
+
+describe('buildComplianceSheet', () => {
+  it('spells out the dates to chase', () => {
+    const rows = [...days('Grace Hopper', firstWeek.slice(0, 4)), entry('Grace Hopper', '2024-11-05', 8)];
+    const sheet = buildComplianceSheet(computeCompliance(rows, period));
+    expect(sheet.rows[0]).toEqual([
+      'Grace Hopper', 40, 6, 1, 1, 40,
+      ['2024-11-08', ...secondWeek].join(', '),
+      '2024-11-11',
+      '2024-11-05 (16h)'
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+import { parseCalendarDate, detectDateFormat, formatDate } from './dates.js';
+
+// Valid rows carry their Date in this format whatever the file used, so merging and
+// everything after the import read dates the same way without knowing the source format
+export const ROW_DATE_FORMAT = 'yyyy-MM-dd';
+
+export const REQUIRED_COLUMNS = ['Date', 'Client', 'Project', 'Task', 'Hours', 'Billable?', 'First Name', 'Last Name'];
+
+const BILLABLE_VALUES = ['Yes', 'No'];
+const NUMBER_PATTERN = /^\s*-?(\d+\.?\d*|\.\d+)\s*$/;
+
+// Papa reports data rows from 0; the header occupies line 1 of the file
+const toLineNumber = (index) => index + 2;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Check a parsed file against the Harvest schema. Rows that cannot be placed on a
+// calendar are skipped; rows with recoverable problems are kept and flagged. Valid rows
+// have their Date rewritten in ROW_DATE_FORMAT, read in dateFormat ('auto' detects it per file).
+export const validateCsvFile = ({ fileName, data, errors = [], meta = {} }, { dateFormat = 'auto' } = {}) => {
+  const columns = meta.fields || [];
+  const resolvedDateFormat = dateFormat === 'auto' ? detectDateFormat(data.map(row => row['Date'])) : dateFormat;
+  const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+
+  const parseErrors = errors.map(error => ({
+    row: error.row !== undefined ? toLineNumber(error.row) : null,
+    message: error.message
+  }));
+
+  const skippedRows = [];
+  const invalidHours = [];
+  const invalidDates = [];
+  const unknownBillable = [];
+  const validRows = [];
+
+  data.forEach((row, index) => {
+    const line = toLineNumber(index);
+
+    if (isBlank(row['Date'])) {
+      skippedRows.push({ row: line, reason: 'Missing date' });
+      return;
+    }
+
+    const date = parseCalendarDate(row['Date'], resolvedDateFormat || 'auto');
+    if (!date) {
+      invalidDates.push({ row: line, value: row['Date'] });
+      skippedRows.push({ row: line, reason: `Unparseable date "${row['Date']}"` });
+      return;
+    }
+
+    if (!NUMBER_PATTERN.test(row['Hours'] || '')) {
+      invalidHours.push({ row: line, value: row['Hours'] === undefined ? '' : row['Hours'] });
+    }
+
+    if (!missingColumns.includes('Billable?') && !BILLABLE_VALUES.includes(row['Billable?'])) {
+      unknownBillable.push({ row: line, value: row['Billable?'] === undefined ? '' : row['Billable?'] });
+    }
+
+    const isoDate = formatDate(date, ROW_DATE_FORMAT);
+    validRows.push(row['Date'] === isoDate ? row : { ...row, 'Date': isoDate });
+  });
+
+  return {
+    fileName,
+    columns,
+    dateFormat: resolvedDateFormat,
+    missingColumns,
+    parseErrors,
+    skippedRows,
+    invalidHours,
+    invalidDates,
+    unknownBillable,
+    validRows
+  };
+};
+
+export const countIssues = (diagnostics) => (
+  diagnostics.missingColumns.length +
+  diagnostics.parseErrors.length +
+  diagnostics.skippedRows.length +
+  diagnostics.invalidHours.length +
+  diagnostics.unknownBillable.length
+);
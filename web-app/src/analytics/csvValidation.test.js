@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { validateCsvFile, countIssues, REQUIRED_COLUMNS } from './csvValidation.js';
+
+const entry = (overrides = {}) => ({
+  'Date': '2024-03-04',
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Hours': '2.5',
+  'Billable?': 'Yes',
+  'First Name': 'Ada',
+  'Last Name': 'Lovelace',
+  ...overrides
+});
+
+const validate = (data, fields = REQUIRED_COLUMNS, errors = []) => (
+  validateCsvFile({ fileName: 'export.csv', data, errors, meta: { fields } })
+);
+
+describe('validateCsvFile', () => {
+  it('accepts well-formed rows without issues', () => {
+    const result = validate([entry(), entry({ 'Hours': '.5', 'Billable?': 'No' })]);
+    expect(result.validRows).toHaveLength(2);
+    expect(countIssues(result)).toBe(0);
+  });
+
+  it('handles an empty file', () => {
+    const result = validate([]);
+    expect(result.validRows).toEqual([]);
+    expect(countIssues(result)).toBe(0);
+  });
+
+  it('reports missing required columns', () => {
+    const result = validate([entry()], REQUIRED_COLUMNS.filter(column => column !== 'Billable?'));
+    expect(result.missingColumns).toEqual(['Billable?']);
+    // Without the column every row would be flagged; the missing column is reported once instead
+    expect(result.unknownBillable).toEqual([]);
+  });
+
+  it('skips rows without a usable date, numbering rows as file lines', () => {
+    const result = validate([entry(), entry({ 'Date': '' }), entry({ 'Date': 'next tuesday' })]);
+    expect(result.validRows).toHaveLength(1);
+    expect(result.skippedRows).toEqual([
+      { row: 3, reason: 'Missing date' },
+      { row: 4, reason: 'Unparseable date "next tuesday"' }
+    ]);
+    expect(result.invalidDates).toEqual([{ row: 4, value: 'next tuesday' }]);
+  });
+
+  it('keeps rows with bad hours or billable flags but flags them', () => {
+    const result = validate([
+      entry({ 'Hours': 'two' }),
+      entry({ 'Hours': undefined }),
+      entry({ 'Billable?': 'maybe' })
+    ]);
+    expect(result.validRows).toHaveLength(3);
+    expect(result.invalidHours).toEqual([{ row: 2, value: 'two' }, { row: 3, value: '' }]);
+    expect(result.unknownBillable).toEqual([{ row: 4, value: 'maybe' }]);
+  });
+
+  it('rewrites dates as yyyy-MM-dd in the detected format', () => {
+    const result = validate([entry({ 'Date': '04/03/2024' }), entry({ 'Date': '25/03/2024' })]);
+    expect(result.dateFormat).toBe('dd/MM/yyyy');
+    expect(result.validRows.map(row => row['Date'])).toEqual(['2024-03-04', '2024-03-25']);
+  });
+
+  it('uses an explicit date format over detection', () => {
+    const result = validateCsvFile(
+      { fileName: 'export.csv', data: [entry({ 'Date': '04/03/2024' }), entry({ 'Date': '25/03/2024' })], meta: { fields: REQUIRED_COLUMNS } },
+      { dateFormat: 'MM/dd/yyyy' }
+    );
+    expect(result.validRows.map(row => row['Date'])).toEqual(['2024-04-03']);
+    expect(result.skippedRows).toEqual([{ row: 3, reason: 'Unparseable date "25/03/2024"' }]);
+  });
+
+  it('converts parser errors to file line numbers', () => {
+    const result = validate([entry()], REQUIRED_COLUMNS, [{ row: 0, message: 'Too few fields' }, { message: 'Bad quotes' }]);
+    expect(result.parseErrors).toEqual([{ row: 2, message: 'Too few fields' }, { row: null, message: 'Bad quotes' }]);
+  });
+});
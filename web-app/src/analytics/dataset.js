@@ -0,0 +1,146 @@
+import { getEntryFinancials } from './financials.js';
+import { parseCalendarDate } from './dates.js';
+import { ROW_DATE_FORMAT } from './csvValidation.js';
+import { FILTER_DIMENSIONS } from './filters.js';
+
+// Add the derived fields every view relies on; rows come back newest first. Dates are read
+// in ROW_DATE_FORMAT, as validateCsvFile leaves them, and become local midnight of their
+// calendar day. Rows whose date cannot be read are dropped, since nothing can place them in time. isTimeOff takes the raw row (see createTimeOffMatcher).
+export const processRows = (csvData, isInternalClient, isTimeOff = () => false) => csvData
+  .map(row => ({ row, date: parseCalendarDate(row['Date'], ROW_DATE_FORMAT) }))
+  .filter(({ date }) => date !== null)
+  .map(({ row, date }) => {
+    const hours = parseFloat(row['Hours']) || 0;
+    const { revenue, cost } = getEntryFinancials(row, hours);
+    return {
+      ...row,
+      'Full Name': [row['First Name'], row['Last Name']].filter(Boolean).join(' '),
+      'Date': date,
+      'Hours': hours,
+      'Is Internal': isInternalClient(row['Client']),
+      'Is Time Off': isTimeOff(row),
+      'Revenue': revenue,
+      'Cost': cost
+    };
+  })
+  .sort((a, b) => b['Date'] - a['Date']);
+
+// Processed rows plus lookup tables so filtering never rescans the whole export:
+// timestamps (descending) for binary-searching date ranges, and per filter value
+// the ascending list of row positions that carry it.
+export const buildDataset = (csvData, isInternalClient, isTimeOff) => {
+  const rows = processRows(csvData, isInternalClient, isTimeOff);
+  const times = new Float64Array(rows.length);
+  const postings = {};
+  FILTER_DIMENSIONS.forEach(({ id }) => {
+    postings[id] = new Map();
+  });
+
+  rows.forEach((row, index) => {
+    times[index] = row['Date'].getTime();
+    FILTER_DIMENSIONS.forEach(dimension => {
+      const map = postings[dimension.id];
+      dimension.getValues(row).forEach(value => {
+        if (!map.has(value)) map.set(value, []);
+        const list = map.get(value);
+        // Roles can repeat within a cell; keep each row once per value
+        if (list[list.length - 1] !== index) list.push(index);
+      });
+    });
+  });
+
+  const index = {};
+  const values = {};
+  FILTER_DIMENSIONS.forEach(({ id }) => {
+    index[id] = new Map(Array.from(postings[id].entries(), ([value, list]) => [value, Uint32Array.from(list)]));
+    values[id] = Array.from(postings[id].keys()).filter(Boolean).sort();
+  });
+
+  return { rows, times, index, values };
+};
+
+// First position in the descending times array whose value satisfies test
+const searchTimes = (times, test) => {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (test(times[mid])) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+};
+
+const lowerBound = (list, value) => {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (list[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// Row positions matching the filters and date range, in date-descending order
+export const queryDataset = (dataset, filters, range = null) => {
+  const { times, index } = dataset;
+  const from = range && range.end ? searchTimes(times, time => time <= range.end.getTime()) : 0;
+  const to = range && range.start ? searchTimes(times, time => time < range.start.getTime()) : times.length;
+  if (to <= from) return new Uint32Array(0);
+
+  const active = FILTER_DIMENSIONS.filter(({ id }) => filters[id] && filters[id].length > 0);
+  if (active.length === 0) {
+    const result = new Uint32Array(to - from);
+    for (let i = 0; i < result.length; i++) result[i] = from + i;
+    return result;
+  }
+
+  // hits[row] counts how many filters the row has passed so far; a row only advances
+  // from k to k + 1 on filter k, which also stops multi-valued cells counting twice
+  const hits = new Uint8Array(to - from);
+  active.forEach(({ id }, step) => {
+    filters[id].forEach(value => {
+      const list = index[id].get(value);
+      if (!list) return;
+      for (let i = lowerBound(list, from); i < list.length && list[i] < to; i++) {
+        const offset = list[i] - from;
+        if (hits[offset] === step) hits[offset] = step + 1;
+      }
+    });
+  });
+
+  let count = 0;
+  for (let i = 0; i < hits.length; i++) {
+    if (hits[i] === active.length) count++;
+  }
+  const result = new Uint32Array(count);
+  for (let i = 0, j = 0; i < hits.length; i++) {
+    if (hits[i] === active.length) result[j++] = from + i;
+  }
+  return result;
+};
+
+export const selectRows = (dataset, positions) => Array.from(positions, position => dataset.rows[position]);
+
+// Filter options from the lookup tables; projects and tasks narrow to the selected clients/projects
+export const getDatasetFilterOptions = (dataset, filters) => Object.fromEntries(FILTER_DIMENSIONS.map(dimension => {
+  if (dimension.fixedOptions) return [dimension.id, dimension.fixedOptions];
+  const parents = (dimension.dependsOn || []).filter(id => filters[id].length > 0);
+  if (parents.length === 0) return [dimension.id, dataset.values[dimension.id]];
+
+  const parentFilters = Object.fromEntries(parents.map(id => [id, filters[id]]));
+  const values = new Set();
+  queryDataset(dataset, parentFilters).forEach(position => {
+    dimension.getValues(dataset.rows[position]).forEach(value => {
+      if (value) values.add(value);
+    });
+  });
+  return [dimension.id, [...values].sort()];
+}));
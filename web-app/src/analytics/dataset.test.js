@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { processRows, buildDataset, queryDataset, selectRows, getDatasetFilterOptions } from './dataset.js';
+import { EMPTY_FILTERS } from './filters.js';
+import { endOfDay, parseLocalDate } from './dates.js';
+
+const isInternal = (client) => client === 'Internal';
+
+const entry = (overrides = {}) => ({
+  'Date': '2024-03-04',
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Hours': '2',
+  'Billable?': 'Yes',
+  'First Name': 'Ada',
+  'Last Name': 'Lovelace',
+  ...overrides
+});
+
+const range = (start, end) => ({ start: parseLocalDate(start), end: endOfDay(parseLocalDate(end)) });
+
+describe('processRows', () => {
+  it('keeps ISO dates on their calendar day', () => {
+    const [row] = processRows([entry({ 'Date': '2024-03-04' })], isInternal);
+    expect(row['Date'].getTime()).toBe(new Date(2024, 2, 4).getTime());
+  });
+
+  it('adds derived fields and sorts newest first', () => {
+    const rows = processRows([entry(), entry({ 'Date': '2024-03-06', 'Client': 'Internal' })], isInternal);
+    expect(rows.map(row => row['Date'].getDate())).toEqual([6, 4]);
+    expect(rows[0]).toMatchObject({ 'Full Name': 'Ada Lovelace', 'Hours': 2, 'Is Internal': true });
+    expect(rows[1]['Is Internal']).toBe(false);
+  });
+
+  it('treats unparseable hours as zero', () => {
+    const rows = processRows([entry({ 'Hours': 'two' }), entry({ 'Hours': undefined })], isInternal);
+    expect(rows.map(row => row['Hours'])).toEqual([0, 0]);
+  });
+
+  it('drops rows without a usable date', () => {
+    const rows = processRows([entry(), entry({ 'Date': 'soon' }), entry({ 'Date': undefined })], isInternal);
+    expect(rows).toHaveLength(1);
+  });
+
+  it('reads dates only as validation leaves them, never guessing a format', () => {
+    const rows = processRows([entry({ 'Date': '2024-03-04' }), entry({ 'Date': '03/04/2024' })], isInternal);
+    expect(rows.map(row => row['Date'])).toEqual([new Date(2024, 2, 4)]);
+  });
+
+  it('builds a name from whichever parts are present', () => {
+    const rows = processRows([entry({ 'Last Name': undefined })], isInternal);
+    expect(rows[0]['Full Name']).toBe('Ada');
+  });
+
+  it('returns nothing for no input', () => {
+    expect(processRows([], isInternal)).toEqual([]);
+  });
+});
+
+describe('queryDataset', () => {
+  const dataset = buildDataset([
+    entry({ 'Date': '2024-03-01', 'Client': 'Acme' }),
+    entry({ 'Date': '2024-03-04', 'Client': 'Globex', 'Project': 'Portal' }),
+    entry({ 'Date': '2024-03-04', 'Client': 'Internal', 'First Name': 'Grace', 'Last Name': 'Hopper' }),
+    entry({ 'Date': '2024-03-08', 'Client': 'Acme', 'Billable?': 'No' })
+  ], isInternal);
+
+  const query = (filters, dateRange) => selectRows(dataset, queryDataset(dataset, { ...EMPTY_FILTERS, ...filters }, dateRange));
+
+  it('returns every row without filters or a range', () => {
+    expect(query({})).toHaveLength(4);
+  });
+
+  it('limits to an inclusive date range', () => {
+    const rows = query({}, range('2024-03-04', '2024-03-04'));
+    expect(rows.map(row => row['Client']).sort()).toEqual(['Globex', 'Internal']);
+  });
+
+  it('returns nothing for a range outside the data', () => {
+    expect(query({}, range('2023-01-01', '2023-01-31'))).toEqual([]);
+  });
+
+  it('ORs values within a dimension and ANDs across dimensions', () => {
+    expect(query({ client: ['Acme', 'Globex'] })).toHaveLength(3);
+    expect(query({ client: ['Acme', 'Globex'], billable: ['Yes'] })).toHaveLength(2);
+    expect(query({ client: ['Acme'], employee: ['Grace Hopper'] })).toEqual([]);
+  });
+
+  it('ignores values that are not in the data', () => {
+    expect(query({ client: ['Nobody'] })).toEqual([]);
+  });
+
+  it('narrows dependent options to the selected parents', () => {
+    const options = getDatasetFilterOptions(dataset, { ...EMPTY_FILTERS, client: ['Globex'] });
+    expect(options.project).toEqual(['Portal']);
+    expect(options.client).toEqual(['Acme', 'Globex', 'Internal']);
+  });
+
+  it('works on an empty dataset', () => {
+    const empty = buildDataset([], isInternal);
+    expect(queryDataset(empty, EMPTY_FILTERS, range('2024-03-01', '2024-03-31'))).toHaveLength(0);
+    expect(queryDataset(empty, { ...EMPTY_FILTERS, client: ['Acme'] })).toHaveLength(0);
+  });
+});
@@ -0,0 +1,95 @@
+import { startOfWeek, startOfDay, endOfDay, addDays, parseLocalDate, formatDate } from './dates.js';
+
+export const DATE_RANGE_PRESETS = [
+  { id: 'all', label: 'Entire File' },
+  { id: 'this-week', label: 'This Week' },
+  { id: 'last-week', label: 'Last Week' },
+  { id: 'this-month', label: 'This Month' },
+  { id: 'last-month', label: 'Last Month' },
+  { id: 'this-quarter', label: 'This Quarter' },
+  { id: 'last-quarter', label: 'Last Quarter' },
+  { id: 'this-fiscal-year', label: 'This Fiscal Year' },
+  { id: 'last-fiscal-year', label: 'Last Fiscal Year' },
+  { id: 'week', label: 'Last 7 Days' },
+  { id: 'month', label: 'Last 30 Days' },
+  { id: 'quarter', label: 'Last 90 Days' },
+  { id: 'year', label: 'Last Year' },
+  { id: 'custom', label: 'Custom Range' }
+];
+
+const ROLLING_DAYS = {
+  'week': 7,
+  'month': 30,
+  'quarter': 90,
+  'year': 365
+};
+
+const monthRange = (year, month, months) => ({
+  start: new Date(year, month, 1),
+  end: endOfDay(new Date(year, month + months, 0))
+});
+
+// fiscalYearStartMonth is 1-12; a fiscal year is labelled by the calendar year it starts in
+const fiscalYearStart = (anchor, fiscalYearStartMonth) => {
+  const startMonth = fiscalYearStartMonth - 1;
+  const year = anchor.getMonth() >= startMonth ? anchor.getFullYear() : anchor.getFullYear() - 1;
+  return new Date(year, startMonth, 1);
+};
+
+// Resolve a preset into inclusive { start, end } bounds; null bounds are open-ended
+export const resolveDateRange = (preset, { anchor, fiscalYearStartMonth = 1, weekStartsOn = 1, customStart, customEnd }) => {
+  const today = startOfDay(anchor);
+
+  if (ROLLING_DAYS[preset]) {
+    return { start: addDays(today, -ROLLING_DAYS[preset]), end: endOfDay(today) };
+  }
+
+  switch (preset) {
+    case 'this-week': {
+      const start = startOfWeek(today, weekStartsOn);
+      return { start, end: endOfDay(addDays(start, 6)) };
+    }
+    case 'last-week': {
+      const start = addDays(startOfWeek(today, weekStartsOn), -7);
+      return { start, end: endOfDay(addDays(start, 6)) };
+    }
+    case 'this-month':
+      return monthRange(today.getFullYear(), today.getMonth(), 1);
+    case 'last-month':
+      return monthRange(today.getFullYear(), today.getMonth() - 1, 1);
+    case 'this-quarter':
+      return monthRange(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 3);
+    case 'last-quarter':
+      return monthRange(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3 - 3, 3);
+    case 'this-fiscal-year': {
+      const start = fiscalYearStart(today, fiscalYearStartMonth);
+      return monthRange(start.getFullYear(), start.getMonth(), 12);
+    }
+    case 'last-fiscal-year': {
+      const start = fiscalYearStart(today, fiscalYearStartMonth);
+      return monthRange(start.getFullYear() - 1, start.getMonth(), 12);
+    }
+    case 'custom': {
+      const start = parseLocalDate(customStart);
+      const end = parseLocalDate(customEnd);
+      return { start, end: end ? endOfDay(end) : null };
+    }
+    default:
+      return { start: null, end: null };
+  }
+};
+
+// The period of equal length immediately before range; null for open-ended ranges
+export const getPreviousPeriod = ({ start, end }) => {
+  if (!start || !end) return null;
+  const length = Math.round((startOfDay(end) - start) / (24 * 60 * 60 * 1000)) + 1;
+  const previousEnd = endOfDay(addDays(start, -1));
+  return { start: addDays(start, -length), end: previousEnd };
+};
+
+// Custom-range bounds (yyyy-MM-dd) covering whole months, from two yyyy-MM keys in either order
+export const getMonthSpan = (fromKey, toKey) => {
+  const [first, last] = [fromKey, toKey].sort();
+  const [year, month] = last.split('-').map(Number);
+  return { customStart: `${first}-01`, customEnd: formatDate(new Date(year, month, 0), 'yyyy-MM-dd') };
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { resolveDateRange, getPreviousPeriod, getMonthSpan } from './dateRanges.js';
+import { endOfDay } from './dates.js';
+
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+// Inclusive whole-day bounds, as resolveDateRange returns them
+const span = (start, end) => ({ start, end: endOfDay(end) });
+
+describe('resolveDateRange', () => {
+  // A Wednesday
+  const anchor = new Date(2024, 4, 15, 16, 30);
+
+  it('finds this and last week for either week start', () => {
+    expect(resolveDateRange('this-week', { anchor })).toEqual(span(day(2024, 5, 13), day(2024, 5, 19)));
+    expect(resolveDateRange('last-week', { anchor })).toEqual(span(day(2024, 5, 6), day(2024, 5, 12)));
+    expect(resolveDateRange('this-week', { anchor, weekStartsOn: 0 })).toEqual(span(day(2024, 5, 12), day(2024, 5, 18)));
+    expect(resolveDateRange('last-week', { anchor, weekStartsOn: 0 })).toEqual(span(day(2024, 5, 5), day(2024, 5, 11)));
+  });
+
+  it('puts a Sunday at the end of a Monday week and the start of a Sunday week', () => {
+    const sunday = day(2024, 5, 19);
+    expect(resolveDateRange('this-week', { anchor: sunday })).toEqual(span(day(2024, 5, 13), day(2024, 5, 19)));
+    expect(resolveDateRange('this-week', { anchor: sunday, weekStartsOn: 0 })).toEqual(span(day(2024, 5, 19), day(2024, 5, 25)));
+  });
+
+  it('switches quarter on the first day of the new one', () => {
+    expect(resolveDateRange('this-quarter', { anchor: day(2024, 3, 31) })).toEqual(span(day(2024, 1, 1), day(2024, 3, 31)));
+    expect(resolveDateRange('this-quarter', { anchor: day(2024, 4, 1) })).toEqual(span(day(2024, 4, 1), day(2024, 6, 30)));
+  });
+
+  it('reaches back into the previous year for last quarter and last month', () => {
+    expect(resolveDateRange('last-quarter', { anchor: day(2024, 2, 10) })).toEqual(span(day(2023, 10, 1), day(2023, 12, 31)));
+    expect(resolveDateRange('last-month', { anchor: day(2024, 1, 10) })).toEqual(span(day(2023, 12, 1), day(2023, 12, 31)));
+  });
+
+  it('follows the configured fiscal year start', () => {
+    const july = { fiscalYearStartMonth: 7 };
+    expect(resolveDateRange('this-fiscal-year', { ...july, anchor: day(2024, 6, 30) })).toEqual(span(day(2023, 7, 1), day(2024, 6, 30)));
+    expect(resolveDateRange('this-fiscal-year', { ...july, anchor: day(2024, 7, 1) })).toEqual(span(day(2024, 7, 1), day(2025, 6, 30)));
+    expect(resolveDateRange('last-fiscal-year', { ...july, anchor: day(2024, 7, 1) })).toEqual(span(day(2023, 7, 1), day(2024, 6, 30)));
+    expect(resolveDateRange('this-fiscal-year', { anchor })).toEqual(span(day(2024, 1, 1), day(2024, 12, 31)));
+  });
+
+  it('counts rolling ranges back from the anchor day', () => {
+    expect(resolveDateRange('week', { anchor })).toEqual(span(day(2024, 5, 8), day(2024, 5, 15)));
+  });
+
+  it('leaves open ends for the entire file and a half-filled custom range', () => {
+    expect(resolveDateRange('all', { anchor })).toEqual({ start: null, end: null });
+    expect(resolveDateRange('custom', { anchor, customStart: '2024-01-01', customEnd: '2024-01-31' })).toEqual(span(day(2024, 1, 1), day(2024, 1, 31)));
+    expect(resolveDateRange('custom', { anchor, customStart: '2024-01-01', customEnd: '' })).toEqual({ start: day(2024, 1, 1), end: null });
+  });
+});
+
+describe('getPreviousPeriod', () => {
+  it('is the same number of days immediately before', () => {
+    expect(getPreviousPeriod(span(day(2024, 5, 13), day(2024, 5, 19)))).toEqual(span(day(2024, 5, 6), day(2024, 5, 12)));
+    expect(getPreviousPeriod(span(day(2024, 3, 1), day(2024, 3, 31)))).toEqual(span(day(2024, 1, 30), day(2024, 2, 29)));
+  });
+
+  it('counts days correctly across a daylight saving change', () => {
+    expect(getPreviousPeriod(span(day(2024, 3, 11), day(2024, 3, 17)))).toEqual(span(day(2024, 3, 4), day(2024, 3, 10)));
+  });
+
+  it('has no previous period for open-ended ranges', () => {
+    expect(getPreviousPeriod({ start: null, end: null })).toBeNull();
+    expect(getPreviousPeriod({ start: day(2024, 1, 1), end: null })).toBeNull();
+  });
+});
+
+describe('getMonthSpan', () => {
+  it('covers whole months whichever way the selection was dragged', () => {
+    expect(getMonthSpan('2024-01', '2024-01')).toEqual({ customStart: '2024-01-01', customEnd: '2024-01-31' });
+    expect(getMonthSpan('2024-03', '2023-12')).toEqual({ customStart: '2023-12-01', customEnd: '2024-03-31' });
+    expect(getMonthSpan('2024-02', '2024-02').customEnd).toBe('2024-02-29');
+  });
+});
@@ -0,0 +1,111 @@
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Day formats a Harvest export can use for its Date column. 'auto' reads ISO dates as
+// they are and decides between month-first and day-first per file (see detectDateFormat).
+export const DATE_FORMATS = [
+  { id: 'auto', label: 'Detect from file' },
+  { id: 'yyyy-MM-dd', label: 'YYYY-MM-DD' },
+  { id: 'MM/dd/yyyy', label: 'MM/DD/YYYY' },
+  { id: 'dd/MM/yyyy', label: 'DD/MM/YYYY' }
+];
+
+// getDay() numbers: 1 starts weeks on Monday (ISO), 0 on Sunday
+export const WEEK_STARTS = [
+  { id: 1, label: 'Monday' },
+  { id: 0, label: 'Sunday' }
+];
+
+const ISO_DATE = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/;
+const YEAR_LAST_DATE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+
+// Local midnight of a calendar date, or null when the parts roll over (e.g. 02/30)
+const calendarDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// Parse an export's date cell as a plain calendar date at local midnight, never as a UTC
+// instant (new Date('2024-03-04') is the evening of the 3rd anywhere west of UTC).
+// ISO dates are unambiguous and always accepted; format decides how 03/04/2024 is read,
+// with 'auto' taking it month-first unless the first part can only be a day.
+export const parseCalendarDate = (value, format = 'auto') => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  const iso = ISO_DATE.exec(text);
+  if (iso) return calendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  const match = YEAR_LAST_DATE.exec(text);
+  if (!match || format === 'yyyy-MM-dd') return null;
+  const first = Number(match[1]);
+  const second = Number(match[2]);
+  const dayFirst = format === 'dd/MM/yyyy' || (format === 'auto' && first > 12);
+  return dayFirst
+    ? calendarDate(Number(match[3]), second, first)
+    : calendarDate(Number(match[3]), first, second);
+};
+
+// The format a column of date cells is written in: the first value whose day cannot be a
+// month settles it; a file where every part fits either way is taken as US month-first,
+// Harvest's default. Null when no value looks like a date.
+export const detectDateFormat = (values) => {
+  let sawIso = false;
+  let sawYearLast = false;
+  for (const value of values) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (ISO_DATE.test(text)) {
+      sawIso = true;
+      continue;
+    }
+    const match = YEAR_LAST_DATE.exec(text);
+    if (!match) continue;
+    sawYearLast = true;
+    if (Number(match[1]) > 12) return 'dd/MM/yyyy';
+    if (Number(match[2]) > 12) return 'MM/dd/yyyy';
+  }
+  if (sawYearLast) return 'MM/dd/yyyy';
+  return sawIso ? 'yyyy-MM-dd' : null;
+};
+
+// Local midnight at the start of date's week; weekStartsOn is a WEEK_STARTS id
+export const startOfWeek = (date, weekStartsOn = 1) => {
+  const d = startOfDay(new Date(date));
+  d.setDate(d.getDate() - ((d.getDay() - weekStartsOn + 7) % 7));
+  return d;
+};
+
+export const formatDate = (date, format) => {
+  const d = new Date(date);
+
+  if (format === 'yyyy-MM-dd') {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  } else if (format === 'MMM d, yyyy') {
+    return `${MONTHS[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()}`;
+  } else if (format === 'MMM d') {
+    return `${MONTHS[d.getMonth()]} ${d.getDate()}`;
+  } else if (format === 'MMM yyyy') {
+    return `${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+  } else if (format === 'yyyy-MM') {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  }
+  return d.toDateString();
+};
+
+export const differenceInDays = (date1, date2) => {
+  const oneDay = 24 * 60 * 60 * 1000;
+  return Math.round(Math.abs((date1 - date2) / oneDay));
+};
+
+export const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+// Parse a yyyy-MM-dd string (e.g. from <input type="date">) as a local calendar date
+export const parseLocalDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? calendarDate(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+};
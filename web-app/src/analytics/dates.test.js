@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import {
+  startOfWeek,
+  formatDate,
+  differenceInDays,
+  addDays,
+  startOfDay,
+  endOfDay,
+  parseLocalDate,
+  parseCalendarDate,
+  detectDateFormat
+} from './dates.js';
+
+const day = (year, month, date, hours = 0) => new Date(year, month - 1, date, hours);
+const iso = (date) => formatDate(date, 'yyyy-MM-dd');
+
+describe('startOfWeek', () => {
+  it('returns the Monday of the week', () => {
+    expect(iso(startOfWeek(day(2024, 5, 15)))).toBe('2024-05-13');
+  });
+
+  it('keeps a Monday as its own week start', () => {
+    expect(iso(startOfWeek(day(2024, 5, 13)))).toBe('2024-05-13');
+  });
+
+  it('puts Sunday at the end of the previous week', () => {
+    expect(iso(startOfWeek(day(2024, 5, 19)))).toBe('2024-05-13');
+    expect(iso(startOfWeek(day(2024, 5, 20)))).toBe('2024-05-20');
+  });
+
+  it('crosses month and year boundaries', () => {
+    expect(iso(startOfWeek(day(2024, 3, 1)))).toBe('2024-02-26');
+    expect(iso(startOfWeek(day(2025, 1, 1)))).toBe('2024-12-30');
+  });
+
+  it('is not shifted by daylight saving transitions', () => {
+    // America/New_York springs forward on 2024-03-10 and falls back on 2024-11-03, both Sundays
+    expect(iso(startOfWeek(day(2024, 3, 10, 12)))).toBe('2024-03-04');
+    expect(iso(startOfWeek(day(2024, 3, 12)))).toBe('2024-03-11');
+    expect(iso(startOfWeek(day(2024, 11, 3, 23)))).toBe('2024-10-28');
+    expect(iso(startOfWeek(day(2024, 11, 4)))).toBe('2024-11-04');
+  });
+
+  it('starts weeks on Sunday when asked', () => {
+    expect(iso(startOfWeek(day(2024, 5, 19), 0))).toBe('2024-05-19');
+    expect(iso(startOfWeek(day(2024, 5, 18), 0))).toBe('2024-05-12');
+    expect(iso(startOfWeek(day(2024, 3, 10, 12), 0))).toBe('2024-03-10');
+    expect(iso(startOfWeek(day(2024, 11, 9), 0))).toBe('2024-11-03');
+  });
+
+  it('returns local midnight', () => {
+    const start = startOfWeek(day(2024, 3, 13, 15));
+    expect(start.getTime()).toBe(day(2024, 3, 11).getTime());
+  });
+
+  it('does not mutate its argument', () => {
+    const date = day(2024, 5, 15);
+    startOfWeek(date);
+    expect(iso(date)).toBe('2024-05-15');
+  });
+});
+
+describe('day arithmetic across daylight saving', () => {
+  it('addDays lands on local midnight after a 23-hour day', () => {
+    const result = addDays(day(2024, 3, 9), 2);
+    expect(iso(result)).toBe('2024-03-11');
+    expect(result.getHours()).toBe(0);
+  });
+
+  it('addDays lands on local midnight after a 25-hour day', () => {
+    const result = addDays(day(2024, 11, 2), 2);
+    expect(iso(result)).toBe('2024-11-04');
+    expect(result.getHours()).toBe(0);
+  });
+
+  it('differenceInDays counts calendar days over short and long days', () => {
+    expect(differenceInDays(day(2024, 3, 14), day(2024, 3, 7))).toBe(7);
+    expect(differenceInDays(day(2024, 11, 1), day(2024, 11, 8))).toBe(7);
+  });
+
+  it('startOfDay and endOfDay bracket the local day', () => {
+    const noon = day(2024, 3, 10, 12);
+    expect(startOfDay(noon).getTime()).toBe(day(2024, 3, 10).getTime());
+    expect(endOfDay(noon).getTime()).toBe(day(2024, 3, 11).getTime() - 1);
+  });
+});
+
+describe('formatDate', () => {
+  it('supports the formats used by the views', () => {
+    const date = day(2024, 3, 5);
+    expect(formatDate(date, 'yyyy-MM-dd')).toBe('2024-03-05');
+    expect(formatDate(date, 'MMM d, yyyy')).toBe('Mar 5, 2024');
+    expect(formatDate(date, 'MMM d')).toBe('Mar 5');
+    expect(formatDate(date, 'MMM yyyy')).toBe('Mar 2024');
+    expect(formatDate(date, 'yyyy-MM')).toBe('2024-03');
+  });
+});
+
+describe('parseCalendarDate', () => {
+  it('reads ISO dates as the local calendar day, not UTC midnight', () => {
+    const date = parseCalendarDate('2024-03-04');
+    expect(date.getTime()).toBe(day(2024, 3, 4).getTime());
+    expect(date.getDay()).toBe(1);
+  });
+
+  it('reads month-first and day-first dates', () => {
+    expect(iso(parseCalendarDate('03/04/2024', 'MM/dd/yyyy'))).toBe('2024-03-04');
+    expect(iso(parseCalendarDate('03/04/2024', 'dd/MM/yyyy'))).toBe('2024-04-03');
+    expect(iso(parseCalendarDate('3/4/2024', 'MM/dd/yyyy'))).toBe('2024-03-04');
+    expect(iso(parseCalendarDate('04.03.2024', 'dd/MM/yyyy'))).toBe('2024-03-04');
+  });
+
+  it('accepts ISO dates whatever the configured format', () => {
+    expect(iso(parseCalendarDate('2024-03-04', 'dd/MM/yyyy'))).toBe('2024-03-04');
+  });
+
+  it('reads an unambiguous day-first date in auto mode', () => {
+    expect(iso(parseCalendarDate('25/12/2024'))).toBe('2024-12-25');
+    expect(iso(parseCalendarDate('12/11/2024'))).toBe('2024-12-11');
+  });
+
+  it('rejects impossible and unsupported dates', () => {
+    expect(parseCalendarDate('2024-02-30')).toBeNull();
+    expect(parseCalendarDate('13/25/2024', 'MM/dd/yyyy')).toBeNull();
+    expect(parseCalendarDate('03/04/2024', 'yyyy-MM-dd')).toBeNull();
+    expect(parseCalendarDate('March 4')).toBeNull();
+    expect(parseCalendarDate('')).toBeNull();
+    expect(parseCalendarDate(undefined)).toBeNull();
+  });
+});
+
+describe('detectDateFormat', () => {
+  it('recognises ISO files', () => {
+    expect(detectDateFormat(['2024-03-04', '2024-03-05'])).toBe('yyyy-MM-dd');
+  });
+
+  it('settles on the first value that can only be read one way', () => {
+    expect(detectDateFormat(['03/04/2024', '25/04/2024'])).toBe('dd/MM/yyyy');
+    expect(detectDateFormat(['03/04/2024', '04/25/2024'])).toBe('MM/dd/yyyy');
+  });
+
+  it('falls back to month-first for ambiguous files', () => {
+    expect(detectDateFormat(['03/04/2024', '05/06/2024'])).toBe('MM/dd/yyyy');
+  });
+
+  it('returns null when nothing looks like a date', () => {
+    expect(detectDateFormat([])).toBeNull();
+    expect(detectDateFormat(['', 'soon'])).toBeNull();
+  });
+});
+
+describe('parseLocalDate', () => {
+  it('parses yyyy-MM-dd as a local calendar date', () => {
+    const date = parseLocalDate('2024-03-10');
+    expect(date.getTime()).toBe(day(2024, 3, 10).getTime());
+  });
+
+  it('returns null for anything else', () => {
+    expect(parseLocalDate('')).toBeNull();
+    expect(parseLocalDate(null)).toBeNull();
+    expect(parseLocalDate('03/10/2024')).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+// Harvest exports list several roles in one cell, e.g. "Engineer, Architect"
+const splitRoles = (value) => (value ? value.split(',').map(role => role.trim()).filter(Boolean) : []);
+
+const yesNo = (value) => (value === 'Yes' ? 'Yes' : 'No');
+
+// Every filter holds a list of accepted values; an empty list means "all"
+export const FILTER_DIMENSIONS = [
+  { id: 'employee', label: 'Employees', allLabel: 'All Employees', getValues: row => [row['Full Name']] },
+  { id: 'client', label: 'Clients', allLabel: 'All Clients', getValues: row => [row['Client']] },
+  { id: 'project', label: 'Projects', allLabel: 'All Projects', getValues: row => [row['Project']], dependsOn: ['client'] },
+  { id: 'task', label: 'Tasks', allLabel: 'All Tasks', getValues: row => [row['Task']], dependsOn: ['client', 'project'] },
+  { id: 'role', label: 'Roles', allLabel: 'All Roles', getValues: row => splitRoles(row['Roles']) },
+  { id: 'billable', label: 'Billable', allLabel: 'Billable & Non-billable', getValues: row => [yesNo(row['Billable?'])], fixedOptions: ['Yes', 'No'] },
+  {
+    id: 'type',
+    label: 'Client Type',
+    allLabel: 'Internal & External',
+    getValues: row => [row['Is Internal'] ? 'Internal' : 'External'],
+    fixedOptions: ['Internal', 'External']
+  },
+  {
+    id: 'employment',
+    label: 'Employment',
+    allLabel: 'Employees & Contractors',
+    // Only rows that carry Harvest's "Employee?" column can be classified
+    getValues: row => (row['Employee?'] === undefined ? [] : [row['Employee?'] === 'Yes' ? 'Employee' : 'Contractor']),
+    fixedOptions: ['Employee', 'Contractor']
+  }
+];
+
+export const EMPTY_FILTERS = Object.fromEntries(FILTER_DIMENSIONS.map(dimension => [dimension.id, []]));
+
+export const normalizeFilters = (filters) => Object.fromEntries(FILTER_DIMENSIONS.map(({ id }) => {
+  const values = filters && filters[id];
+  return [id, Array.isArray(values) ? values.filter(value => typeof value === 'string') : []];
+}));
+
+export const hasActiveFilters = (filters) => FILTER_DIMENSIONS.some(({ id }) => filters[id].length > 0);
+
+// Drop project/task selections that are no longer reachable after their parent filter changed;
+// options are the filter options computed for the new filters
+export const pruneFilters = (filters, options) => {
+  const pruned = { ...filters };
+  FILTER_DIMENSIONS.filter(dimension => dimension.dependsOn).forEach(({ id }) => {
+    pruned[id] = filters[id].filter(value => options[id].includes(value));
+  });
+  return pruned;
+};
+
+export const describeFilters = (filters) => FILTER_DIMENSIONS
+  .filter(({ id }) => filters[id].length > 0)
+  .map(({ id, label }) => `${label}: ${filters[id].join(', ')}`);
+
+// Click-to-filter from a chart: selects value in the dimension, or deselects it when it is
+// already selected
+export const toggleFilterValue = (filters, id, value) => ({
+  ...filters,
+  [id]: filters[id].includes(value) ? filters[id].filter(selected => selected !== value) : [...filters[id], value]
+});
+
+// One removable crumb per selected value: [{ id, label, value }]
+export const listFilterCrumbs = (filters) => FILTER_DIMENSIONS.flatMap(({ id, label }) => (
+  filters[id].map(value => ({ id, label, value }))
+));
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { EMPTY_FILTERS, toggleFilterValue, listFilterCrumbs } from './filters.js';
+
+describe('toggleFilterValue', () => {
+  it('adds a value and removes it on the second click', () => {
+    const once = toggleFilterValue(EMPTY_FILTERS, 'task', 'Design');
+    expect(once.task).toEqual(['Design']);
+    expect(toggleFilterValue(once, 'task', 'Development').task).toEqual(['Design', 'Development']);
+    expect(toggleFilterValue(once, 'task', 'Design').task).toEqual([]);
+  });
+
+  it('leaves other dimensions alone', () => {
+    const filters = { ...EMPTY_FILTERS, client: ['Acme'] };
+    expect(toggleFilterValue(filters, 'type', 'Internal')).toEqual({ ...filters, type: ['Internal'] });
+  });
+});
+
+describe('listFilterCrumbs', () => {
+  it('lists one crumb per selected value in dimension order', () => {
+    const filters = { ...EMPTY_FILTERS, task: ['Design'], employee: ['Ada Lovelace', 'Grace Hopper'] };
+    expect(listFilterCrumbs(filters)).toEqual([
+      { id: 'employee', label: 'Employees', value: 'Ada Lovelace' },
+      { id: 'employee', label: 'Employees', value: 'Grace Hopper' },
+      { id: 'task', label: 'Tasks', value: 'Design' }
+    ]);
+  });
+});
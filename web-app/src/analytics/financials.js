@@ -0,0 +1,146 @@
+import { formatDate } from './dates.js';
+
+export const FINANCIAL_COLUMNS = ['Billable Rate', 'Billable Amount', 'Cost Rate', 'Cost Amount'];
+
+// Harvest writes plain numbers, but hand-edited exports may carry currency symbols or separators.
+// With both "." and "," the later one is the decimal mark ("1,234.56", "1.234,56"). A lone
+// comma is decimal unless exactly three digits follow it ("12,5" but "1,200"), and repeated
+// marks of one kind are thousands separators ("1.234.567").
+export const parseAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  let cleaned = String(value).replace(/[^0-9.,-]/g, '');
+  const lastDot = cleaned.lastIndexOf('.');
+  const lastComma = cleaned.lastIndexOf(',');
+  if (lastDot !== -1 && lastComma !== -1) {
+    cleaned = lastComma > lastDot
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    const commas = cleaned.split(',').length - 1;
+    cleaned = commas === 1 && !/,\d{3}$/.test(cleaned) ? cleaned.replace(',', '.') : cleaned.replace(/,/g, '');
+  } else if (cleaned.split('.').length > 2) {
+    cleaned = cleaned.replace(/\./g, '');
+  }
+  if (cleaned === '' || cleaned === '-' || cleaned === '.') return null;
+  const amount = Number(cleaned);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+// Prefer the exported amounts; fall back to rate x hours when only the rate is present
+export const getEntryFinancials = (row, hours) => {
+  const billableAmount = parseAmount(row['Billable Amount']);
+  const billableRate = parseAmount(row['Billable Rate']);
+  const costAmount = parseAmount(row['Cost Amount']);
+  const costRate = parseAmount(row['Cost Rate']);
+  const isBillable = row['Billable?'] === 'Yes';
+
+  let revenue = 0;
+  if (billableAmount !== null) {
+    revenue = billableAmount;
+  } else if (billableRate !== null && isBillable) {
+    revenue = billableRate * hours;
+  }
+
+  let cost = 0;
+  if (costAmount !== null) {
+    cost = costAmount;
+  } else if (costRate !== null) {
+    cost = costRate * hours;
+  }
+
+  return { revenue, cost };
+};
+
+export const hasFinancialColumns = (rows) => rows.some(row =>
+  FINANCIAL_COLUMNS.some(column => parseAmount(row[column]) !== null)
+);
+
+const emptySummary = () => ({ hours: 0, billableHours: 0, revenue: 0, cost: 0 });
+
+const addEntry = (summary, row) => {
+  summary.hours += row['Hours'];
+  if (row['Billable?'] === 'Yes') {
+    summary.billableHours += row['Hours'];
+  }
+  summary.revenue += row['Revenue'];
+  summary.cost += row['Cost'];
+};
+
+const finalize = (summary) => ({
+  ...summary,
+  margin: summary.revenue - summary.cost,
+  marginRate: summary.revenue > 0 ? ((summary.revenue - summary.cost) / summary.revenue) * 100 : 0,
+  effectiveRate: summary.hours > 0 ? summary.revenue / summary.hours : 0
+});
+
+export const summarizeFinancials = (rows) => {
+  const summary = emptySummary();
+  rows.forEach(row => addEntry(summary, row));
+  return finalize(summary);
+};
+
+// Group processed rows by keyFn; returns [{ key, hours, revenue, cost, margin, ... }] by revenue descending
+export const groupFinancials = (rows, keyFn) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyFn(row);
+    if (!groups.has(key)) {
+      groups.set(key, emptySummary());
+    }
+    addEntry(groups.get(key), row);
+  });
+
+  return Array.from(groups.entries())
+    .map(([key, summary]) => ({ key, ...finalize(summary) }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+// Totals plus client/project/employee/month breakdowns for the revenue tables
+export const computeFinancialBreakdowns = (rows) => {
+  const byMonth = groupFinancials(rows, row => formatDate(row['Date'], 'yyyy-MM'))
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(month => {
+      const [year, monthIndex] = month.key.split('-').map(Number);
+      return { ...month, key: formatDate(new Date(year, monthIndex - 1, 1), 'MMM yyyy') };
+    });
+
+  return {
+    totals: summarizeFinancials(rows),
+    breakdowns: {
+      client: groupFinancials(rows, row => row['Client'] || 'No Client'),
+      project: groupFinancials(rows, row => `${row['Client']} - ${row['Project']}`),
+      employee: groupFinancials(rows, row => row['Full Name']),
+      month: byMonth
+    }
+  };
+};
+
+// Harvest's Currency column reads like "United States Dollar - USD"; returns the codes in
+// order of first appearance. Amounts in different currencies must not be added together.
+export const detectCurrencies = (rows) => {
+  const seen = new Set();
+  const codes = new Set();
+  rows.forEach(row => {
+    const value = row['Currency'];
+    if (!value || seen.has(value)) return;
+    seen.add(value);
+    const match = String(value).match(/\b([A-Z]{3})\s*$/);
+    if (match) codes.add(match[1]);
+  });
+  return [...codes];
+};
+
+export const detectCurrency = (rows) => detectCurrencies(rows)[0] || 'USD';
+
+export const formatCurrency = (value, currency = 'USD', fractionDigits = 0) => {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(value);
+  } catch {
+    return `${value.toFixed(fractionDigits)} ${currency}`;
+  }
+};
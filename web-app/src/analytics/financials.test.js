@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { parseAmount, detectCurrencies, detectCurrency, getEntryFinancials, hasFinancialColumns } from './financials.js';
+
+describe('parseAmount', () => {
+  it('reads plain numbers and strips currency symbols', () => {
+    expect(parseAmount('150')).toBe(150);
+    expect(parseAmount('-45.5')).toBe(-45.5);
+    expect(parseAmount('$1,200')).toBe(1200);
+    expect(parseAmount('€ 99')).toBe(99);
+  });
+
+  it('takes the later of two marks as the decimal mark', () => {
+    expect(parseAmount('1,234.56')).toBe(1234.56);
+    expect(parseAmount('1.234,56')).toBe(1234.56);
+    expect(parseAmount('1 234,50 €')).toBe(1234.5);
+  });
+
+  it('reads a lone comma as decimal unless three digits follow it', () => {
+    expect(parseAmount('12,5')).toBe(12.5);
+    expect(parseAmount('1234,56')).toBe(1234.56);
+    expect(parseAmount('1,234,567')).toBe(1234567);
+    expect(parseAmount('1.234.567')).toBe(1234567);
+  });
+
+  it('returns null for anything without a number', () => {
+    expect(parseAmount(undefined)).toBeNull();
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+    expect(parseAmount('-')).toBeNull();
+  });
+});
+
+describe('detectCurrencies', () => {
+  it('lists each currency code once, in order of appearance', () => {
+    const rows = [
+      { 'Currency': 'United States Dollar - USD' },
+      {},
+      { 'Currency': 'Euro - EUR' },
+      { 'Currency': 'United States Dollar - USD' }
+    ];
+    expect(detectCurrencies(rows)).toEqual(['USD', 'EUR']);
+    expect(detectCurrency(rows)).toBe('USD');
+  });
+
+  it('defaults to USD when the export has no Currency column', () => {
+    expect(detectCurrencies([{ 'Hours': '1' }])).toEqual([]);
+    expect(detectCurrency([{ 'Hours': '1' }])).toBe('USD');
+  });
+});
+
+describe('getEntryFinancials', () => {
+  it('prefers the exported amounts over rate times hours', () => {
+    const row = { 'Billable?': 'Yes', 'Billable Rate': '100', 'Billable Amount': '250', 'Cost Rate': '40', 'Cost Amount': '90' };
+    expect(getEntryFinancials(row, 3)).toEqual({ revenue: 250, cost: 90 });
+  });
+
+  it('falls back to rate times hours, with revenue for billable entries only', () => {
+    expect(getEntryFinancials({ 'Billable?': 'Yes', 'Billable Rate': '100', 'Cost Rate': '40' }, 2)).toEqual({ revenue: 200, cost: 80 });
+    expect(getEntryFinancials({ 'Billable?': 'No', 'Billable Rate': '100', 'Cost Rate': '40' }, 2)).toEqual({ revenue: 0, cost: 80 });
+  });
+
+  it('reads comma-decimal amounts', () => {
+    expect(getEntryFinancials({ 'Billable?': 'Yes', 'Billable Amount': '1.234,56' }, 8).revenue).toBe(1234.56);
+  });
+
+  it('is zero without financial columns', () => {
+    expect(getEntryFinancials({ 'Billable?': 'Yes' }, 8)).toEqual({ revenue: 0, cost: 0 });
+  });
+});
+
+describe('hasFinancialColumns', () => {
+  it('needs at least one readable amount', () => {
+    expect(hasFinancialColumns([{ 'Billable Rate': '' }, { 'Cost Rate': '35' }])).toBe(true);
+    expect(hasFinancialColumns([{ 'Billable Rate': '' }, { 'Hours': '2' }])).toBe(false);
+  });
+});
@@ -0,0 +1,291 @@
+import { addDays, formatDate, parseLocalDate, startOfDay, startOfWeek } from './dates.js';
+import { getEmployeeThresholds } from './settings.js';
+
+export const FORECAST_HORIZONS = [4, 8, 12];
+
+// Weeks of history the trend line is fitted to; older weeks only feed the seasonal index
+const TREND_WEEKS = 26;
+
+// A year of weekly history per season; with two or more the forecast adds a seasonal index
+const SEASON_WEEKS = 52;
+
+// Two-sided 95% band
+const Z_95 = 1.96;
+
+// Complete weeks of history needed before anything is projected
+export const MIN_FORECAST_WEEKS = 4;
+
+const SERIES = ['total', 'billable', 'internal', 'external'];
+
+const emptyWeek = () => ({ total: 0, billable: 0, internal: 0, external: 0 });
+
+const dayKey = (date) => formatDate(date, 'yyyy-MM-dd');
+
+const isWorkday = (date) => date.getDay() >= 1 && date.getDay() <= 5;
+
+// Weekly total, billable, internal and external hours from the first to the last week with entries,
+// idle weeks as zeros, oldest first. The last week is left out while its workdays are not
+// all in yet (the newest entry is before its Friday), so a half-logged week doesn't drag
+// the trend down. Time off is not counted as hours.
+export const buildWeeklySeries = (rows, weekStartsOn = 1) => {
+  const worked = rows.filter(row => !row['Is Time Off']);
+  if (worked.length === 0) return [];
+
+  const weeks = new Map();
+  let first = null;
+  let last = null;
+  worked.forEach(row => {
+    const weekStart = startOfWeek(row['Date'], weekStartsOn);
+    const key = dayKey(weekStart);
+    if (!weeks.has(key)) weeks.set(key, emptyWeek());
+    const week = weeks.get(key);
+    week.total += row['Hours'];
+    if (row['Billable?'] === 'Yes') week.billable += row['Hours'];
+    if (row['Is Internal']) {
+      week.internal += row['Hours'];
+    } else {
+      week.external += row['Hours'];
+    }
+    if (!first || weekStart < first) first = weekStart;
+    if (!last || row['Date'] > last) last = row['Date'];
+  });
+
+  const series = [];
+  const lastWeek = startOfWeek(last, weekStartsOn);
+  for (let weekStart = first; weekStart <= lastWeek; weekStart = addDays(weekStart, 7)) {
+    const key = dayKey(weekStart);
+    series.push({ weekStart: key, ...(weeks.get(key) || emptyWeek()) });
+  }
+
+  let lastWorkday = addDays(lastWeek, 6);
+  while (!isWorkday(lastWorkday)) lastWorkday = addDays(lastWorkday, -1);
+  if (startOfDay(last) < lastWorkday) series.pop();
+  return series;
+};
+
+// Least-squares line through values (x = index), with the residual standard error
+const fitLine = (values) => {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  values.forEach((value, x) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (value - meanY);
+  });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = meanY - slope * meanX;
+  const residuals = values.reduce((sum, value, x) => sum + (value - (intercept + slope * x)) ** 2, 0);
+  const error = n > 2 ? Math.sqrt(residuals / (n - 2)) : 0;
+  return { slope, intercept, error, n, meanX, sxx };
+};
+
+// Projects values (oldest first) horizon steps ahead: a linear trend over the last
+// TREND_WEEKS values, plus each week-of-year's average deviation from trend once two full
+// years are available. Returns [{ value, low, high }] with a 95% prediction band, never
+// below zero.
+export const forecastValues = (values, horizon) => {
+  if (values.length === 0) return [];
+  const seasonal = values.length >= SEASON_WEEKS * 2;
+  let adjusted = values;
+  let seasonalIndex = null;
+  if (seasonal) {
+    const whole = fitLine(values);
+    const deviations = Array.from({ length: SEASON_WEEKS }, () => []);
+    values.forEach((value, x) => deviations[x % SEASON_WEEKS].push(value - (whole.intercept + whole.slope * x)));
+    seasonalIndex = deviations.map(list => list.reduce((sum, value) => sum + value, 0) / list.length);
+    adjusted = values.map((value, x) => value - seasonalIndex[x % SEASON_WEEKS]);
+  }
+
+  const offset = Math.max(0, adjusted.length - TREND_WEEKS);
+  const fit = fitLine(adjusted.slice(offset));
+  return Array.from({ length: horizon }, (_, step) => {
+    const x = fit.n + step;
+    const season = seasonal ? seasonalIndex[(offset + x) % SEASON_WEEKS] : 0;
+    const value = Math.max(0, fit.intercept + fit.slope * x + season);
+    const spread = fit.error * Z_95 * Math.sqrt(1 + 1 / fit.n + (fit.sxx > 0 ? (x - fit.meanX) ** 2 / fit.sxx : 0));
+    return { value, low: Math.max(0, value - spread), high: value + spread };
+  });
+};
+
+// History and forecast of weekly total, billable, internal and external hours. Forecast
+// weeks carry { weekStart, total: { value, low, high }, billable: {...}, ... }.
+export const forecastWeeklyHours = (rows, { horizon = 8, weekStartsOn = 1 } = {}) => {
+  const history = buildWeeklySeries(rows, weekStartsOn);
+  if (history.length === 0) return { history, forecast: [] };
+
+  const projections = Object.fromEntries(SERIES.map(id => [id, forecastValues(history.map(week => week[id]), horizon)]));
+  const lastWeek = parseLocalDate(history[history.length - 1].weekStart);
+  const forecast = Array.from({ length: horizon }, (_, step) => ({
+    weekStart: dayKey(addDays(lastWeek, 7 * (step + 1))),
+    ...Object.fromEntries(SERIES.map(id => [id, projections[id][step]]))
+  }));
+  return { history, forecast };
+};
+
+const sumForecast = (points) => {
+  const value = points.reduce((sum, point) => sum + point.value, 0);
+  // Week errors are treated as independent, so band half-widths add in quadrature
+  const spread = Math.sqrt(points.reduce((sum, point) => sum + (point.high - point.value) ** 2, 0));
+  return { value, low: Math.max(0, value - spread), high: value + spread };
+};
+
+// The weekly forecast folded into calendar months, for extending the monthly trend. Each
+// forecast week is spread evenly over its workdays, and only workdays after the newest entry
+// count, so the week still being logged isn't counted twice. Returns the hours still to come
+// per month touched by the horizon, oldest first:
+// [{ key: 'yyyy-MM', month: 'MMM yyyy', total: { value, low, high }, billable, internal, external }]
+export const forecastMonthlyHours = (rows, { horizon = 8, weekStartsOn = 1 } = {}) => {
+  const { history, forecast } = forecastWeeklyHours(rows, { horizon, weekStartsOn });
+  if (history.length < MIN_FORECAST_WEEKS) return [];
+  const lastEntry = startOfDay(rows.reduce((latest, row) => (row['Date'] > latest ? row['Date'] : latest), rows[0]['Date']));
+
+  const months = new Map();
+  forecast.forEach(week => {
+    const weekStart = parseLocalDate(week.weekStart);
+    const workdays = Array.from({ length: 7 }, (_, offset) => addDays(weekStart, offset)).filter(isWorkday);
+    const shares = new Map();
+    workdays.filter(day => day > lastEntry).forEach(day => {
+      const key = formatDate(day, 'yyyy-MM');
+      if (!shares.has(key)) shares.set(key, { date: day, share: 0 });
+      shares.get(key).share += 1 / workdays.length;
+    });
+    shares.forEach(({ date, share }, key) => {
+      if (!months.has(key)) {
+        months.set(key, { key, month: formatDate(date, 'MMM yyyy'), ...Object.fromEntries(SERIES.map(id => [id, []])) });
+      }
+      SERIES.forEach(id => {
+        const point = week[id];
+        months.get(key)[id].push({ value: point.value * share, high: point.value * share + (point.high - point.value) * share });
+      });
+    });
+  });
+
+  return Array.from(months.values())
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(month => ({ ...month, ...Object.fromEntries(SERIES.map(id => [id, sumForecast(month[id])])) }));
+};
+
+// Monthly trend points (computeMonthlyTrend) with the monthly forecast drawn on: months the
+// forecast touches get `${series}Forecast` (actual hours so far plus those still to come) and
+// totalBand [low, high], and the last month before them repeats its actuals so the dashed
+// lines start where the solid ones end. Months past the data are appended.
+export const extendMonthlyTrend = (monthlyTrend, monthlyForecast) => {
+  if (monthlyForecast.length === 0) return monthlyTrend;
+  const points = new Map(monthlyTrend.map(point => [point.key, { ...point }]));
+  const firstKey = monthlyForecast[0].key;
+  const before = monthlyTrend.filter(point => point.key < firstKey);
+  if (before.length > 0) {
+    const anchor = points.get(before[before.length - 1].key);
+    SERIES.forEach(id => {
+      anchor[`${id}Forecast`] = anchor[id];
+    });
+    anchor.totalBand = [anchor.total, anchor.total];
+  }
+
+  monthlyForecast.forEach(projection => {
+    if (!points.has(projection.key)) points.set(projection.key, { key: projection.key, month: projection.month });
+    const point = points.get(projection.key);
+    SERIES.forEach(id => {
+      point[`${id}Forecast`] = (point[id] || 0) + projection[id].value;
+    });
+    const actual = point.total || 0;
+    point.totalBand = [actual + projection.total.low, actual + projection.total.high];
+  });
+  return Array.from(points.values()).sort((a, b) => a.key.localeCompare(b.key));
+};
+
+// Projected hours per client over the horizon, each from the client's own weekly series
+// over the same weeks as the whole history (weeks without their entries count as zero).
+// Sorted by projection, largest first: [{ client, recentWeekly, value, low, high }] where
+// recentWeekly is the average of the last MIN_FORECAST_WEEKS complete weeks.
+export const forecastClientHours = (rows, { horizon = 8, weekStartsOn = 1 } = {}) => {
+  const history = buildWeeklySeries(rows, weekStartsOn);
+  if (history.length < MIN_FORECAST_WEEKS) return [];
+  const weekIndex = new Map(history.map((week, index) => [week.weekStart, index]));
+
+  const clients = new Map();
+  rows.forEach(row => {
+    if (row['Is Time Off']) return;
+    const index = weekIndex.get(dayKey(startOfWeek(row['Date'], weekStartsOn)));
+    if (index === undefined) return;
+    const client = row['Client'] || 'No Client';
+    if (!clients.has(client)) clients.set(client, new Array(history.length).fill(0));
+    clients.get(client)[index] += row['Hours'];
+  });
+
+  return Array.from(clients.entries())
+    .map(([client, values]) => ({
+      client,
+      recentWeekly: values.slice(-MIN_FORECAST_WEEKS).reduce((sum, value) => sum + value, 0) / MIN_FORECAST_WEEKS,
+      ...sumForecast(forecastValues(values, horizon))
+    }))
+    .sort((a, b) => b.value - a.value || a.client.localeCompare(b.client));
+};
+
+// Workdays from start to end (inclusive) that are not holidays
+const countWorkdays = (start, end, holidayDates) => {
+  let count = 0;
+  for (let day = startOfDay(start); day <= end; day = addDays(day, 1)) {
+    if (isWorkday(day) && !holidayDates.has(dayKey(day))) count += 1;
+  }
+  return count;
+};
+
+// People with no capacity left this month sort last
+const sortableUtilization = (projection) => (projection.projectedUtilization === null ? Infinity : projection.projectedUtilization);
+
+// Month-end utilization per employee: billable hours so far this month plus their recent
+// billable pace (per workday over the last `lookbackWeeks`) for each workday left, over the
+// month's capacity (weekly target spread over its workdays, less time off logged so far).
+// asOf is the last day with data, normally the newest entry. Sorted by projection, lowest first:
+// [{ employee, billableToDate, dailyPace, remainingWorkdays, projectedBillable, capacity, projectedUtilization }]
+export const forecastMonthEndUtilization = (rows, settings, asOf, { lookbackWeeks = 8 } = {}) => {
+  const holidayDates = new Set(settings.holidays.map(holiday => holiday.date));
+  const today = startOfDay(asOf);
+  const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+  const monthEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+  const lookbackStart = addDays(today, -7 * lookbackWeeks + 1);
+  const lookbackWorkdays = countWorkdays(lookbackStart, today, holidayDates);
+  const monthWorkdays = countWorkdays(monthStart, monthEnd, holidayDates);
+  const remainingWorkdays = countWorkdays(addDays(today, 1), monthEnd, holidayDates);
+
+  const people = new Map();
+  rows.forEach(row => {
+    const date = startOfDay(row['Date']);
+    if (date > today) return;
+    const employee = row['Full Name'];
+    if (!people.has(employee)) people.set(employee, { billableToDate: 0, timeOffToDate: 0, recentBillable: 0, active: false });
+    const person = people.get(employee);
+    const billable = row['Billable?'] === 'Yes' ? row['Hours'] : 0;
+    if (date >= lookbackStart) {
+      person.recentBillable += billable;
+      person.active = true;
+    }
+    if (date >= monthStart) {
+      person.billableToDate += billable;
+      if (row['Is Time Off']) person.timeOffToDate += row['Hours'];
+    }
+  });
+
+  return Array.from(people.entries())
+    .filter(([, person]) => person.active)
+    .map(([employee, person]) => {
+      const { target } = getEmployeeThresholds(settings, employee);
+      const dailyPace = lookbackWorkdays > 0 ? person.recentBillable / lookbackWorkdays : 0;
+      const projectedBillable = person.billableToDate + dailyPace * remainingWorkdays;
+      const capacity = Math.max(0, (target / 5) * monthWorkdays - person.timeOffToDate);
+      return {
+        employee,
+        billableToDate: person.billableToDate,
+        dailyPace,
+        remainingWorkdays,
+        projectedBillable,
+        capacity,
+        projectedUtilization: capacity > 0 ? (projectedBillable / capacity) * 100 : null
+      };
+    })
+    .sort((a, b) => sortableUtilization(a) - sortableUtilization(b) || a.employee.localeCompare(b.employee));
+};
+
@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildWeeklySeries,
+  forecastValues,
+  forecastWeeklyHours,
+  forecastMonthlyHours,
+  extendMonthlyTrend,
+  forecastClientHours,
+  forecastMonthEndUtilization
+} from './forecast.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+const row = (date, hours, overrides = {}) => ({
+  'Date': date,
+  'Hours': hours,
+  'Full Name': 'Ada Lovelace',
+  'Client': 'Acme',
+  'Billable?': 'Yes',
+  'Is Internal': false,
+  'Is Time Off': false,
+  ...overrides
+});
+
+const nov = (day) => new Date(2024, 10, day);
+
+describe('buildWeeklySeries', () => {
+  it('fills idle weeks and drops a final week that is still being logged', () => {
+    const rows = [
+      row(nov(4), 30),
+      row(nov(5), 5, { 'Billable?': 'No', 'Is Internal': true }),
+      row(nov(6), 8, { 'Is Time Off': true }),
+      row(nov(22), 20),
+      row(nov(26), 8)
+    ];
+    expect(buildWeeklySeries(rows)).toEqual([
+      { weekStart: '2024-11-04', total: 35, billable: 30, internal: 5, external: 30 },
+      { weekStart: '2024-11-11', total: 0, billable: 0, internal: 0, external: 0 },
+      { weekStart: '2024-11-18', total: 20, billable: 20, internal: 0, external: 20 }
+    ]);
+  });
+
+  it('keeps the final week once its Friday is in', () => {
+    expect(buildWeeklySeries([row(nov(4), 8), row(nov(8), 8)])).toHaveLength(1);
+  });
+});
+
+describe('forecastValues', () => {
+  it('extends a linear trend', () => {
+    const forecast = forecastValues([10, 12, 14, 16, 18], 2);
+    expect(forecast.map(point => point.value)).toEqual([20, 22]);
+    expect(forecast[0].low).toBe(20);
+    expect(forecast[0].high).toBe(20);
+  });
+
+  it('widens the band further out and never goes below zero', () => {
+    const forecast = forecastValues([40, 30, 42, 28, 38, 32, 41, 29], 4);
+    expect(forecast[3].high - forecast[3].low).toBeGreaterThan(forecast[0].high - forecast[0].low);
+    forecast.forEach(point => {
+      expect(point.value).toBeGreaterThanOrEqual(0);
+      expect(point.low).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  it('repeats a yearly pattern once two years are loaded', () => {
+    const values = Array.from({ length: 104 }, (_, week) => (week % 52 === 51 ? 10 : 40));
+    const forecast = forecastValues(values, 52);
+    expect(forecast[51].value).toBeLessThan(forecast[10].value - 20);
+  });
+});
+
+describe('forecastWeeklyHours', () => {
+  it('labels forecast weeks after the last complete week', () => {
+    const rows = [4, 11, 18, 25].map(day => row(nov(day + 4), 40));
+    const { history, forecast } = forecastWeeklyHours(rows, { horizon: 2 });
+    expect(history).toHaveLength(4);
+    expect(forecast.map(week => week.weekStart)).toEqual(['2024-12-02', '2024-12-09']);
+    expect(forecast[0].total.value).toBeCloseTo(40);
+    expect(forecast[0].internal.value).toBeCloseTo(0);
+  });
+});
+
+describe('forecastMonthlyHours', () => {
+  it('folds forecast weeks into months, counting only workdays after the newest entry', () => {
+    // 8h every workday from Oct 7; the newest entry is Wednesday Nov 27
+    const rows = [];
+    for (let day = new Date(2024, 9, 7); day <= nov(27); day.setDate(day.getDate() + 1)) {
+      if (day.getDay() >= 1 && day.getDay() <= 5) rows.push(row(new Date(day), 8));
+    }
+    const months = forecastMonthlyHours(rows, { horizon: 2 });
+    // Nov 28-29 are left of the last week, then Dec 2-6 in full
+    expect(months.map(month => [month.key, month.month])).toEqual([['2024-11', 'Nov 2024'], ['2024-12', 'Dec 2024']]);
+    expect(months[0].total.value).toBeCloseTo(16);
+    expect(months[1].total.value).toBeCloseTo(40);
+    expect(months[1].billable.value).toBeCloseTo(40);
+    expect(months[1].external.value).toBeCloseTo(40);
+  });
+
+  it('needs a few complete weeks', () => {
+    expect(forecastMonthlyHours([row(nov(4), 8), row(nov(8), 8)])).toEqual([]);
+    expect(forecastMonthlyHours([])).toEqual([]);
+  });
+});
+
+describe('extendMonthlyTrend', () => {
+  const trend = [
+    { key: '2024-10', month: 'Oct 2024', total: 160, billable: 150, internal: 10, external: 150 },
+    { key: '2024-11', month: 'Nov 2024', total: 100, billable: 100, internal: 0, external: 100 }
+  ];
+  const projection = (value) => ({ value, low: value - 10, high: value + 10 });
+  const forecast = [
+    { key: '2024-11', month: 'Nov 2024', total: projection(60), billable: projection(50), internal: projection(10), external: projection(50) },
+    { key: '2024-12', month: 'Dec 2024', total: projection(120), billable: projection(100), internal: projection(20), external: projection(100) }
+  ];
+
+  it('starts the dashed lines at the last month before the forecast and adds actuals so far', () => {
+    const points = extendMonthlyTrend(trend, forecast);
+    expect(points).toHaveLength(3);
+    expect(points[0]).toMatchObject({ total: 160, totalForecast: 160, internalForecast: 10, totalBand: [160, 160] });
+    expect(points[1]).toMatchObject({ total: 100, totalForecast: 160, billableForecast: 150, totalBand: [150, 170] });
+    expect(points[2]).toEqual({
+      key: '2024-12',
+      month: 'Dec 2024',
+      totalForecast: 120,
+      billableForecast: 100,
+      internalForecast: 20,
+      externalForecast: 100,
+      totalBand: [110, 130]
+    });
+    expect(trend[0].totalForecast).toBeUndefined();
+  });
+
+  it('leaves the trend alone without a forecast', () => {
+    expect(extendMonthlyTrend(trend, [])).toBe(trend);
+  });
+});
+
+describe('forecastClientHours', () => {
+  it('projects every client over the same weeks, biggest first', () => {
+    const rows = [4, 11, 18, 25].flatMap(day => [
+      row(nov(day + 4), 30),
+      row(nov(day + 4), day === 25 ? 20 : 0, { 'Client': 'Globex' })
+    ]);
+    const clients = forecastClientHours(rows, { horizon: 4 });
+    expect(clients.map(client => client.client)).toEqual(['Acme', 'Globex']);
+    expect(clients[0]).toMatchObject({ recentWeekly: 30 });
+    expect(clients[0].value).toBeCloseTo(120);
+    expect(clients[1].recentWeekly).toBe(5);
+    expect(clients[1].low).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('forecastMonthEndUtilization', () => {
+  it('adds the recent billable pace for the workdays left in the month', () => {
+    // Nov 2024 has 20 workdays besides Thanksgiving; Ada bills 6h every workday from September on
+    const rows = [];
+    for (let day = new Date(2024, 8, 1); day <= new Date(2024, 11, 5); day.setDate(day.getDate() + 1)) {
+      if (day.getDay() >= 1 && day.getDay() <= 5) rows.push(row(new Date(day), 6));
+    }
+    const settings = { ...DEFAULT_SETTINGS, holidays: [{ date: '2024-11-28', name: 'Thanksgiving' }] };
+    const [ada] = forecastMonthEndUtilization(rows, settings, nov(15));
+
+    expect(ada.remainingWorkdays).toBe(9);
+    expect(ada.billableToDate).toBe(66);
+    expect(ada.dailyPace).toBeCloseTo(6);
+    expect(ada.capacity).toBe(160);
+    expect(ada.projectedBillable).toBeCloseTo(120);
+    expect(ada.projectedUtilization).toBeCloseTo(75);
+  });
+});
@@ -0,0 +1,105 @@
+import { addDays, formatDate, startOfDay, startOfWeek } from './dates.js';
+import { classifyUtilizationWeek } from './stats.js';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Daily totals are bucketed by how long the day was; upper bounds are exclusive
+export const DAY_LENGTH_BUCKETS = [
+  { id: 'under-2', label: '< 2h', max: 2 },
+  { id: '2-4', label: '2–4h', max: 4 },
+  { id: '4-6', label: '4–6h', max: 6 },
+  { id: '6-8', label: '6–8h', max: 8 },
+  { id: '8-10', label: '8–10h', max: 10 },
+  { id: '10-plus', label: '10h+', max: Infinity }
+];
+
+const dayKey = (date) => formatDate(date, 'yyyy-MM-dd');
+
+// Hours per calendar day: Map(yyyy-MM-dd -> hours)
+export const computeDailyHours = (rows) => {
+  const daily = new Map();
+  rows.forEach(row => {
+    const key = dayKey(row['Date']);
+    daily.set(key, (daily.get(key) || 0) + row['Hours']);
+  });
+  return daily;
+};
+
+// GitHub-style calendar from start to end (Dates): one column per week, seven days each in
+// week order, with days outside the range as null. Returns { weeks: [{ weekStart, month,
+// days: [{ date, hours } | null] }], max } where month labels the first week of each month.
+export const buildCalendarHeatmap = (daily, start, end, weekStartsOn = 1) => {
+  const first = startOfDay(start);
+  const last = startOfDay(end);
+  const weeks = [];
+  let max = 0;
+  let previousMonth = null;
+  for (let weekStart = startOfWeek(first, weekStartsOn); weekStart <= last; weekStart = addDays(weekStart, 7)) {
+    const days = [];
+    let month = null;
+    for (let i = 0; i < 7; i++) {
+      const day = addDays(weekStart, i);
+      if (day < first || day > last) {
+        days.push(null);
+        continue;
+      }
+      const date = dayKey(day);
+      const hours = daily.get(date) || 0;
+      max = Math.max(max, hours);
+      days.push({ date, hours });
+      if (day.getMonth() !== previousMonth) {
+        month = formatDate(day, 'MMM yyyy');
+        previousMonth = day.getMonth();
+      }
+    }
+    weeks.push({ weekStart: dayKey(weekStart), month, days });
+  }
+  return { weeks, max };
+};
+
+// Weekday names in week order, for labelling calendar rows and matrix rows
+export const getWeekdayNames = (weekStartsOn = 1) => (
+  Array.from({ length: 7 }, (_, i) => WEEKDAY_NAMES[(weekStartsOn + i) % 7])
+);
+
+// Person-days by weekday and day length, so weekend work and short Fridays stand out.
+// Only days with entries count. Returns { weekdays, buckets, cells: [weekday][bucket] =
+// { days, hours } } with weekdays in week order.
+export const computeWeekdayMatrix = (rows, weekStartsOn = 1) => {
+  const personDays = new Map();
+  rows.forEach(row => {
+    const key = `${row['Full Name']}\u0000${dayKey(row['Date'])}`;
+    if (!personDays.has(key)) personDays.set(key, { date: row['Date'], hours: 0 });
+    personDays.get(key).hours += row['Hours'];
+  });
+
+  const cells = Array.from({ length: 7 }, () => DAY_LENGTH_BUCKETS.map(() => ({ days: 0, hours: 0 })));
+  personDays.forEach(({ date, hours }) => {
+    const weekday = (date.getDay() - weekStartsOn + 7) % 7;
+    const bucket = DAY_LENGTH_BUCKETS.findIndex(({ max }) => hours < max);
+    cells[weekday][bucket].days += 1;
+    cells[weekday][bucket].hours += hours;
+  });
+  return { weekdays: getWeekdayNames(weekStartsOn), buckets: DAY_LENGTH_BUCKETS, cells };
+};
+
+// Employee x week grid from computeWeeklyUtilization output, each cell classified like the
+// utilization alerts: { weeks (oldest first), employees, cells: Map(`employee|week` ->
+// { hours, utilization, level }) }. Weeks someone logged nothing have no cell.
+export const computeUtilizationHeatmap = (weeklyUtilization, settings) => {
+  const employees = new Set();
+  const cells = new Map();
+  weeklyUtilization.forEach(([weekStart, employeeMap]) => {
+    employeeMap.forEach((stats, employee) => {
+      employees.add(employee);
+      const { capacity, level } = classifyUtilizationWeek(settings, employee, weekStart, stats);
+      cells.set(`${employee}|${weekStart}`, { hours: capacity.workedHours, utilization: capacity.utilization, level });
+    });
+  });
+  return {
+    weeks: weeklyUtilization.map(([weekStart]) => weekStart).reverse(),
+    employees: Array.from(employees).sort(),
+    cells
+  };
+};
+
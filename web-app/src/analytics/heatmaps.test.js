@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeDailyHours,
+  buildCalendarHeatmap,
+  getWeekdayNames,
+  computeWeekdayMatrix,
+  computeUtilizationHeatmap
+} from './heatmaps.js';
+import { computeWeeklyUtilization } from './stats.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+const row = (employee, date, hours, overrides = {}) => ({
+  'Date': new Date(2024, 10, date),
+  'Hours': hours,
+  'Full Name': employee,
+  'Billable?': 'Yes',
+  'Is Internal': false,
+  'Is Time Off': false,
+  ...overrides
+});
+
+describe('buildCalendarHeatmap', () => {
+  // Wed Nov 6 .. Tue Nov 12, 2024
+  const daily = computeDailyHours([row('Ada', 6, 3), row('Grace', 6, 5), row('Ada', 9, 2)]);
+
+  it('lays days out in week columns and blanks the days outside the range', () => {
+    const { weeks, max } = buildCalendarHeatmap(daily, new Date(2024, 10, 6), new Date(2024, 10, 12));
+    expect(max).toBe(8);
+    expect(weeks.map(week => week.weekStart)).toEqual(['2024-11-04', '2024-11-11']);
+    expect(weeks[0].days.slice(0, 3)).toEqual([null, null, { date: '2024-11-06', hours: 8 }]);
+    expect(weeks[0].days[5]).toEqual({ date: '2024-11-09', hours: 2 });
+    expect(weeks[1].days.slice(1, 3)).toEqual([{ date: '2024-11-12', hours: 0 }, null]);
+    expect(weeks[0].month).toBe('Nov 2024');
+    expect(weeks[1].month).toBeNull();
+  });
+
+  it('follows the configured week start', () => {
+    const { weeks } = buildCalendarHeatmap(daily, new Date(2024, 10, 6), new Date(2024, 10, 12), 0);
+    expect(weeks.map(week => week.weekStart)).toEqual(['2024-11-03', '2024-11-10']);
+    expect(getWeekdayNames(0)[0]).toBe('Sunday');
+  });
+});
+
+describe('computeWeekdayMatrix', () => {
+  it('counts person-days by weekday and day length', () => {
+    const rows = [
+      row('Ada', 8, 3), row('Ada', 8, 2), // Friday, 5h
+      row('Grace', 8, 1), // Friday, 1h
+      row('Ada', 9, 11) // Saturday, 11h
+    ];
+    const { weekdays, buckets, cells } = computeWeekdayMatrix(rows);
+    expect(weekdays[4]).toBe('Friday');
+    expect(buckets.map(bucket => bucket.label)[2]).toBe('4–6h');
+    expect(cells[4][0]).toEqual({ days: 1, hours: 1 });
+    expect(cells[4][2]).toEqual({ days: 1, hours: 5 });
+    expect(cells[5][5]).toEqual({ days: 1, hours: 11 });
+    expect(cells[0].every(cell => cell.days === 0)).toBe(true);
+  });
+});
+
+describe('computeUtilizationHeatmap', () => {
+  it('classifies each person-week like the utilization alerts', () => {
+    const rows = [row('Ada', 4, 20), row('Ada', 11, 40), row('Grace', 11, 50)];
+    const { weeks, employees, cells } = computeUtilizationHeatmap(computeWeeklyUtilization(rows), DEFAULT_SETTINGS);
+    expect(weeks).toEqual(['2024-11-04', '2024-11-11']);
+    expect(employees).toEqual(['Ada', 'Grace']);
+    expect(cells.get('Ada|2024-11-04')).toMatchObject({ hours: 20, level: 'low' });
+    expect(cells.get('Ada|2024-11-11')).toMatchObject({ hours: 40, level: 'ok', utilization: 100 });
+    expect(cells.get('Grace|2024-11-11').level).toBe('high');
+    expect(cells.has('Grace|2024-11-04')).toBe(false);
+  });
+});
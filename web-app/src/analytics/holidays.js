@@ -0,0 +1,90 @@
+import Papa from 'papaparse';
+import { parseCalendarDate, formatDate, addDays } from './dates.js';
+
+// Longest event expanded into individual days; guards against open-ended calendar entries
+const MAX_EVENT_DAYS = 31;
+
+// RFC 5545 folds long lines by starting continuation lines with a space or tab
+const unfoldLines = (text) => text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+const unescapeText = (value) => value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+// DTSTART/DTEND as 20241128 or 20241128T090000Z; only the calendar day is kept
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value.trim());
+  return match ? parseCalendarDate(`${match[1]}-${match[2]}-${match[3]}`) : null;
+};
+
+// One holiday per day of every VEVENT. All-day DTEND is exclusive; an event without one,
+// or one ending on the day it starts, covers a single day. Recurrence rules are not
+// expanded, so yearly events need an entry per year (as public holiday feeds provide).
+export const parseIcsHolidays = (text) => {
+  const holidays = [];
+  let skipped = 0;
+  let event = null;
+
+  unfoldLines(text).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        const end = event.end && event.end > event.start ? event.end : addDays(event.start, 1);
+        let day = event.start;
+        for (let i = 0; i < MAX_EVENT_DAYS && day < end; i++, day = addDays(day, 1)) {
+          holidays.push({ date: formatDate(day, 'yyyy-MM-dd'), name: event.name || 'Holiday' });
+        }
+      } else {
+        skipped++;
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+    const property = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+    if (property === 'DTSTART') event.start = parseIcsDate(value);
+    else if (property === 'DTEND') event.end = parseIcsDate(value);
+    else if (property === 'SUMMARY') event.name = unescapeText(value);
+  });
+
+  return { holidays, skipped };
+};
+
+// A CSV with a date column (any header containing "date") and optionally a name column
+// ("name", "holiday", "summary" or "description"); dates may be in any supported format.
+export const parseCsvHolidays = (text) => {
+  const { data, meta } = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: (header) => header.trim()
+  });
+  const fields = meta.fields || [];
+  const dateColumn = fields.find(field => /date/i.test(field));
+  if (!dateColumn) {
+    throw new Error('Holiday CSV needs a Date column');
+  }
+  const nameColumn = fields.find(field => /name|holiday|summary|description/i.test(field) && field !== dateColumn);
+
+  const holidays = [];
+  let skipped = 0;
+  data.forEach(row => {
+    const date = parseCalendarDate(row[dateColumn]);
+    if (!date) {
+      skipped++;
+      return;
+    }
+    holidays.push({ date: formatDate(date, 'yyyy-MM-dd'), name: nameColumn ? (row[nameColumn] || '').trim() : '' });
+  });
+  return { holidays, skipped };
+};
+
+// Holidays from an iCalendar feed or a CSV, told apart by content: { holidays, skipped }
+export const parseHolidayCalendar = (text) => (
+  /BEGIN:VCALENDAR/i.test(text) ? parseIcsHolidays(text) : parseCsvHolidays(text)
+);
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { parseHolidayCalendar } from './holidays.js';
+
+const ics = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20241128',
+  'DTEND;VALUE=DATE:20241130',
+  'SUMMARY:Thanksgiving\\, and the day after',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20241225T000000Z',
+  'SUMMARY:Christ',
+  ' mas Day',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:No date',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('parseHolidayCalendar', () => {
+  it('reads iCalendar events, expanding multi-day ones', () => {
+    expect(parseHolidayCalendar(ics)).toEqual({
+      holidays: [
+        { date: '2024-11-28', name: 'Thanksgiving, and the day after' },
+        { date: '2024-11-29', name: 'Thanksgiving, and the day after' },
+        { date: '2024-12-25', name: 'Christmas Day' }
+      ],
+      skipped: 1
+    });
+  });
+
+  it('reads a CSV with date and name columns in any date format', () => {
+    const csv = 'Holiday,Date\nBoxing Day,26/12/2024\nNew Year,2025-01-01\nTBD,someday\n';
+    expect(parseHolidayCalendar(csv)).toEqual({
+      holidays: [
+        { date: '2024-12-26', name: 'Boxing Day' },
+        { date: '2025-01-01', name: 'New Year' }
+      ],
+      skipped: 1
+    });
+  });
+
+  it('rejects a CSV without a date column', () => {
+    expect(() => parseHolidayCalendar('Name\nChristmas\n')).toThrow('Holiday CSV needs a Date column');
+  });
+});
@@ -0,0 +1,23 @@
+// Pure data processing shared by the UI, the workers and anything else that needs the
+// numbers: no React, no DOM, no storage. Dates are handled in the local time zone.
+export * from './anomalies.js';
+export * from './budgets.js';
+export * from './capacity.js';
+export * from './compliance.js';
+export * from './csvValidation.js';
+export * from './dataset.js';
+export * from './dateRanges.js';
+export * from './dates.js';
+export * from './filters.js';
+export * from './financials.js';
+export * from './forecast.js';
+export * from './heatmaps.js';
+export * from './holidays.js';
+export * from './merge.js';
+export * from './notes.js';
+export * from './profiles.js';
+export * from './query.js';
+export * from './report.js';
+export * from './settings.js';
+export * from './sheets.js';
+export * from './stats.js';
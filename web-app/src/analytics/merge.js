@@ -0,0 +1,55 @@
+// Stable identity for a time entry: date + person + project + task + hours + notes
+export const getRowKey = (row) => [
+  (row['Date'] || '').trim(),
+  (row['First Name'] || '').trim(),
+  (row['Last Name'] || '').trim(),
+  (row['Project'] || '').trim(),
+  (row['Task'] || '').trim(),
+  parseFloat(row['Hours']) || 0,
+  (row['Notes'] || '').trim()
+].join('\u0001');
+
+const countKeys = (rows) => {
+  const counts = new Map();
+  rows.forEach(row => {
+    const key = getRowKey(row);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+// Merge parsed files into the existing rows, dropping entries already present.
+// Keys are counted rather than de-duplicated outright so that genuinely repeated
+// entries inside a single export survive, while overlap between exports does not.
+export const mergeCsvFiles = (existingRows, files) => {
+  const seen = countKeys(existingRows);
+  const rows = [...existingRows];
+  const report = [];
+
+  files.forEach(({ fileName, data }) => {
+    const fileCounts = new Map();
+    let addedRows = 0;
+    let duplicateRows = 0;
+
+    data.forEach(row => {
+      const key = getRowKey(row);
+      const occurrence = (fileCounts.get(key) || 0) + 1;
+      fileCounts.set(key, occurrence);
+
+      if (occurrence <= (seen.get(key) || 0)) {
+        duplicateRows++;
+      } else {
+        rows.push(row);
+        addedRows++;
+      }
+    });
+
+    fileCounts.forEach((count, key) => {
+      seen.set(key, Math.max(seen.get(key) || 0, count));
+    });
+
+    report.push({ fileName, totalRows: data.length, addedRows, duplicateRows });
+  });
+
+  return { rows, report };
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { getRowKey, mergeCsvFiles } from './merge.js';
+
+const entry = (overrides = {}) => ({
+  'Date': '2024-03-04',
+  'First Name': 'Ada',
+  'Last Name': 'Lovelace',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Hours': '2',
+  'Notes': 'Landing page',
+  ...overrides
+});
+
+describe('getRowKey', () => {
+  it('ignores surrounding whitespace and equivalent hour spellings', () => {
+    expect(getRowKey(entry({ 'Project': ' Website ', 'Hours': '2.0' }))).toBe(getRowKey(entry()));
+  });
+
+  it('tolerates missing fields', () => {
+    expect(() => getRowKey({})).not.toThrow();
+  });
+});
+
+describe('mergeCsvFiles', () => {
+  it('drops entries that overlap earlier exports', () => {
+    const { rows, report } = mergeCsvFiles([entry()], [
+      { fileName: 'march.csv', data: [entry(), entry({ 'Hours': '3' })] }
+    ]);
+    expect(rows).toHaveLength(2);
+    expect(report).toEqual([{ fileName: 'march.csv', totalRows: 2, addedRows: 1, duplicateRows: 1 }]);
+  });
+
+  it('keeps genuinely repeated entries within one export', () => {
+    const { rows } = mergeCsvFiles([], [{ fileName: 'march.csv', data: [entry(), entry()] }]);
+    expect(rows).toHaveLength(2);
+  });
+
+  it('only drops as many repeats as were already loaded', () => {
+    const { rows, report } = mergeCsvFiles([], [
+      { fileName: 'a.csv', data: [entry(), entry()] },
+      { fileName: 'b.csv', data: [entry(), entry(), entry()] }
+    ]);
+    expect(rows).toHaveLength(3);
+    expect(report[1]).toMatchObject({ addedRows: 1, duplicateRows: 2 });
+  });
+
+  it('handles no files and empty files', () => {
+    expect(mergeCsvFiles([], []).rows).toEqual([]);
+    expect(mergeCsvFiles([entry()], [{ fileName: 'empty.csv', data: [] }]).report[0]).toMatchObject({ addedRows: 0, duplicateRows: 0 });
+  });
+});
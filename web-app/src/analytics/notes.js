@@ -0,0 +1,176 @@
+// Text analytics over Harvest's Notes column, where people describe the work itself
+
+// Common English words plus time-tracking filler that says nothing about the work
+export const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before',
+  'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'during',
+  'each', 'etc', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no', 'nor', 'not',
+  'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'out', 'over', 'per', 're', 'same', 'she', 'should',
+  'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'via', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  'worked', 'working', 'continued', 'continue', 'today', 'yesterday', 'various', 'misc', 'stuff'
+]);
+
+// Whole notes that describe nothing, compared after lower-casing and dropping punctuation
+export const BOILERPLATE_NOTES = new Set([
+  'misc', 'miscellaneous', 'work', 'working', 'stuff', 'various', 'general', 'tbd', 'todo', 'na', 'n a', 'none',
+  'see above', 'same', 'same as above', 'same as yesterday', 'as above', 'continued', 'cont', 'admin', 'tasks',
+  'dev', 'development', 'meeting', 'meetings', 'support', 'project work', 'client work', 'x'
+]);
+
+const normalizeNote = (note) => String(note || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Lower-cased words in note order, keeping inner apostrophes and hyphens ("don't", "follow-up")
+const splitWords = (note) => String(note || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+
+const isKeyword = (word) => word.length > 1 && !STOP_WORDS.has(word) && !/^\d+$/.test(word);
+
+// Keywords of one note: single words and two-word phrases of adjacent keywords, each once
+export const extractNoteTerms = (note) => {
+  const words = splitWords(note);
+  const terms = new Set();
+  words.forEach((word, i) => {
+    if (!isKeyword(word)) return;
+    terms.add(word);
+    if (i + 1 < words.length && isKeyword(words[i + 1])) terms.add(`${word} ${words[i + 1]}`);
+  });
+  return terms;
+};
+
+const isPhrase = (term) => term.includes(' ');
+
+// Terms for the notes cloud: [{ text, count (entries), hours, size }] most used first. A phrase
+// needs at least two entries, and a word is dropped when a phrase containing it is used just as
+// often, so "load balancer" doesn't also show "load" and "balancer" on their own.
+export const computeNoteCloud = (rows, limit = 40) => {
+  const totals = new Map();
+  rows.forEach(row => {
+    extractNoteTerms(row['Notes']).forEach(term => {
+      if (!totals.has(term)) totals.set(term, { text: term, count: 0, hours: 0 });
+      totals.get(term).count += 1;
+      totals.get(term).hours += row['Hours'];
+    });
+  });
+
+  const phrases = Array.from(totals.values()).filter(term => isPhrase(term.text) && term.count >= 2);
+  const covered = new Set();
+  phrases.forEach(phrase => {
+    phrase.text.split(' ').forEach(word => {
+      if (totals.has(word) && totals.get(word).count === phrase.count) covered.add(word);
+    });
+  });
+
+  const terms = [
+    ...phrases,
+    ...Array.from(totals.values()).filter(term => !isPhrase(term.text) && !covered.has(term.text))
+  ].sort((a, b) => b.count - a.count || b.hours - a.hours || a.text.localeCompare(b.text)).slice(0, limit);
+
+  const maxCount = terms.length > 0 ? terms[0].count : 1;
+  return terms.map(term => ({ ...term, size: Math.round(12 + (36 * term.count) / maxCount) }));
+};
+
+// The terms that set each group (client, project, ...) apart: term frequency in the group
+// weighted by how few groups use the term. [{ key, hours, entries, keywords: [{ text, count }] }]
+// with the groups largest first.
+export const computeKeywordsByGroup = (rows, getKey, limit = 5) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = getKey(row) || '(none)';
+    if (!groups.has(key)) groups.set(key, { key, hours: 0, entries: 0, terms: new Map() });
+    const group = groups.get(key);
+    group.hours += row['Hours'];
+    group.entries += 1;
+    extractNoteTerms(row['Notes']).forEach(term => group.terms.set(term, (group.terms.get(term) || 0) + 1));
+  });
+
+  const groupsUsing = new Map();
+  groups.forEach(group => group.terms.forEach((_, term) => groupsUsing.set(term, (groupsUsing.get(term) || 0) + 1)));
+
+  return Array.from(groups.values())
+    .map(({ key, hours, entries, terms }) => ({
+      key,
+      hours,
+      entries,
+      keywords: Array.from(terms.entries())
+        .filter(([term, count]) => !isPhrase(term) || count >= 2)
+        .map(([term, count]) => ({ text: term, count, score: count * Math.log(1 + groups.size / groupsUsing.get(term)) }))
+        .sort((a, b) => b.score - a.score || a.text.localeCompare(b.text))
+        .slice(0, limit)
+        .map(({ text, count }) => ({ text, count }))
+    }))
+    .sort((a, b) => b.hours - a.hours);
+};
+
+// 'empty', 'boilerplate' (a stock phrase, or just the task name again) or null for a real note
+export const classifyNote = (note, task = '') => {
+  const normalized = normalizeNote(note);
+  if (!normalized) return 'empty';
+  if (BOILERPLATE_NOTES.has(normalized) || normalized === normalizeNote(task)) return 'boilerplate';
+  return null;
+};
+
+// Notes quality per employee for billing reviews, worst first:
+// [{ employee, entries, hours, emptyEntries, boilerplateEntries, poorHours, poorBillableHours,
+//    quality (percent of entries with a real note), examples: [most common boilerplate notes] }]
+export const computeNoteQuality = (rows) => {
+  const people = new Map();
+  rows.forEach(row => {
+    const employee = row['Full Name'];
+    if (!people.has(employee)) {
+      people.set(employee, {
+        employee, entries: 0, hours: 0, emptyEntries: 0, boilerplateEntries: 0, poorHours: 0, poorBillableHours: 0, boilerplate: new Map()
+      });
+    }
+    const person = people.get(employee);
+    person.entries += 1;
+    person.hours += row['Hours'];
+    const problem = classifyNote(row['Notes'], row['Task']);
+    if (!problem) return;
+    person.poorHours += row['Hours'];
+    if (row['Billable?'] === 'Yes') person.poorBillableHours += row['Hours'];
+    if (problem === 'empty') {
+      person.emptyEntries += 1;
+    } else {
+      person.boilerplateEntries += 1;
+      const text = String(row['Notes']).trim();
+      person.boilerplate.set(text, (person.boilerplate.get(text) || 0) + 1);
+    }
+  });
+
+  return Array.from(people.values())
+    .map(({ boilerplate, ...person }) => ({
+      ...person,
+      quality: ((person.entries - person.emptyEntries - person.boilerplateEntries) / person.entries) * 100,
+      examples: Array.from(boilerplate.entries()).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([text]) => text)
+    }))
+    .sort((a, b) => a.quality - b.quality || b.poorHours - a.poorHours);
+};
+
+// Search terms: words, or "quoted phrases" kept whole, lower-cased
+export const parseSearchQuery = (query) => (
+  (String(query || '').toLowerCase().match(/"[^"]+"|\S+/g) || [])
+    .map(term => term.replace(/^"|"$/g, '').trim())
+    .filter(Boolean)
+);
+
+// Rows whose notes contain every term
+export const searchNotes = (rows, query) => {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) return [];
+  return rows.filter(row => {
+    const notes = String(row['Notes'] || '').toLowerCase();
+    return notes && terms.every(term => notes.includes(term));
+  });
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split text into [{ text, match }] segments so the search terms can be highlighted
+export const highlightTerms = (text, terms) => {
+  const value = String(text || '');
+  if (terms.length === 0 || !value) return [{ text: value, match: false }];
+  const pattern = new RegExp(`(${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'gi');
+  return value.split(pattern).filter(Boolean).map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  extractNoteTerms,
+  computeNoteCloud,
+  computeKeywordsByGroup,
+  classifyNote,
+  computeNoteQuality,
+  parseSearchQuery,
+  searchNotes,
+  highlightTerms
+} from './notes.js';
+
+const row = (notes, overrides = {}) => ({
+  'Full Name': 'Ada Lovelace',
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Hours': 1,
+  'Billable?': 'Yes',
+  'Notes': notes,
+  ...overrides
+});
+
+describe('extractNoteTerms', () => {
+  it('drops stop words and numbers and pairs adjacent keywords', () => {
+    expect(Array.from(extractNoteTerms('Worked on the load balancer for 2 hours'))).toEqual([
+      'load', 'load balancer', 'balancer', 'hours'
+    ]);
+  });
+
+  it('keeps hyphenated words whole and counts a term once per note', () => {
+    expect(Array.from(extractNoteTerms('Follow-up: follow-up'))).toEqual(['follow-up', 'follow-up follow-up']);
+  });
+});
+
+describe('computeNoteCloud', () => {
+  it('prefers a repeated phrase over its words', () => {
+    const rows = [row('Load balancer setup', { 'Hours': 2 }), row('load balancer tuning'), row('Database tuning')];
+    const cloud = computeNoteCloud(rows);
+    expect(cloud.map(term => term.text)).toEqual(['load balancer', 'tuning', 'setup', 'database']);
+    expect(cloud[0]).toMatchObject({ count: 2, hours: 3, size: 48 });
+  });
+});
+
+describe('computeKeywordsByGroup', () => {
+  it('ranks terms that are distinctive to the group first', () => {
+    const rows = [
+      row('Review pull requests'),
+      row('Review checkout flow'),
+      row('Checkout flow fixes'),
+      row('Review budget', { 'Client': 'Globex' })
+    ];
+    const [acme, globex] = computeKeywordsByGroup(rows, r => r['Client'], 2);
+    expect(acme).toMatchObject({ key: 'Acme', hours: 3, entries: 3 });
+    expect(acme.keywords.map(keyword => keyword.text)).toEqual(['checkout', 'checkout flow']);
+    expect(globex.keywords.map(keyword => keyword.text)).toEqual(['budget', 'review']);
+  });
+});
+
+describe('classifyNote', () => {
+  it('flags empty, stock and task-name notes', () => {
+    expect(classifyNote('   ')).toBe('empty');
+    expect(classifyNote(undefined)).toBe('empty');
+    expect(classifyNote('Misc.')).toBe('boilerplate');
+    expect(classifyNote('development', 'Development')).toBe('boilerplate');
+    expect(classifyNote('Fixed checkout bug', 'Development')).toBeNull();
+  });
+});
+
+describe('computeNoteQuality', () => {
+  it('scores each person and lists their most common boilerplate', () => {
+    const rows = [
+      row('Fixed checkout bug'),
+      row('misc', { 'Full Name': 'Grace Hopper', 'Hours': 3 }),
+      row('misc', { 'Full Name': 'Grace Hopper', 'Billable?': 'No' }),
+      row('', { 'Full Name': 'Grace Hopper', 'Hours': 2 }),
+      row('Compiler design', { 'Full Name': 'Grace Hopper' })
+    ];
+    const [grace, ada] = computeNoteQuality(rows);
+    expect(grace).toMatchObject({
+      employee: 'Grace Hopper',
+      entries: 4,
+      emptyEntries: 1,
+      boilerplateEntries: 2,
+      poorHours: 6,
+      poorBillableHours: 5,
+      quality: 25,
+      examples: ['misc']
+    });
+    expect(ada).toMatchObject({ employee: 'Ada Lovelace', quality: 100 });
+  });
+});
+
+describe('searchNotes', () => {
+  const rows = [row('Load balancer setup'), row('Balancer load test'), row('')];
+
+  it('needs every term and keeps quoted phrases whole', () => {
+    expect(parseSearchQuery('Load "load balancer"')).toEqual(['load', 'load balancer']);
+    expect(searchNotes(rows, 'balancer load')).toHaveLength(2);
+    expect(searchNotes(rows, '"load balancer"')).toEqual([rows[0]]);
+    expect(searchNotes(rows, '  ')).toEqual([]);
+  });
+
+  it('splits text around the matches for highlighting', () => {
+    expect(highlightTerms('Load balancer load', ['load'])).toEqual([
+      { text: 'Load', match: true },
+      { text: ' balancer ', match: false },
+      { text: 'load', match: true }
+    ]);
+  });
+});
@@ -0,0 +1,209 @@
+import { computeWeeklyUtilization, computeInternalBreakdown, computeUtilizationAlerts, computeShoutouts } from './stats.js';
+import { computeWeekCapacity } from './capacity.js';
+import { differenceInDays, formatDate, startOfDay, startOfWeek } from './dates.js';
+
+// Window for the rolling utilization average on the profile page
+export const ROLLING_WEEKS = 12;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const sumBy = (rows, getKey) => {
+  const totals = new Map();
+  rows.forEach(row => {
+    const key = getKey(row);
+    totals.set(key, (totals.get(key) || 0) + row['Hours']);
+  });
+  return totals;
+};
+
+// Rolling mean of each person's weekly utilization, over the ROLLING_WEEKS weeks ending at
+// each week; weeks a person logged nothing (or was entirely off) are left out of their mean.
+// weeks is oldest first; returns Map(employee -> Map(weekStart -> average))
+const computeRollingUtilization = (weeks, settings) => {
+  const utilization = new Map();
+  weeks.forEach(([weekStart, employeeMap], index) => {
+    employeeMap.forEach((stats, employee) => {
+      const { utilization: rate } = computeWeekCapacity(settings, employee, weekStart, stats);
+      if (rate === null) return;
+      if (!utilization.has(employee)) utilization.set(employee, []);
+      utilization.get(employee).push({ index, rate });
+    });
+  });
+
+  const rolling = new Map();
+  utilization.forEach((points, employee) => {
+    const averages = new Map();
+    weeks.forEach(([weekStart], index) => {
+      const window = points.filter(point => point.index <= index && point.index > index - ROLLING_WEEKS);
+      if (window.length > 0) averages.set(weekStart, mean(window.map(point => point.rate)));
+    });
+    rolling.set(employee, averages);
+  });
+  return rolling;
+};
+
+// Everything the profile page shows for one person. rows are the whole team's processed
+// rows for the period, since the rolling average is compared with the team median.
+// weeks runs oldest first from the person's first to last week with entries, with
+// zero-hour weeks filled in; billablePercent is billable over logged hours and
+// utilization billable over capacity, both in percent.
+export const computeEmployeeProfile = (rows, employee, settings) => {
+  const weekly = computeWeeklyUtilization(rows, settings.weekStartsOn);
+  const chronological = [...weekly].reverse();
+  const personRows = rows.filter(row => row['Full Name'] === employee);
+  const rolling = computeRollingUtilization(chronological, settings);
+  const personRolling = rolling.get(employee) || new Map();
+
+  const activeIndexes = chronological
+    .map(([, employeeMap], index) => (employeeMap.has(employee) ? index : -1))
+    .filter(index => index >= 0);
+  const tenure = activeIndexes.length > 0
+    ? chronological.slice(activeIndexes[0], activeIndexes[activeIndexes.length - 1] + 1)
+    : [];
+
+  const weeks = tenure.map(([weekStart, employeeMap]) => {
+    const stats = employeeMap.get(employee);
+    const teamAverages = [];
+    rolling.forEach(averages => {
+      if (averages.has(weekStart)) teamAverages.push(averages.get(weekStart));
+    });
+    const hours = stats ? stats.hours - stats.timeOffHours : 0;
+    const billableHours = stats ? stats.billableHours : 0;
+    return {
+      weekStart,
+      hours,
+      billableHours,
+      billablePercent: hours > 0 ? (billableHours / hours) * 100 : null,
+      utilization: stats ? computeWeekCapacity(settings, employee, weekStart, stats).utilization : null,
+      rollingUtilization: personRolling.has(weekStart) ? personRolling.get(weekStart) : null,
+      teamMedian: median(teamAverages)
+    };
+  });
+
+  let hours = 0;
+  let billableHours = 0;
+  let internalHours = 0;
+  personRows.forEach(row => {
+    if (row['Is Time Off']) return;
+    hours += row['Hours'];
+    if (row['Billable?'] === 'Yes') billableHours += row['Hours'];
+    if (row['Is Internal']) internalHours += row['Hours'];
+  });
+
+  const internalProjects = [];
+  Object.entries(computeInternalBreakdown(personRows)).forEach(([client, projects]) => {
+    Object.entries(projects).forEach(([project, tasks]) => {
+      const projectHours = Object.values(tasks).reduce((sum, task) => sum + task.hours, 0);
+      internalProjects.push({ client, project, hours: projectHours });
+    });
+  });
+
+  const latest = weeks.length > 0 ? weeks[weeks.length - 1] : null;
+
+  return {
+    employee,
+    totals: {
+      hours,
+      billableHours,
+      internalHours,
+      billablePercent: hours > 0 ? (billableHours / hours) * 100 : 0,
+      weeksActive: activeIndexes.length
+    },
+    weeks,
+    clients: Array.from(sumBy(personRows, row => row['Client']).entries())
+      .map(([client, clientHours]) => ({ client, hours: clientHours }))
+      .sort((a, b) => b.hours - a.hours),
+    projects: Array.from(sumBy(personRows, row => `${row['Client']}\u0000${row['Project']}`).entries())
+      .map(([key, projectHours]) => {
+        const [client, project] = key.split('\u0000');
+        return { client, project, hours: projectHours };
+      })
+      .sort((a, b) => b.hours - a.hours),
+    internalProjects: internalProjects.sort((a, b) => b.hours - a.hours),
+    // Newest first, like the Utilization tab
+    alerts: computeUtilizationAlerts(weekly, settings).filter(alert => alert.employee === employee),
+    shoutouts: computeShoutouts(weekly, settings, weekly.length).filter(shoutout => shoutout.employee === employee),
+    rollingUtilization: latest ? latest.rollingUtilization : null,
+    teamMedianUtilization: latest ? latest.teamMedian : null
+  };
+};
+
+// Bus factor is the fewest people who together log more than this share of a client's hours
+export const BUS_FACTOR_SHARE = 50;
+
+// Account health for one client from the period's processed rows. asOf (a Date, normally
+// the newest loaded entry) is what days since last activity counts from. Average weekly
+// burn spreads the hours over every week from the first to the last entry, idle weeks included.
+export const computeClientProfile = (rows, client, { asOf, weekStartsOn = 1 } = {}) => {
+  const clientRows = rows.filter(row => row['Client'] === client);
+
+  let hours = 0;
+  let billableHours = 0;
+  let first = null;
+  let last = null;
+  const months = new Map();
+  clientRows.forEach(row => {
+    hours += row['Hours'];
+    const billable = row['Billable?'] === 'Yes' ? row['Hours'] : 0;
+    billableHours += billable;
+    if (!first || row['Date'] < first) first = row['Date'];
+    if (!last || row['Date'] > last) last = row['Date'];
+
+    const key = formatDate(row['Date'], 'yyyy-MM');
+    if (!months.has(key)) months.set(key, { key, month: formatDate(row['Date'], 'MMM yyyy'), hours: 0, billableHours: 0 });
+    months.get(key).hours += row['Hours'];
+    months.get(key).billableHours += billable;
+  });
+
+  const employees = Array.from(sumBy(clientRows, row => row['Full Name']).entries())
+    .map(([employee, employeeHours]) => ({ employee, hours: employeeHours, share: hours > 0 ? (employeeHours / hours) * 100 : 0 }))
+    .sort((a, b) => b.hours - a.hours);
+  let busFactor = 0;
+  let covered = 0;
+  while (busFactor < employees.length && covered <= BUS_FACTOR_SHARE) {
+    covered += employees[busFactor].share;
+    busFactor += 1;
+  }
+
+  const projects = new Map();
+  clientRows.forEach(row => {
+    const project = row['Project'] || 'No Project';
+    if (!projects.has(project)) projects.set(project, { project, hours: 0, billableHours: 0 });
+    projects.get(project).hours += row['Hours'];
+    if (row['Billable?'] === 'Yes') projects.get(project).billableHours += row['Hours'];
+  });
+
+  const spanWeeks = first
+    ? Math.round(differenceInDays(startOfWeek(last, weekStartsOn), startOfWeek(first, weekStartsOn)) / 7) + 1
+    : 0;
+
+  return {
+    client,
+    totals: {
+      hours,
+      billableHours,
+      billablePercent: hours > 0 ? (billableHours / hours) * 100 : 0,
+      entries: clientRows.length
+    },
+    months: Array.from(months.values())
+      .map(month => ({ ...month, billablePercent: month.hours > 0 ? (month.billableHours / month.hours) * 100 : 0 }))
+      .sort((a, b) => a.key.localeCompare(b.key)),
+    employees,
+    busFactor,
+    projects: Array.from(projects.values()).sort((a, b) => b.hours - a.hours),
+    tasks: Array.from(sumBy(clientRows, row => row['Task'] || 'No Task').entries())
+      .map(([task, taskHours]) => ({ task, hours: taskHours }))
+      .sort((a, b) => b.hours - a.hours),
+    averageWeeklyHours: spanWeeks > 0 ? hours / spanWeeks : 0,
+    firstActivity: first,
+    lastActivity: last,
+    daysSinceLastActivity: last && asOf ? Math.max(0, differenceInDays(startOfDay(asOf), startOfDay(last))) : null
+  };
+};
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { computeEmployeeProfile, computeClientProfile } from './profiles.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+const row = (employee, date, hours, overrides = {}) => ({
+  'Date': new Date(2024, 10, date),
+  'Hours': hours,
+  'Full Name': employee,
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Billable?': 'Yes',
+  'Is Internal': false,
+  'Is Time Off': false,
+  ...overrides
+});
+
+const internal = { 'Client': 'Onica', 'Project': 'Training', 'Billable?': 'No', 'Is Internal': true };
+
+// Weeks of Nov 4, 11 and 18, 2024. Ada logs nothing in the middle week.
+const rows = [
+  row('Ada Lovelace', 4, 40),
+  row('Ada Lovelace', 18, 20),
+  row('Ada Lovelace', 19, 20, internal),
+  row('Grace Hopper', 4, 20),
+  row('Grace Hopper', 11, 20),
+  row('Grace Hopper', 18, 20, { 'Client': 'Globex', 'Project': 'Portal' })
+];
+
+describe('computeEmployeeProfile', () => {
+  const profile = computeEmployeeProfile(rows, 'Ada Lovelace', DEFAULT_SETTINGS);
+
+  it('lists every week from first to last entry, oldest first', () => {
+    expect(profile.weeks.map(week => week.weekStart)).toEqual(['2024-11-04', '2024-11-11', '2024-11-18']);
+    expect(profile.weeks[0]).toMatchObject({ hours: 40, billablePercent: 100, utilization: 100 });
+    expect(profile.weeks[1]).toMatchObject({ hours: 0, billablePercent: null, utilization: null });
+    expect(profile.weeks[2]).toMatchObject({ hours: 40, billablePercent: 50, utilization: 50 });
+  });
+
+  it('compares the rolling average with the team median', () => {
+    expect(profile.rollingUtilization).toBe(75);
+    expect(profile.teamMedianUtilization).toBe(62.5);
+    expect(profile.weeks[0]).toMatchObject({ rollingUtilization: 100, teamMedian: 75 });
+  });
+
+  it('splits hours by client, project and internal project', () => {
+    expect(profile.totals).toMatchObject({ hours: 80, billableHours: 60, internalHours: 20, billablePercent: 75, weeksActive: 2 });
+    expect(profile.clients).toEqual([{ client: 'Acme', hours: 60 }, { client: 'Onica', hours: 20 }]);
+    expect(profile.projects[0]).toEqual({ client: 'Acme', project: 'Website', hours: 60 });
+    expect(profile.internalProjects).toEqual([{ client: 'Onica', project: 'Training', hours: 20 }]);
+  });
+
+  it('keeps only the person’s alerts and shoutouts', () => {
+    expect(profile.alerts).toEqual([]);
+    expect(profile.shoutouts.map(shoutout => shoutout.weekStart)).toEqual(['2024-11-04']);
+
+    const grace = computeEmployeeProfile(rows, 'Grace Hopper', DEFAULT_SETTINGS);
+    expect(grace.alerts.map(alert => [alert.weekStart, alert.level])).toEqual([
+      ['2024-11-18', 'low'],
+      ['2024-11-11', 'low'],
+      ['2024-11-04', 'low']
+    ]);
+  });
+
+  it('is empty for someone without entries', () => {
+    const nobody = computeEmployeeProfile(rows, 'Alan Turing', DEFAULT_SETTINGS);
+    expect(nobody.weeks).toEqual([]);
+    expect(nobody.rollingUtilization).toBeNull();
+  });
+});
+
+describe('computeClientProfile', () => {
+  const clientRows = [
+    row('Ada Lovelace', 4, 30),
+    row('Ada Lovelace', 5, 10, { 'Task': 'Meetings', 'Billable?': 'No' }),
+    row('Grace Hopper', 19, 20, { 'Project': 'Mobile App' }),
+    row('Grace Hopper', 20, 10, internal)
+  ];
+  const asOf = new Date(2024, 11, 2);
+  const profile = computeClientProfile(clientRows, 'Acme', { asOf });
+
+  it('totals the account and measures burn over its active weeks', () => {
+    expect(profile.totals).toEqual({ hours: 60, billableHours: 50, billablePercent: (50 / 60) * 100, entries: 3 });
+    expect(profile.averageWeeklyHours).toBe(20);
+    expect(profile.daysSinceLastActivity).toBe(13);
+    expect(profile.months).toEqual([
+      { key: '2024-11', month: 'Nov 2024', hours: 60, billableHours: 50, billablePercent: (50 / 60) * 100 }
+    ]);
+  });
+
+  it('ranks the people on the account and finds the bus factor', () => {
+    expect(profile.employees.map(({ employee, share }) => [employee, Math.round(share)])).toEqual([
+      ['Ada Lovelace', 67],
+      ['Grace Hopper', 33]
+    ]);
+    expect(profile.busFactor).toBe(1);
+    expect(computeClientProfile([row('Ada Lovelace', 4, 10), row('Grace Hopper', 4, 10)], 'Acme').busFactor).toBe(2);
+  });
+
+  it('breaks hours down by project and task', () => {
+    expect(profile.projects).toEqual([
+      { project: 'Website', hours: 40, billableHours: 30 },
+      { project: 'Mobile App', hours: 20, billableHours: 20 }
+    ]);
+    expect(profile.tasks).toEqual([{ task: 'Development', hours: 50 }, { task: 'Meetings', hours: 10 }]);
+  });
+});
@@ -0,0 +1,60 @@
+import { queryDataset, selectRows } from './dataset.js';
+import {
+  computeStats,
+  computeClientHours,
+  computeEmployeeUtilization,
+  computeWeeklyUtilization,
+  computeInternalBreakdown,
+  computeEmployeeHours,
+  computeProjectSummary,
+  computeMonthlyTrend,
+  computeTaskWordCloud
+} from './stats.js';
+import { summarizeFinancials, computeFinancialBreakdowns, detectCurrencies } from './financials.js';
+
+// Every aggregate the tabs render for one filter state. Runs in the analytics worker, or
+// on the main thread where workers are unavailable. Internal breakdown entries are row
+// positions in dataset.rows so the result stays small enough to post back cheaply.
+// Financials are left out when the entries span several currencies rather than summed.
+export const runAnalyticsQuery = (dataset, { filters, dateRange, compareRange, includeFinancials, weekStartsOn = 1 }) => {
+  const positions = queryDataset(dataset, filters, dateRange);
+  const rows = selectRows(dataset, positions);
+  const currencies = detectCurrencies(rows);
+  const internalRows = [];
+  const internalPositions = [];
+  rows.forEach((row, i) => {
+    if (row['Is Internal']) {
+      internalRows.push(row);
+      internalPositions.push(positions[i]);
+    }
+  });
+
+  let comparison = null;
+  if (compareRange) {
+    const comparisonRows = selectRows(dataset, queryDataset(dataset, filters, compareRange));
+    const comparisonCurrencies = detectCurrencies(comparisonRows);
+    comparison = {
+      stats: computeStats(comparisonRows),
+      clientHours: computeClientHours(comparisonRows),
+      employees: computeEmployeeUtilization(comparisonRows),
+      financials: includeFinancials && currencies.length <= 1 && comparisonCurrencies.every(code => code === currencies[0])
+        ? summarizeFinancials(comparisonRows)
+        : null
+    };
+  }
+
+  return {
+    stats: computeStats(rows),
+    clientHours: computeClientHours(rows),
+    employeeUtilization: computeEmployeeUtilization(rows),
+    weeklyUtilization: computeWeeklyUtilization(rows, weekStartsOn),
+    internalBreakdown: computeInternalBreakdown(internalRows, internalPositions),
+    internalEmployeeHours: computeEmployeeHours(internalRows),
+    projectSummary: computeProjectSummary(rows),
+    monthlyTrend: computeMonthlyTrend(rows),
+    taskWordCloud: computeTaskWordCloud(rows),
+    financials: includeFinancials && currencies.length <= 1 ? computeFinancialBreakdowns(rows) : null,
+    currencies,
+    comparison
+  };
+};
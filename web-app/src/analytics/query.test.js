@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { runAnalyticsQuery } from './query.js';
+import { buildDataset } from './dataset.js';
+import { EMPTY_FILTERS } from './filters.js';
+import { endOfDay, parseLocalDate } from './dates.js';
+
+const isInternal = (client) => client === 'Internal';
+
+const entry = (overrides = {}) => ({
+  'Date': '2024-03-04',
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Hours': '4',
+  'Billable?': 'Yes',
+  'First Name': 'Ada',
+  'Last Name': 'Lovelace',
+  ...overrides
+});
+
+const range = (start, end) => ({ start: parseLocalDate(start), end: endOfDay(parseLocalDate(end)) });
+
+describe('runAnalyticsQuery', () => {
+  it('produces empty aggregates for an empty dataset', () => {
+    const result = runAnalyticsQuery(buildDataset([], isInternal), { filters: EMPTY_FILTERS, dateRange: null, compareRange: null, includeFinancials: false });
+    expect(result.stats.totalHours).toBe('0.0');
+    expect(result.clientHours).toEqual({});
+    expect(result.weeklyUtilization).toEqual([]);
+    expect(result.internalBreakdown).toEqual({});
+    expect(result.taskWordCloud).toEqual([]);
+    expect(result.financials).toBeNull();
+    expect(result.comparison).toBeNull();
+  });
+
+  it('refers to internal entries by dataset position', () => {
+    const dataset = buildDataset([
+      entry(),
+      entry({ 'Date': '2024-03-05', 'Client': 'Internal', 'Project': 'Hiring', 'Task': 'Interviews', 'Hours': '2' })
+    ], isInternal);
+    const result = runAnalyticsQuery(dataset, { filters: EMPTY_FILTERS, dateRange: null, compareRange: null, includeFinancials: false });
+    const entries = result.internalBreakdown['Internal']['Hiring']['Interviews'].entries;
+    expect(entries.map(position => dataset.rows[position]['Task'])).toEqual(['Interviews']);
+  });
+
+  it('computes the comparison period with the same filters', () => {
+    const dataset = buildDataset([
+      entry({ 'Date': '2024-03-04' }),
+      entry({ 'Date': '2024-03-11', 'Hours': '6' }),
+      entry({ 'Date': '2024-03-11', 'Client': 'Globex', 'Hours': '1' })
+    ], isInternal);
+    const result = runAnalyticsQuery(dataset, {
+      filters: { ...EMPTY_FILTERS, client: ['Acme'] },
+      dateRange: range('2024-03-11', '2024-03-17'),
+      compareRange: range('2024-03-04', '2024-03-10'),
+      includeFinancials: false
+    });
+    expect(result.stats.totalHours).toBe('6.0');
+    expect(result.comparison.stats.totalHours).toBe('4.0');
+  });
+
+  it('leaves financials out rather than adding up different currencies', () => {
+    const dataset = buildDataset([
+      entry({ 'Billable Amount': '400', 'Currency': 'United States Dollar - USD' }),
+      entry({ 'Client': 'Globex', 'Billable Amount': '300', 'Currency': 'Euro - EUR' })
+    ], isInternal);
+    const query = { filters: EMPTY_FILTERS, dateRange: null, compareRange: null, includeFinancials: true };
+    const mixed = runAnalyticsQuery(dataset, query);
+    expect(mixed.currencies).toEqual(['USD', 'EUR']);
+    expect(mixed.financials).toBeNull();
+
+    const euros = runAnalyticsQuery(dataset, { ...query, filters: { ...EMPTY_FILTERS, client: ['Globex'] } });
+    expect(euros.currencies).toEqual(['EUR']);
+    expect(euros.financials.totals.revenue).toBe(300);
+  });
+});
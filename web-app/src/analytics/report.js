@@ -0,0 +1,53 @@
+import { buildDataset, queryDataset, selectRows } from './dataset.js';
+import { EMPTY_FILTERS } from './filters.js';
+import { hasFinancialColumns, detectCurrencies } from './financials.js';
+import { runAnalyticsQuery } from './query.js';
+import { createInternalClientMatcher, createTimeOffMatcher } from './settings.js';
+import { computeUtilizationAlerts, computeShoutouts } from './stats.js';
+import {
+  buildWeeklySheet,
+  buildAlertsSheet,
+  buildShoutoutsSheet,
+  buildClientSheet,
+  buildProjectSheet
+} from './sheets.js';
+
+export const REPORT_SECTIONS = ['weekly', 'alerts', 'shoutouts', 'clients', 'projects'];
+
+// The headless equivalent of the dashboard: the same query, alerts and shoutouts the app
+// computes for its Overview and Utilization tabs, returned as { stats, sheets } where
+// sheets maps each REPORT_SECTIONS id to a { name, columns, rows } sheet. As in the app,
+// revenue, cost and margin are left out when the entries span several currencies; the
+// report then sets financialsOmitted and lists them in currencies.
+export const buildReport = (csvData, settings, { dateRange = null } = {}) => {
+  const dataset = buildDataset(
+    csvData,
+    createInternalClientMatcher(settings.internalClients),
+    createTimeOffMatcher(settings.timeOffRules)
+  );
+  const entries = selectRows(dataset, queryDataset(dataset, EMPTY_FILTERS, dateRange));
+  const currencies = detectCurrencies(entries);
+  const hasFinancials = hasFinancialColumns(dataset.rows);
+  const includeFinancials = hasFinancials && currencies.length <= 1;
+  const aggregates = runAnalyticsQuery(dataset, {
+    filters: EMPTY_FILTERS,
+    dateRange,
+    compareRange: null,
+    includeFinancials,
+    weekStartsOn: settings.weekStartsOn
+  });
+  const { weeklyUtilization } = aggregates;
+
+  return {
+    stats: aggregates.stats,
+    currencies,
+    financialsOmitted: hasFinancials && !includeFinancials,
+    sheets: {
+      weekly: buildWeeklySheet(weeklyUtilization, settings),
+      alerts: buildAlertsSheet(computeUtilizationAlerts(weeklyUtilization, settings)),
+      shoutouts: buildShoutoutsSheet(computeShoutouts(weeklyUtilization, settings)),
+      clients: buildClientSheet(entries, includeFinancials),
+      projects: buildProjectSheet(aggregates.projectSummary, includeFinancials)
+    }
+  };
+};
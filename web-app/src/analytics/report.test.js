@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { buildReport, REPORT_SECTIONS } from './report.js';
+import { formatSheetAsMarkdown } from './sheets.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+import { startOfDay, endOfDay } from './dates.js';
+
+const entry = (date, hours, overrides = {}) => ({
+  'Date': date,
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Hours': String(hours),
+  'Billable?': 'Yes',
+  'First Name': 'Ada',
+  'Last Name': 'Lovelace',
+  ...overrides
+});
+
+const csvData = [
+  entry('2024-05-13', 20),
+  entry('2024-05-20', 50),
+  entry('2024-05-27', 5, { 'Client': 'Onica', 'Project': 'Hiring', 'Billable?': 'No' })
+];
+
+describe('buildReport', () => {
+  it('builds every section', () => {
+    const report = buildReport(csvData, DEFAULT_SETTINGS);
+    expect(Object.keys(report.sheets)).toEqual(REPORT_SECTIONS);
+    expect(report.stats.totalHours).toBe('75.0');
+    expect(report.sheets.alerts.rows.map(row => [row[0], row[3]])).toEqual([
+      ['2024-05-27', 'Low'],
+      ['2024-05-20', 'High'],
+      ['2024-05-13', 'Low']
+    ]);
+    expect(report.sheets.clients.rows.map(row => [row[0], row[1], row[2]])).toEqual([
+      ['Acme', 'External', 70],
+      ['Onica', 'Internal', 5]
+    ]);
+  });
+
+  it('applies the thresholds and internal clients from settings', () => {
+    const settings = { ...DEFAULT_SETTINGS, internalClients: [], lowHoursThreshold: 4, highHoursThreshold: 60 };
+    const report = buildReport(csvData, settings);
+    expect(report.sheets.alerts.rows).toEqual([]);
+    expect(report.sheets.clients.rows.every(row => row[1] === 'External')).toBe(true);
+  });
+
+  it('limits every section to the date range', () => {
+    const dateRange = { start: startOfDay(new Date(2024, 4, 20)), end: endOfDay(new Date(2024, 4, 26)) };
+    const report = buildReport(csvData, DEFAULT_SETTINGS, { dateRange });
+    expect(report.sheets.weekly.rows.map(row => row[0])).toEqual(['2024-05-20']);
+    expect(report.sheets.clients.rows.map(row => row[0])).toEqual(['Acme']);
+    expect(report.sheets.projects.rows).toHaveLength(1);
+  });
+
+  it('groups weeks from the configured week start', () => {
+    const report = buildReport([entry('2024-05-19', 8), entry('2024-05-20', 8)], { ...DEFAULT_SETTINGS, weekStartsOn: 0 });
+    expect(report.sheets.weekly.rows.map(row => [row[0], row[2]])).toEqual([['2024-05-19', 16]]);
+  });
+
+  it('includes revenue, cost and margin for a single currency', () => {
+    const rated = csvData.map(row => ({ ...row, 'Billable Rate': '100', 'Cost Rate': '40', 'Currency': 'USD' }));
+    const report = buildReport(rated, DEFAULT_SETTINGS);
+    expect(report.financialsOmitted).toBe(false);
+    expect(report.sheets.clients.columns).toContain('Revenue');
+    expect(report.sheets.clients.rows[0].slice(5)).toEqual([7000, 2800, 4200]);
+  });
+
+  it('omits revenue, cost and margin when the entries span several currencies', () => {
+    const rated = csvData.map((row, i) => ({ ...row, 'Billable Rate': '100', 'Cost Rate': '40', 'Currency': i === 0 ? 'EUR' : 'USD' }));
+    const report = buildReport(rated, DEFAULT_SETTINGS);
+    expect(report.financialsOmitted).toBe(true);
+    expect(report.currencies).toEqual(['USD', 'EUR']);
+    expect(report.sheets.clients.columns).not.toContain('Revenue');
+    expect(report.sheets.projects.columns).not.toContain('Revenue');
+
+    // A date range holding one currency brings them back
+    const dateRange = { start: startOfDay(new Date(2024, 4, 20)), end: endOfDay(new Date(2024, 4, 26)) };
+    const inRange = buildReport(rated, DEFAULT_SETTINGS, { dateRange });
+    expect(inRange.financialsOmitted).toBe(false);
+    expect(inRange.sheets.projects.columns).toContain('Margin');
+  });
+
+  it('handles no entries', () => {
+    const report = buildReport([], DEFAULT_SETTINGS);
+    REPORT_SECTIONS.forEach(section => expect(report.sheets[section].rows).toEqual([]));
+  });
+});
+
+describe('formatSheetAsMarkdown', () => {
+  it('renders a table and escapes pipes', () => {
+    const sheet = { name: 'Test', columns: ['Task', 'Hours'], rows: [['Build | deploy', 2]] };
+    expect(formatSheetAsMarkdown(sheet)).toBe('| Task | Hours |\n| --- | --- |\n| Build \\| deploy | 2 |');
+  });
+
+  it('notes an empty sheet', () => {
+    expect(formatSheetAsMarkdown({ name: 'Test', columns: ['Task'], rows: [] })).toBe('_No rows_');
+  });
+});
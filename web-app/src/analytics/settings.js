@@ -0,0 +1,166 @@
+import { DATE_FORMATS, WEEK_STARTS, parseLocalDate } from './dates.js';
+
+export const MATCH_TYPES = ['exact', 'prefix', 'regex'];
+
+// Row fields a time-off rule can match against
+export const TIME_OFF_FIELDS = [
+  { id: 'task', column: 'Task', label: 'Task' },
+  { id: 'project', column: 'Project', label: 'Project' }
+];
+
+export const DEFAULT_SETTINGS = {
+  internalClients: [
+    { pattern: 'Onica', match: 'exact' },
+    { pattern: 'Rackspace Innovation In Action', match: 'exact' }
+  ],
+  standardWeeklyHours: 40,
+  lowHoursThreshold: 30,
+  highHoursThreshold: 45,
+  employeeTargets: {},
+  // Entries matching these are leave: they reduce that week's capacity instead of counting as work
+  timeOffRules: [
+    { pattern: '^(pto|paid time off|time off|vacation|holiday|sick)', match: 'regex', field: 'task' }
+  ],
+  // Company holidays as { date: 'yyyy-MM-dd', name }; each one on a weekday removes a day of capacity
+  holidays: [],
+  shoutout: {
+    minBillableRate: 90,
+    minHours: 35
+  },
+  fiscalYearStartMonth: 1,
+  weekStartsOn: 1,
+  dateFormat: 'auto'
+};
+
+const toNumber = (value, fallback) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num >= 0 ? num : fallback;
+};
+
+// Coerce anything read from storage or an imported profile into a complete settings object
+export const normalizeSettings = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+
+  const internalClients = Array.isArray(source.internalClients)
+    ? source.internalClients
+        .map(rule => (typeof rule === 'string' ? { pattern: rule, match: 'exact' } : rule))
+        .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim() !== '')
+        .map(rule => ({
+          pattern: rule.pattern.trim(),
+          match: MATCH_TYPES.includes(rule.match) ? rule.match : 'exact'
+        }))
+    : DEFAULT_SETTINGS.internalClients;
+
+  const employeeTargets = {};
+  if (source.employeeTargets && typeof source.employeeTargets === 'object') {
+    Object.entries(source.employeeTargets).forEach(([employee, target]) => {
+      const hours = toNumber(target, null);
+      if (employee.trim() && hours !== null) {
+        employeeTargets[employee.trim()] = hours;
+      }
+    });
+  }
+
+  const timeOffRules = Array.isArray(source.timeOffRules)
+    ? source.timeOffRules
+        .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim() !== '')
+        .map(rule => ({
+          pattern: rule.pattern.trim(),
+          match: MATCH_TYPES.includes(rule.match) ? rule.match : 'exact',
+          field: TIME_OFF_FIELDS.some(({ id }) => id === rule.field) ? rule.field : 'task'
+        }))
+    : DEFAULT_SETTINGS.timeOffRules;
+
+  const holidays = Array.isArray(source.holidays) ? mergeHolidays([], source.holidays) : DEFAULT_SETTINGS.holidays;
+
+  const shoutout = source.shoutout && typeof source.shoutout === 'object' ? source.shoutout : {};
+
+  return {
+    internalClients,
+    standardWeeklyHours: toNumber(source.standardWeeklyHours, DEFAULT_SETTINGS.standardWeeklyHours) || DEFAULT_SETTINGS.standardWeeklyHours,
+    lowHoursThreshold: toNumber(source.lowHoursThreshold, DEFAULT_SETTINGS.lowHoursThreshold),
+    highHoursThreshold: toNumber(source.highHoursThreshold, DEFAULT_SETTINGS.highHoursThreshold),
+    employeeTargets,
+    timeOffRules,
+    holidays,
+    shoutout: {
+      minBillableRate: Math.min(toNumber(shoutout.minBillableRate, DEFAULT_SETTINGS.shoutout.minBillableRate), 100),
+      minHours: toNumber(shoutout.minHours, DEFAULT_SETTINGS.shoutout.minHours)
+    },
+    fiscalYearStartMonth: Math.min(Math.max(Math.round(toNumber(source.fiscalYearStartMonth, DEFAULT_SETTINGS.fiscalYearStartMonth)), 1), 12),
+    weekStartsOn: WEEK_STARTS.some(({ id }) => id === source.weekStartsOn) ? source.weekStartsOn : DEFAULT_SETTINGS.weekStartsOn,
+    dateFormat: DATE_FORMATS.some(({ id }) => id === source.dateFormat) ? source.dateFormat : DEFAULT_SETTINGS.dateFormat
+  };
+};
+
+export const serializeSettingsProfile = (settings) => JSON.stringify(settings, null, 2);
+
+// Throws if the profile is not valid JSON so the caller can report it
+export const parseSettingsProfile = (text) => normalizeSettings(JSON.parse(text));
+
+// Add holidays to a list, keeping the first name given for a date; invalid entries are dropped.
+// Returns a new list sorted by date.
+export const mergeHolidays = (existing, incoming) => {
+  const byDate = new Map();
+  [...existing, ...incoming].forEach(holiday => {
+    if (!holiday || !parseLocalDate(holiday.date) || byDate.has(holiday.date)) return;
+    const name = typeof holiday.name === 'string' && holiday.name.trim() ? holiday.name.trim() : 'Holiday';
+    byDate.set(holiday.date, { date: holiday.date, name });
+  });
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Build a predicate over names from { pattern, match } rules; invalid regexes never match
+const createNameMatcher = (rules) => {
+  const matchers = rules.map(({ pattern, match }) => {
+    if (match === 'prefix') {
+      const prefix = pattern.toLowerCase();
+      return name => name.toLowerCase().startsWith(prefix);
+    }
+    if (match === 'regex') {
+      try {
+        const regex = new RegExp(pattern, 'i');
+        return name => regex.test(name);
+      } catch {
+        return () => false;
+      }
+    }
+    return name => name === pattern;
+  });
+
+  return (name) => Boolean(name) && matchers.some(matches => matches(name));
+};
+
+export const createInternalClientMatcher = (rules) => createNameMatcher(rules);
+
+// Build a row predicate from the time-off rules, each matching the task or project name
+export const createTimeOffMatcher = (rules) => {
+  const matchers = TIME_OFF_FIELDS.map(({ id, column }) => {
+    const matches = createNameMatcher(rules.filter(rule => rule.field === id));
+    return row => matches(row[column]);
+  });
+  return (row) => matchers.some(matches => matches(row));
+};
+
+export const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Thresholds scale with a part-timer's target hours relative to the standard week
+export const getEmployeeThresholds = (settings, employee) => {
+  const target = settings.employeeTargets[employee];
+  const scale = target !== undefined ? target / settings.standardWeeklyHours : 1;
+
+  return {
+    target: target !== undefined ? target : settings.standardWeeklyHours,
+    low: settings.lowHoursThreshold * scale,
+    high: settings.highHoursThreshold * scale,
+    shoutoutMinHours: settings.shoutout.minHours * scale,
+    shoutoutMinBillableRate: settings.shoutout.minBillableRate / 100
+  };
+};
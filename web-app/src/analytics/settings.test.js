@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSettings, createTimeOffMatcher, mergeHolidays, DEFAULT_SETTINGS } from './settings.js';
+
+describe('createTimeOffMatcher', () => {
+  it('recognises common leave tasks by default', () => {
+    const isTimeOff = createTimeOffMatcher(DEFAULT_SETTINGS.timeOffRules);
+    expect(isTimeOff({ 'Task': 'PTO', 'Project': 'Admin' })).toBe(true);
+    expect(isTimeOff({ 'Task': 'Vacation', 'Project': 'Admin' })).toBe(true);
+    expect(isTimeOff({ 'Task': 'Development', 'Project': 'Admin' })).toBe(false);
+  });
+
+  it('matches rules against the chosen field only', () => {
+    const isTimeOff = createTimeOffMatcher([{ pattern: 'Leave', match: 'exact', field: 'project' }]);
+    expect(isTimeOff({ 'Task': 'Annual', 'Project': 'Leave' })).toBe(true);
+    expect(isTimeOff({ 'Task': 'Leave', 'Project': 'Website' })).toBe(false);
+  });
+});
+
+describe('mergeHolidays', () => {
+  it('sorts, drops invalid dates and keeps the first name for a date', () => {
+    expect(mergeHolidays(
+      [{ date: '2024-12-25', name: 'Christmas' }],
+      [{ date: '2024-12-25', name: 'Xmas' }, { date: '2024-11-28', name: '' }, { date: 'soon', name: 'Later' }]
+    )).toEqual([
+      { date: '2024-11-28', name: 'Holiday' },
+      { date: '2024-12-25', name: 'Christmas' }
+    ]);
+  });
+});
+
+describe('normalizeSettings', () => {
+  it('fills in defaults for older profiles', () => {
+    const settings = normalizeSettings({ standardWeeklyHours: 37.5 });
+    expect(settings.standardWeeklyHours).toBe(37.5);
+    expect(settings.timeOffRules).toEqual(DEFAULT_SETTINGS.timeOffRules);
+    expect(settings.holidays).toEqual([]);
+    expect(settings.weekStartsOn).toBe(1);
+  });
+
+  it('cleans time-off rules and holidays', () => {
+    const settings = normalizeSettings({
+      timeOffRules: [{ pattern: ' Leave ', match: 'nope', field: 'client' }, { pattern: '' }],
+      holidays: [{ date: '2024-12-25' }, null]
+    });
+    expect(settings.timeOffRules).toEqual([{ pattern: 'Leave', match: 'exact', field: 'task' }]);
+    expect(settings.holidays).toEqual([{ date: '2024-12-25', name: 'Holiday' }]);
+  });
+});
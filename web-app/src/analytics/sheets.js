@@ -0,0 +1,202 @@
+import { formatDate } from './dates.js';
+import { computeWeekCapacity } from './capacity.js';
+
+// Derived fields added by processedData that should not be exported as if they were Harvest columns
+const DERIVED_COLUMNS = ['Full Name', 'Is Internal', 'Is Time Off', 'Revenue', 'Cost'];
+const LEADING_COLUMNS = ['Date', 'Full Name', 'Client', 'Project', 'Task', 'Hours', 'Billable?', 'Type', 'Notes'];
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Each builder returns a sheet: { name, columns, rows } with rows as arrays of cell values
+
+export const buildEntriesSheet = (entries) => {
+  const extraColumns = [];
+  const seen = new Set([...LEADING_COLUMNS, ...DERIVED_COLUMNS]);
+  entries.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if (!seen.has(column)) {
+        seen.add(column);
+        extraColumns.push(column);
+      }
+    });
+  });
+
+  const columns = [...LEADING_COLUMNS, ...extraColumns];
+  const rows = entries.map(row => columns.map(column => {
+    if (column === 'Date') return formatDate(row['Date'], 'yyyy-MM-dd');
+    if (column === 'Type') return row['Is Internal'] ? 'Internal' : 'External';
+    return row[column] === undefined ? '' : row[column];
+  }));
+
+  return { name: 'Entries', columns, rows };
+};
+
+// Utilization is billable over available hours; it is left blank for weeks entirely off
+export const buildWeeklySheet = (weeklyUtilization, settings) => {
+  const rows = [];
+  weeklyUtilization.forEach(([weekStart, employeeMap]) => {
+    employeeMap.forEach((stats, employee) => {
+      const capacity = computeWeekCapacity(settings, employee, weekStart, stats);
+      rows.push([
+        weekStart,
+        employee,
+        round(stats.hours),
+        round(stats.billableHours),
+        round(stats.internalHours),
+        round(stats.externalHours),
+        round(stats.timeOffHours),
+        round(capacity.available),
+        capacity.utilization === null ? '' : round(capacity.utilization, 1),
+        stats.days.size
+      ]);
+    });
+  });
+
+  return {
+    name: 'Weekly Utilization',
+    columns: ['Week Starting', 'Employee', 'Total', 'Billable', 'Internal', 'External', 'Time Off', 'Capacity', 'Utilization %', 'Days'],
+    rows
+  };
+};
+
+export const buildInternalSheet = (internalBreakdown) => {
+  const rows = [];
+  Object.entries(internalBreakdown).forEach(([client, projects]) => {
+    Object.entries(projects).forEach(([project, tasks]) => {
+      Object.entries(tasks).forEach(([task, data]) => {
+        rows.push([client, project, task, round(data.hours), round(data.billableHours), data.entries.length]);
+      });
+    });
+  });
+
+  return {
+    name: 'Internal Attribution',
+    columns: ['Client', 'Project', 'Task', 'Hours', 'Billable Hours', 'Entries'],
+    rows
+  };
+};
+
+export const buildClientSheet = (entries, includeFinancials) => {
+  const clients = new Map();
+  entries.forEach(row => {
+    const client = row['Client'] || 'No Client';
+    if (!clients.has(client)) {
+      clients.set(client, { hours: 0, billable: 0, revenue: 0, cost: 0, isInternal: row['Is Internal'] });
+    }
+    const data = clients.get(client);
+    data.hours += row['Hours'];
+    if (row['Billable?'] === 'Yes') {
+      data.billable += row['Hours'];
+    }
+    data.revenue += row['Revenue'];
+    data.cost += row['Cost'];
+  });
+
+  const columns = ['Client', 'Type', 'Hours', 'Billable Hours', 'Billable %'];
+  if (includeFinancials) columns.push('Revenue', 'Cost', 'Margin');
+
+  const rows = Array.from(clients.entries())
+    .sort(([, a], [, b]) => b.hours - a.hours)
+    .map(([client, data]) => {
+      const row = [
+        client,
+        data.isInternal ? 'Internal' : 'External',
+        round(data.hours),
+        round(data.billable),
+        data.hours > 0 ? round((data.billable / data.hours) * 100, 1) : 0
+      ];
+      if (includeFinancials) row.push(round(data.revenue), round(data.cost), round(data.revenue - data.cost));
+      return row;
+    });
+
+  return { name: 'Clients', columns, rows };
+};
+
+export const buildProjectSheet = (projectSummary, includeFinancials) => {
+  const columns = ['Project', 'Type', 'Hours', 'Billable Hours', 'Billable %'];
+  if (includeFinancials) columns.push('Revenue', 'Cost', 'Margin');
+
+  const rows = projectSummary.map(([project, data]) => {
+    const row = [
+      project,
+      data.isInternal ? 'Internal' : 'External',
+      round(data.hours),
+      round(data.billable),
+      data.hours > 0 ? round((data.billable / data.hours) * 100, 1) : 0
+    ];
+    if (includeFinancials) row.push(round(data.revenue), round(data.cost), round(data.revenue - data.cost));
+    return row;
+  });
+
+  return { name: 'Projects', columns, rows };
+};
+
+export const buildAlertsSheet = (alerts) => ({
+  name: 'Utilization Alerts',
+  columns: ['Week Starting', 'Employee', 'Hours', 'Level', 'Threshold', 'Capacity'],
+  rows: alerts.map(alert => [
+    alert.weekStart,
+    alert.employee,
+    round(alert.hours),
+    alert.level === 'low' ? 'Low' : 'High',
+    round(alert.threshold),
+    round(alert.capacity)
+  ])
+});
+
+export const buildShoutoutsSheet = (shoutouts) => ({
+  name: 'Shoutouts',
+  columns: ['Week Starting', 'Employee', 'Hours', 'Billable Hours', 'Billable %'],
+  rows: shoutouts.map(shoutout => [
+    shoutout.weekStart,
+    shoutout.employee,
+    round(shoutout.hours),
+    round(shoutout.billableHours),
+    round(shoutout.billableRate, 1)
+  ])
+});
+
+// One row per person, with the dates spelled out so the sheet can drive reminder emails
+export const buildComplianceSheet = (compliance) => ({
+  name: 'Timesheet Compliance',
+  columns: ['Employee', 'Completeness %', 'Missing Days', 'Empty Weeks', 'Long Days', 'Hours', 'Missing Dates', 'Empty Week Starts', 'Long Day Dates'],
+  rows: compliance.people.map(person => [
+    person.employee,
+    round(person.completeness, 1),
+    person.missingDays.length,
+    person.emptyWeeks.length,
+    person.longDays.length,
+    round(person.hours),
+    person.missingDays.join(', '),
+    person.emptyWeeks.join(', '),
+    person.longDays.map(({ date, hours }) => `${date} (${round(hours, 1)}h)`).join(', ')
+  ])
+});
+
+export const buildNoteQualitySheet = (quality) => ({
+  name: 'Notes Quality',
+  columns: ['Employee', 'Entries', 'Empty Notes', 'Boilerplate Notes', 'Quality %', 'Hours Without Real Notes', 'Billable Hours Without Real Notes', 'Common Boilerplate'],
+  rows: quality.map(person => [
+    person.employee,
+    person.entries,
+    person.emptyEntries,
+    person.boilerplateEntries,
+    round(person.quality, 1),
+    round(person.poorHours),
+    round(person.poorBillableHours),
+    person.examples.join(' | ')
+  ])
+});
+
+const escapeMarkdownCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+// A sheet as a GitHub-flavoured Markdown table; empty sheets render as a single note line
+export const formatSheetAsMarkdown = (sheet) => {
+  if (sheet.rows.length === 0) return '_No rows_';
+  const lines = [
+    `| ${sheet.columns.map(escapeMarkdownCell).join(' | ')} |`,
+    `| ${sheet.columns.map(() => '---').join(' | ')} |`,
+    ...sheet.rows.map(row => `| ${row.map(escapeMarkdownCell).join(' | ')} |`)
+  ];
+  return lines.join('\n');
+};
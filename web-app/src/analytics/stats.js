@@ -0,0 +1,266 @@
+import { formatDate, startOfWeek } from './dates.js';
+import { getEmployeeThresholds } from './settings.js';
+import { computeWeekCapacity } from './capacity.js';
+
+// Summary statistics for a slice of processed rows (shape used by the Overview tab)
+export const computeStats = (rows) => {
+  let totalHours = 0;
+  let billableHours = 0;
+  let internalHours = 0;
+  let externalHours = 0;
+
+  rows.forEach(row => {
+    totalHours += row['Hours'];
+    if (row['Billable?'] === 'Yes') {
+      billableHours += row['Hours'];
+    }
+    if (row['Is Internal']) {
+      internalHours += row['Hours'];
+    } else {
+      externalHours += row['Hours'];
+    }
+  });
+
+  const uniqueClients = new Set(rows.map(row => row['Client'])).size;
+  const uniqueProjects = new Set(rows.map(row => row['Project'])).size;
+  const uniqueDays = new Set(rows.map(row => formatDate(row['Date'], 'yyyy-MM-dd'))).size;
+
+  return {
+    totalHours: totalHours.toFixed(1),
+    billableHours: billableHours.toFixed(1),
+    internalHours: internalHours.toFixed(1),
+    externalHours: externalHours.toFixed(1),
+    utilizationRate: totalHours > 0 ? ((billableHours / totalHours) * 100).toFixed(1) : 0,
+    internalRate: totalHours > 0 ? ((internalHours / totalHours) * 100).toFixed(1) : 0,
+    uniqueClients,
+    uniqueProjects,
+    avgHoursPerDay: uniqueDays > 0 ? (totalHours / uniqueDays).toFixed(1) : 0
+  };
+};
+
+export const computeClientHours = (rows) => rows.reduce((acc, row) => {
+  acc[row['Client']] = (acc[row['Client']] || 0) + row['Hours'];
+  return acc;
+}, {});
+
+// Period totals per employee: { employee: { hours, billableHours, utilization } }
+export const computeEmployeeUtilization = (rows) => {
+  const totals = {};
+  rows.forEach(row => {
+    const employee = row['Full Name'];
+    if (!totals[employee]) {
+      totals[employee] = { hours: 0, billableHours: 0, utilization: 0 };
+    }
+    totals[employee].hours += row['Hours'];
+    if (row['Billable?'] === 'Yes') {
+      totals[employee].billableHours += row['Hours'];
+    }
+  });
+
+  Object.values(totals).forEach(entry => {
+    entry.utilization = entry.hours > 0 ? (entry.billableHours / entry.hours) * 100 : 0;
+  });
+
+  return totals;
+};
+
+// Absolute and percentage change; percent is null when there is nothing to compare against
+export const computeDelta = (current, previous) => {
+  const currentValue = parseFloat(current) || 0;
+  const previousValue = parseFloat(previous) || 0;
+  return {
+    absolute: currentValue - previousValue,
+    percent: previousValue !== 0 ? ((currentValue - previousValue) / Math.abs(previousValue)) * 100 : null
+  };
+};
+
+// Per client-project totals, largest first:
+// [[`Client - Project`, { client, project, hours, billable, revenue, cost, isInternal }]]
+export const computeProjectSummary = (rows) => Object.entries(
+  rows.reduce((acc, row) => {
+    const key = `${row['Client']} - ${row['Project']}`;
+    if (!acc[key]) {
+      acc[key] = { client: row['Client'], project: row['Project'], hours: 0, billable: 0, revenue: 0, cost: 0, isInternal: row['Is Internal'] };
+    }
+    acc[key].hours += row['Hours'];
+    if (row['Billable?'] === 'Yes') {
+      acc[key].billable += row['Hours'];
+    }
+    acc[key].revenue += row['Revenue'];
+    acc[key].cost += row['Cost'];
+    return acc;
+  }, {})
+).sort(([, a], [, b]) => b.hours - a.hours);
+
+// Monthly internal/external/billable/total hours in calendar order
+export const computeMonthlyTrend = (rows) => Object.values(
+  rows.reduce((acc, row) => {
+    const key = formatDate(row['Date'], 'yyyy-MM');
+    if (!acc[key]) {
+      acc[key] = { key, month: formatDate(row['Date'], 'MMM yyyy'), internal: 0, external: 0, billable: 0, total: 0 };
+    }
+    acc[key].total += row['Hours'];
+    if (row['Billable?'] === 'Yes') {
+      acc[key].billable += row['Hours'];
+    }
+    if (row['Is Internal']) {
+      acc[key].internal += row['Hours'];
+    } else {
+      acc[key].external += row['Hours'];
+    }
+    return acc;
+  }, {})
+).sort((a, b) => a.key.localeCompare(b.key));
+
+// Hours per employee per week, newest week first: [[weekStart, Map(employee => stats)]].
+// weekStartsOn is a WEEK_STARTS id (1 = Monday, 0 = Sunday). Time off is kept per day
+// (timeOff: Map(yyyy-MM-dd => hours)) so capacity can skip days that were holidays anyway.
+export const computeWeeklyUtilization = (rows, weekStartsOn = 1) => {
+  const weekMap = new Map();
+
+  rows.forEach(row => {
+    const weekKey = formatDate(startOfWeek(row['Date'], weekStartsOn), 'yyyy-MM-dd');
+    const employee = row['Full Name'];
+
+    if (!weekMap.has(weekKey)) {
+      weekMap.set(weekKey, new Map());
+    }
+
+    const employeeMap = weekMap.get(weekKey);
+    if (!employeeMap.has(employee)) {
+      employeeMap.set(employee, {
+        hours: 0,
+        billableHours: 0,
+        internalHours: 0,
+        externalHours: 0,
+        timeOffHours: 0,
+        timeOff: new Map(),
+        days: new Set()
+      });
+    }
+
+    const stats = employeeMap.get(employee);
+    stats.hours += row['Hours'];
+    if (row['Billable?'] === 'Yes') {
+      stats.billableHours += row['Hours'];
+    }
+    if (row['Is Internal']) {
+      stats.internalHours += row['Hours'];
+    } else {
+      stats.externalHours += row['Hours'];
+    }
+    const day = formatDate(row['Date'], 'yyyy-MM-dd');
+    if (row['Is Time Off']) {
+      stats.timeOffHours += row['Hours'];
+      stats.timeOff.set(day, (stats.timeOff.get(day) || 0) + row['Hours']);
+    }
+    stats.days.add(day);
+  });
+
+  // Week keys are ISO dates, so they sort as strings
+  return Array.from(weekMap.entries()).sort(([a], [b]) => b.localeCompare(a));
+};
+
+// Internal hours as client > project > task. entryRefs (parallel to rows) is what each
+// task lists as its entries; the worker passes row indices so the rows needn't be copied back.
+export const computeInternalBreakdown = (rows, entryRefs = rows) => {
+  const breakdown = {};
+
+  rows.forEach((row, index) => {
+    if (!row['Is Internal']) return;
+    const client = row['Client'];
+    const project = row['Project'] || 'No Project';
+    const task = row['Task'] || 'No Task';
+
+    if (!breakdown[client]) breakdown[client] = {};
+    if (!breakdown[client][project]) breakdown[client][project] = {};
+    if (!breakdown[client][project][task]) breakdown[client][project][task] = {
+      hours: 0,
+      billableHours: 0,
+      entries: []
+    };
+
+    const data = breakdown[client][project][task];
+    data.hours += row['Hours'];
+    if (row['Billable?'] === 'Yes') {
+      data.billableHours += row['Hours'];
+    }
+    data.entries.push(entryRefs[index]);
+  });
+
+  return breakdown;
+};
+
+// Hours per employee, largest first: [[employee, hours]]
+export const computeEmployeeHours = (rows) => Object.entries(
+  rows.reduce((acc, row) => {
+    acc[row['Full Name']] = (acc[row['Full Name']] || 0) + row['Hours'];
+    return acc;
+  }, {})
+).sort(([, a], [, b]) => b - a);
+
+// Tasks with the most hours, sized for the word cloud: [{ text, value, size }]
+export const computeTaskWordCloud = (rows, limit = 20) => Object.entries(
+  rows.reduce((acc, row) => {
+    if (row['Task']) {
+      acc[row['Task']] = (acc[row['Task']] || 0) + row['Hours'];
+    }
+    return acc;
+  }, {})
+)
+  .sort(([, a], [, b]) => b - a)
+  .slice(0, limit)
+  .map(([task, hours]) => ({
+    text: task,
+    value: hours,
+    size: Math.min(Math.max(hours / 10, 12), 48)
+  }));
+
+// Weeks where someone worked fewer hours than their low threshold or more than their high one,
+// with both thresholds scaled to the capacity left after holidays and time off. Weeks entirely
+// off raise nothing. In weeklyUtilization order:
+// [{ weekStart, employee, hours, level: 'low' | 'high', threshold, capacity }]
+export const computeUtilizationAlerts = (weeklyUtilization, settings) => {
+  const alerts = [];
+  weeklyUtilization.forEach(([weekStart, employeeMap]) => {
+    employeeMap.forEach((stats, employee) => {
+      const { capacity, level, threshold } = classifyUtilizationWeek(settings, employee, weekStart, stats);
+      if (level === 'low' || level === 'high') {
+        alerts.push({ weekStart, employee, hours: capacity.workedHours, level, threshold, capacity: capacity.available });
+      }
+    });
+  });
+  return alerts;
+};
+
+// Where one person's week falls against their scaled thresholds: level is 'low', 'high',
+// 'ok', or 'off' when the whole week was off; threshold is the one crossed, if any
+export const classifyUtilizationWeek = (settings, employee, weekStart, stats) => {
+  const { low, high } = getEmployeeThresholds(settings, employee);
+  const capacity = computeWeekCapacity(settings, employee, weekStart, stats);
+  if (capacity.available <= 0) return { capacity, level: 'off', threshold: null };
+  const lowThreshold = low * capacity.availability;
+  const highThreshold = high * capacity.availability;
+  if (capacity.workedHours < lowThreshold) return { capacity, level: 'low', threshold: lowThreshold };
+  if (capacity.workedHours > highThreshold) return { capacity, level: 'high', threshold: highThreshold };
+  return { capacity, level: 'ok', threshold: null };
+};
+
+// People who met the shoutout criteria in the most recent weeks, measured against their
+// available hours: [{ weekStart, employee, hours, billableHours, billableRate }] with
+// billableRate (billable over available hours) in percent
+export const computeShoutouts = (weeklyUtilization, settings, weeks = 3) => {
+  const shoutouts = [];
+  weeklyUtilization.slice(0, weeks).forEach(([weekStart, employeeMap]) => {
+    employeeMap.forEach((stats, employee) => {
+      const thresholds = getEmployeeThresholds(settings, employee);
+      const capacity = computeWeekCapacity(settings, employee, weekStart, stats);
+      if (capacity.available <= 0) return;
+      const rate = stats.billableHours / capacity.available;
+      if (rate >= thresholds.shoutoutMinBillableRate && capacity.workedHours >= thresholds.shoutoutMinHours * capacity.availability) {
+        shoutouts.push({ weekStart, employee, hours: capacity.workedHours, billableHours: stats.billableHours, billableRate: rate * 100 });
+      }
+    });
+  });
+  return shoutouts;
+};
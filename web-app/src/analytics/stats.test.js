@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeStats,
+  computeWeeklyUtilization,
+  computeUtilizationAlerts,
+  computeShoutouts,
+  computeDelta
+} from './stats.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+// Processed rows, as produced by processRows
+const row = (date, hours, overrides = {}) => ({
+  'Date': date,
+  'Hours': hours,
+  'Full Name': 'Ada Lovelace',
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Billable?': 'Yes',
+  'Is Internal': false,
+  ...overrides
+});
+
+const day = (year, month, date, hours = 0) => new Date(year, month - 1, date, hours);
+
+describe('computeStats', () => {
+  it('returns zeros for no rows', () => {
+    expect(computeStats([])).toEqual({
+      totalHours: '0.0',
+      billableHours: '0.0',
+      internalHours: '0.0',
+      externalHours: '0.0',
+      utilizationRate: 0,
+      internalRate: 0,
+      uniqueClients: 0,
+      uniqueProjects: 0,
+      avgHoursPerDay: 0
+    });
+  });
+
+  it('splits billable and internal hours', () => {
+    const stats = computeStats([
+      row(day(2024, 3, 4), 6),
+      row(day(2024, 3, 4), 2, { 'Billable?': 'No', 'Client': 'Internal', 'Is Internal': true }),
+      row(day(2024, 3, 5), 8, { 'Project': 'Portal' })
+    ]);
+    expect(stats).toMatchObject({
+      totalHours: '16.0',
+      billableHours: '14.0',
+      internalHours: '2.0',
+      externalHours: '14.0',
+      utilizationRate: '87.5',
+      uniqueClients: 2,
+      uniqueProjects: 2,
+      avgHoursPerDay: '8.0'
+    });
+  });
+});
+
+describe('computeWeeklyUtilization', () => {
+  it('returns no weeks for no rows', () => {
+    expect(computeWeeklyUtilization([])).toEqual([]);
+  });
+
+  it('groups Monday to Sunday, newest week first', () => {
+    const weeks = computeWeeklyUtilization([
+      row(day(2024, 5, 13), 8),
+      row(day(2024, 5, 19), 4, { 'Billable?': 'No' }),
+      row(day(2024, 5, 20), 6)
+    ]);
+    expect(weeks.map(([week]) => week)).toEqual(['2024-05-20', '2024-05-13']);
+    const ada = weeks[1][1].get('Ada Lovelace');
+    expect(ada).toMatchObject({ hours: 12, billableHours: 8, externalHours: 12, timeOffHours: 0 });
+    expect([...ada.days]).toEqual(['2024-05-13', '2024-05-19']);
+  });
+
+  it('can start weeks on Sunday', () => {
+    const weeks = computeWeeklyUtilization([row(day(2024, 5, 18), 8), row(day(2024, 5, 19), 4)], 0);
+    expect(weeks.map(([week]) => week)).toEqual(['2024-05-19', '2024-05-12']);
+  });
+
+  it('keeps entries either side of a daylight saving change in their own weeks', () => {
+    const weeks = computeWeeklyUtilization([
+      row(day(2024, 3, 9), 1),
+      row(day(2024, 3, 10, 23), 2),
+      row(day(2024, 3, 11), 4),
+      row(day(2024, 11, 3, 23), 8),
+      row(day(2024, 11, 4), 16)
+    ]);
+    expect(weeks.map(([week, employees]) => [week, employees.get('Ada Lovelace').hours])).toEqual([
+      ['2024-11-04', 16],
+      ['2024-10-28', 8],
+      ['2024-03-11', 4],
+      ['2024-03-04', 3]
+    ]);
+  });
+});
+
+describe('computeUtilizationAlerts', () => {
+  const settings = { ...DEFAULT_SETTINGS, employeeTargets: { 'Grace Hopper': 20 } };
+
+  it('flags weeks outside the thresholds', () => {
+    const weeks = computeWeeklyUtilization([
+      row(day(2024, 5, 13), 20),
+      row(day(2024, 5, 20), 50),
+      row(day(2024, 5, 27), 40)
+    ]);
+    expect(computeUtilizationAlerts(weeks, settings)).toEqual([
+      { weekStart: '2024-05-20', employee: 'Ada Lovelace', hours: 50, level: 'high', threshold: 45, capacity: 40 },
+      { weekStart: '2024-05-13', employee: 'Ada Lovelace', hours: 20, level: 'low', threshold: 30, capacity: 40 }
+    ]);
+  });
+
+  it('scales thresholds for part-time targets', () => {
+    const weeks = computeWeeklyUtilization([row(day(2024, 5, 13), 20, { 'Full Name': 'Grace Hopper' })]);
+    expect(computeUtilizationAlerts(weeks, settings)).toEqual([]);
+  });
+
+  it('returns nothing for no weeks', () => {
+    expect(computeUtilizationAlerts([], settings)).toEqual([]);
+  });
+
+  it('measures a holiday week against the days that were left', () => {
+    const thanksgiving = { ...settings, holidays: [{ date: '2024-11-28', name: 'Thanksgiving' }, { date: '2024-11-29', name: 'Day after' }] };
+    const weeks = computeWeeklyUtilization([row(day(2024, 11, 25), 24)]);
+    expect(computeUtilizationAlerts(weeks, thanksgiving)).toEqual([]);
+    expect(computeUtilizationAlerts(weeks, settings)).toHaveLength(1);
+  });
+
+  it('does not count time off as work or alert on a week fully off', () => {
+    const weeks = computeWeeklyUtilization([
+      row(day(2024, 5, 13), 16, { 'Is Time Off': true, 'Billable?': 'No' }),
+      row(day(2024, 5, 15), 15),
+      row(day(2024, 5, 20), 40, { 'Is Time Off': true, 'Billable?': 'No' })
+    ]);
+    expect(computeUtilizationAlerts(weeks, settings)).toEqual([
+      { weekStart: '2024-05-13', employee: 'Ada Lovelace', hours: 15, level: 'low', threshold: 18, capacity: 24 }
+    ]);
+  });
+});
+
+describe('computeShoutouts', () => {
+  it('recognises mostly-billable full weeks in the recent weeks only', () => {
+    const weeks = computeWeeklyUtilization([
+      row(day(2024, 5, 27), 38),
+      row(day(2024, 5, 27), 2, { 'Billable?': 'No' }),
+      row(day(2024, 5, 20), 30),
+      row(day(2024, 5, 13), 40),
+      row(day(2024, 5, 6), 40)
+    ]);
+    expect(computeShoutouts(weeks, DEFAULT_SETTINGS)).toEqual([
+      { weekStart: '2024-05-27', employee: 'Ada Lovelace', hours: 40, billableHours: 38, billableRate: 95 },
+      { weekStart: '2024-05-13', employee: 'Ada Lovelace', hours: 40, billableHours: 40, billableRate: 100 }
+    ]);
+  });
+});
+
+describe('computeShoutouts with reduced capacity', () => {
+  it('measures billable hours against available hours', () => {
+    const settings = { ...DEFAULT_SETTINGS, holidays: [{ date: '2024-05-27', name: 'Memorial Day' }] };
+    const weeks = computeWeeklyUtilization([row(day(2024, 5, 28), 32)]);
+    expect(computeShoutouts(weeks, settings)).toEqual([
+      { weekStart: '2024-05-27', employee: 'Ada Lovelace', hours: 32, billableHours: 32, billableRate: 100 }
+    ]);
+    expect(computeShoutouts(weeks, DEFAULT_SETTINGS)).toEqual([]);
+  });
+});
+
+describe('computeDelta', () => {
+  it('has no percentage when the previous value is zero', () => {
+    expect(computeDelta('5.0', 0)).toEqual({ absolute: 5, percent: null });
+    expect(computeDelta(15, 10)).toEqual({ absolute: 5, percent: 50 });
+  });
+});
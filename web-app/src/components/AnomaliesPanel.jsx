@@ -0,0 +1,102 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ANOMALY_TYPES, detectAnomalies } from '../analytics/anomalies';
+import { formatDate } from '../analytics/dates';
+import DetailsTable from './DetailsTable';
+
+// Anomalies beyond this many are counted but not listed
+const MAX_LISTED = 200;
+
+const TYPE_CLASSES = {
+  'long-entry': 'bg-red-100 text-red-800',
+  'client-switch': 'bg-blue-100 text-blue-800',
+  'duplicate': 'bg-orange-100 text-orange-800',
+  'billable-internal': 'bg-purple-100 text-purple-800',
+  'non-billable': 'bg-yellow-100 text-yellow-800',
+  'off-day': 'bg-gray-100 text-gray-800'
+};
+
+const AnomaliesPanel = ({ rows, settings }) => {
+  const [type, setType] = useState('all');
+  const [selected, setSelected] = useState(null);
+
+  const anomalies = useMemo(() => detectAnomalies(rows, settings), [rows, settings]);
+  const counts = useMemo(() => {
+    const byType = new Map(ANOMALY_TYPES.map(option => [option.id, 0]));
+    anomalies.forEach(anomaly => byType.set(anomaly.type, byType.get(anomaly.type) + 1));
+    return byType;
+  }, [anomalies]);
+  const visible = type === 'all' ? anomalies : anomalies.filter(anomaly => anomaly.type === type);
+  const labels = new Map(ANOMALY_TYPES.map(option => [option.id, option.label]));
+
+  // A selection from before the filters changed no longer points at a listed anomaly
+  const selectedAnomaly = anomalies.includes(selected) ? selected : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Anomalies</h3>
+        <p className="text-sm text-gray-600 mb-4">Entries that look unusual for the person, client or project. Click one to see the entries behind it.</p>
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button
+            onClick={() => setType('all')}
+            className={`px-3 py-1 rounded-full text-sm ${type === 'all' ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            All ({anomalies.length})
+          </button>
+          {ANOMALY_TYPES.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setType(option.id)}
+              title={option.description}
+              className={`px-3 py-1 rounded-full text-sm ${type === option.id ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {option.label} ({counts.get(option.id)})
+            </button>
+          ))}
+        </div>
+        {visible.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">Nothing unusual in the filtered entries</p>
+        ) : (
+          <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+            {visible.slice(0, MAX_LISTED).map((anomaly, index) => (
+              <button
+                key={`${anomaly.type}-${index}`}
+                onClick={() => setSelected(anomaly === selectedAnomaly ? null : anomaly)}
+                className={`w-full text-left py-2 px-2 text-sm hover:bg-gray-50 ${anomaly === selectedAnomaly ? 'bg-indigo-50' : ''}`}
+              >
+                <div className="flex justify-between items-center gap-4">
+                  <span className="text-gray-900">
+                    <span className={`inline-flex px-2 py-0.5 mr-2 text-xs font-medium rounded-full ${TYPE_CLASSES[anomaly.type]}`}>
+                      {labels.get(anomaly.type)}
+                    </span>
+                    <span className="font-medium">{anomaly.employee}</span> · {anomaly.title}
+                  </span>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    {formatDate(anomaly.date, 'MMM d, yyyy')} · {anomaly.rows.length} {anomaly.rows.length === 1 ? 'entry' : 'entries'}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">{anomaly.detail}</p>
+              </button>
+            ))}
+          </div>
+        )}
+        {visible.length > MAX_LISTED && (
+          <p className="text-xs text-gray-500 mt-2">Showing the newest {MAX_LISTED} of {visible.length.toLocaleString()}</p>
+        )}
+      </div>
+
+      {selectedAnomaly && <DetailsTable rows={selectedAnomaly.rows} />}
+    </div>
+  );
+};
+
+AnomaliesPanel.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  settings: PropTypes.shape({
+    holidays: PropTypes.arrayOf(PropTypes.object),
+    weekStartsOn: PropTypes.number
+  }).isRequired
+};
+
+export default AnomaliesPanel;
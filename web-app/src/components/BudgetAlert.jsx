@@ -0,0 +1,35 @@
+import PropTypes from 'prop-types';
+
+const ALERT_STYLES = {
+  100: { box: 'bg-red-50 border border-red-200', title: 'text-red-800', text: 'text-red-700', icon: '🚨', label: 'Budget Exceeded' },
+  90: { box: 'bg-orange-50 border border-orange-200', title: 'text-orange-800', text: 'text-orange-700', icon: '🔥', label: 'Budget Critical' },
+  75: { box: 'bg-yellow-50 border border-yellow-200', title: 'text-yellow-800', text: 'text-yellow-700', icon: '⚠️', label: 'Budget Warning' }
+};
+
+const BudgetAlert = ({ project, level, percent, consumedLabel }) => {
+  const style = ALERT_STYLES[level];
+  if (!style) return null;
+
+  return (
+    <div className={`p-4 rounded-lg ${style.box}`}>
+      <div className="flex items-center">
+        <span className="text-2xl mr-3">{style.icon}</span>
+        <div>
+          <p className={`font-semibold ${style.title}`}>{style.label}</p>
+          <p className={`text-sm ${style.text}`}>
+            {project} has used {percent.toFixed(0)}% of its budget ({consumedLabel})
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BudgetAlert.propTypes = {
+  project: PropTypes.string.isRequired,
+  level: PropTypes.oneOf([75, 90, 100]).isRequired,
+  percent: PropTypes.number.isRequired,
+  consumedLabel: PropTypes.string.isRequired
+};
+
+export default BudgetAlert;
@@ -0,0 +1,162 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { computeClientProfile, BUS_FACTOR_SHARE } from '../analytics/profiles';
+import { formatDate } from '../analytics/dates';
+
+// Tasks beyond this many are left off the mix list
+const MAX_TASKS = 10;
+
+const ShareBar = ({ label, hours, share, color }) => (
+  <div>
+    <div className="flex justify-between text-sm mb-1">
+      <span className="text-gray-700">{label}</span>
+      <span className="text-gray-600">{hours.toFixed(1)}h · {share.toFixed(0)}%</span>
+    </div>
+    <div className="w-full bg-gray-200 rounded-full h-2">
+      <div className={`h-2 rounded-full ${color}`} style={{ width: `${Math.min(share, 100)}%` }}></div>
+    </div>
+  </div>
+);
+
+ShareBar.propTypes = {
+  label: PropTypes.string.isRequired,
+  hours: PropTypes.number.isRequired,
+  share: PropTypes.number.isRequired,
+  color: PropTypes.string.isRequired
+};
+
+const ClientProfile = ({ rows, client, clients, asOf, weekStartsOn, isInternal, onSelectClient, onBack }) => {
+  const profile = useMemo(() => computeClientProfile(rows, client, { asOf, weekStartsOn }), [rows, client, asOf, weekStartsOn]);
+  const { totals, months, employees, busFactor, projects, tasks } = profile;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <button onClick={onBack} className="text-sm text-indigo-600 hover:text-indigo-800 mb-2">← Back to insights</button>
+        <div className="flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">
+              {client}
+              {isInternal && <span className="ml-2 text-sm font-normal text-purple-600">(Internal)</span>}
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">Every entry for this client in the selected dates, whatever the other filters.</p>
+          </div>
+          <select
+            value={client}
+            onChange={(e) => onSelectClient(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {clients.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+
+        {totals.entries === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">No entries for {client} in the selected dates</p>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-4">
+            <div>
+              <p className="text-sm text-gray-600">Hours</p>
+              <p className="text-2xl font-bold text-gray-900">{totals.hours.toFixed(1)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Billable</p>
+              <p className="text-2xl font-bold text-green-600">{totals.billablePercent.toFixed(1)}%</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Average weekly burn</p>
+              <p className="text-2xl font-bold text-indigo-600">{profile.averageWeeklyHours.toFixed(1)}h</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Last activity</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {profile.daysSinceLastActivity === 0 ? 'Today' : `${profile.daysSinceLastActivity}d ago`}
+              </p>
+              <p className="text-xs text-gray-500">{formatDate(profile.lastActivity, 'MMM d, yyyy')}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Bus factor</p>
+              <p className={`text-2xl font-bold ${busFactor <= 1 ? 'text-red-600' : busFactor === 2 ? 'text-yellow-600' : 'text-green-600'}`}>
+                {busFactor}
+              </p>
+              <p className="text-xs text-gray-500">{busFactor === 1 ? 'person logs' : 'people log'} over {BUS_FACTOR_SHARE}% of hours</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {totals.entries > 0 && (
+        <>
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Hours &amp; Billable % by Month</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <ComposedChart data={months}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="month" />
+                <YAxis yAxisId="hours" />
+                <YAxis yAxisId="percent" orientation="right" domain={[0, 100]} unit="%" />
+                <Tooltip formatter={(value, name) => (name === 'Billable %' ? `${value.toFixed(1)}%` : `${value.toFixed(1)}h`)} />
+                <Legend />
+                <Bar yAxisId="hours" dataKey="hours" fill="#4F46E5" name="Hours" />
+                <Line yAxisId="percent" type="monotone" dataKey="billablePercent" stroke="#10B981" name="Billable %" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">People</h3>
+              {busFactor <= 1 && employees.length > 0 && (
+                <p className="text-sm text-red-600 mb-2">{employees[0].employee} carries most of this account</p>
+              )}
+              <div className="space-y-3 mt-3">
+                {employees.map(({ employee, hours, share }) => (
+                  <ShareBar key={employee} label={employee} hours={hours} share={share} color="bg-indigo-600" />
+                ))}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Projects</h3>
+              <div className="space-y-3">
+                {projects.map(({ project, hours, billableHours }) => (
+                  <div key={project}>
+                    <ShareBar label={project} hours={hours} share={(hours / totals.hours) * 100} color="bg-blue-500" />
+                    <p className="text-xs text-gray-500 mt-1">{hours > 0 ? ((billableHours / hours) * 100).toFixed(0) : 0}% billable</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Task Mix</h3>
+              <div className="space-y-3">
+                {tasks.slice(0, MAX_TASKS).map(({ task, hours }) => (
+                  <ShareBar key={task} label={task} hours={hours} share={(hours / totals.hours) * 100} color="bg-purple-600" />
+                ))}
+              </div>
+              {tasks.length > MAX_TASKS && (
+                <p className="text-xs text-gray-500 mt-3">and {tasks.length - MAX_TASKS} more tasks</p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+ClientProfile.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  client: PropTypes.string.isRequired,
+  clients: PropTypes.arrayOf(PropTypes.string).isRequired,
+  asOf: PropTypes.instanceOf(Date).isRequired,
+  weekStartsOn: PropTypes.number.isRequired,
+  isInternal: PropTypes.bool.isRequired,
+  onSelectClient: PropTypes.func.isRequired,
+  onBack: PropTypes.func.isRequired
+};
+
+export default ClientProfile;
@@ -0,0 +1,38 @@
+import PropTypes from 'prop-types';
+import { computeDelta } from '../analytics/stats';
+
+const defaultFormat = (value) => value.toFixed(1);
+
+// Shows the comparison-period value with the change from it; invert for metrics where up is bad
+const ComparisonDelta = ({ current, previous, format = defaultFormat, invert = false, showPrevious = true }) => {
+  const { absolute, percent } = computeDelta(current, previous);
+  const previousValue = parseFloat(previous) || 0;
+
+  let tone = 'text-gray-500';
+  let arrow = '■';
+  if (Math.abs(absolute) >= 0.05) {
+    const isUp = absolute > 0;
+    arrow = isUp ? '▲' : '▼';
+    tone = isUp !== invert ? 'text-green-600' : 'text-red-600';
+  }
+
+  return (
+    <span className="text-xs whitespace-nowrap">
+      {showPrevious && <span className="text-gray-500">vs {format(previousValue)} </span>}
+      <span className={tone}>
+        {arrow} {absolute >= 0 ? '+' : '-'}{format(Math.abs(absolute))}
+        {percent !== null && ` (${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%)`}
+      </span>
+    </span>
+  );
+};
+
+ComparisonDelta.propTypes = {
+  current: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  previous: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  format: PropTypes.func,
+  invert: PropTypes.bool,
+  showPrevious: PropTypes.bool
+};
+
+export default ComparisonDelta;
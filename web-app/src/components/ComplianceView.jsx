@@ -0,0 +1,212 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { computeCompliance, parseRoster, IMPLAUSIBLE_DAY_HOURS } from '../analytics/compliance';
+import { buildComplianceSheet } from '../analytics/sheets';
+import { formatDate, parseLocalDate } from '../analytics/dates';
+import { exportSheetToCsv, exportSheetsToXlsx } from '../utils/exporters';
+
+const formatDay = (value) => formatDate(parseLocalDate(value), 'MMM d');
+
+// Long date lists are cut short on screen; the export always carries all of them
+const MAX_LISTED_DATES = 12;
+
+const listDates = (values, format = formatDay) => {
+  const listed = values.slice(0, MAX_LISTED_DATES).map(format).join(', ');
+  return values.length > MAX_LISTED_DATES ? `${listed} and ${values.length - MAX_LISTED_DATES} more` : listed;
+};
+
+const ComplianceView = ({ rows, start, end, roster, employees, holidays, weekStartsOn, onRosterChange }) => {
+  const [expanded, setExpanded] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+
+  // With an employee filter only the selected people are checked, uploaded roster or not
+  const checkedRoster = useMemo(() => (
+    employees.length > 0 ? roster.filter(name => employees.includes(name)) : roster
+  ), [roster, employees]);
+
+  const compliance = useMemo(() => (
+    start && end && start <= end
+      ? computeCompliance(rows, { start, end, roster: checkedRoster, holidays, weekStartsOn })
+      : { expectedDays: 0, people: [] }
+  ), [rows, start, end, checkedRoster, holidays, weekStartsOn]);
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const names = parseRoster(reader.result);
+      if (names.length === 0) {
+        setImportMessage({ error: true, text: `No names found in ${file.name}` });
+        return;
+      }
+      onRosterChange(names);
+      setImportMessage({ error: false, text: `Loaded ${names.length} people from ${file.name}` });
+    };
+    reader.readAsText(file);
+  };
+
+  const exportPrefix = start && end
+    ? `harvest-${formatDate(start, 'yyyy-MM-dd')}-to-${formatDate(end, 'yyyy-MM-dd')}`
+    : 'harvest';
+  const sheet = buildComplianceSheet(compliance);
+  const incomplete = compliance.people.filter(person => person.missingDays.length > 0 || person.longDays.length > 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Timesheet Compliance</h3>
+            <p className="text-sm text-gray-600">
+              {start && end && start <= end
+                ? `${compliance.expectedDays} working days from ${formatDate(start, 'MMM d, yyyy')} to ${formatDate(end, 'MMM d, yyyy')}, excluding weekends and holidays. `
+                : 'No entries in the selected period. '}
+              Any entry, time off included, counts a day as logged; days over {IMPLAUSIBLE_DAY_HOURS}h are flagged.
+            </p>
+            <p className="mt-3 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+              <span className="font-medium">Late-entry detection is not supported.</span> Harvest exports do not record
+              when an entry was made, so late entries show up as missing days until they are filled in.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => exportSheetToCsv(sheet, exportPrefix)}
+              disabled={compliance.people.length === 0}
+              className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() => exportSheetsToXlsx([sheet], `${exportPrefix}-compliance.xlsx`)}
+              disabled={compliance.people.length === 0}
+              className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+            >
+              Export Excel
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mt-4 text-sm">
+          <span className="text-gray-700">
+            {roster.length > 0
+              ? `Roster: ${roster.length} people from an uploaded file, plus anyone else with entries`
+              : 'Roster: everyone with entries in the loaded data'}
+          </span>
+          <label className="text-indigo-600 hover:text-indigo-800 cursor-pointer">
+            Upload roster
+            <input type="file" accept=".csv,.txt" onChange={handleImport} className="hidden" />
+          </label>
+          {roster.length > 0 && (
+            <button onClick={() => onRosterChange([])} className="text-gray-500 hover:text-gray-700">
+              Use data instead
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">Roster files: a CSV with a Name column, First Name and Last Name columns, or one name per line</p>
+        {importMessage && (
+          <p className={`text-sm mt-2 ${importMessage.error ? 'text-red-600' : 'text-green-600'}`}>{importMessage.text}</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">By Person</h3>
+          <span className="text-sm text-gray-600">{incomplete.length} of {compliance.people.length} need a reminder</span>
+        </div>
+        {compliance.people.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">Nobody to check for this period</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Completeness</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Missing Days</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Empty Weeks</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Days &gt; {IMPLAUSIBLE_DAY_HOURS}h</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {compliance.people.map(person => {
+                  const isExpanded = expanded === person.employee;
+                  const hasDetails = person.missingDays.length > 0 || person.longDays.length > 0;
+                  return [
+                    <tr
+                      key={person.employee}
+                      onClick={() => hasDetails && setExpanded(isExpanded ? null : person.employee)}
+                      className={hasDetails ? 'cursor-pointer hover:bg-gray-50' : ''}
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {hasDetails && <span className="text-gray-400 mr-2">{isExpanded ? '▾' : '▸'}</span>}
+                        {person.employee}
+                        {person.onRoster && person.hours === 0 && <span className="ml-2 text-xs text-red-600">no entries</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="flex items-center">
+                          <div className="w-24 bg-gray-200 rounded-full h-2 mr-2">
+                            <div
+                              className={`h-2 rounded-full ${
+                                person.completeness >= 95 ? 'bg-green-600' : person.completeness >= 75 ? 'bg-yellow-500' : 'bg-red-600'
+                              }`}
+                              style={{ width: `${person.completeness}%` }}
+                            ></div>
+                          </div>
+                          <span className="text-gray-900">{person.completeness.toFixed(0)}%</span>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{person.missingDays.length}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{person.emptyWeeks.length}</td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${person.longDays.length > 0 ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                        {person.longDays.length}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{person.hours.toFixed(1)}</td>
+                    </tr>,
+                    isExpanded && (
+                      <tr key={`${person.employee}-details`} className="bg-gray-50">
+                        <td colSpan={6} className="px-6 py-4 text-sm text-gray-700 space-y-1">
+                          {person.emptyWeeks.length > 0 && (
+                            <p><span className="font-medium">Weeks with no hours:</span> {listDates(person.emptyWeeks, value => `week of ${formatDate(parseLocalDate(value), 'MMM d')}`)}</p>
+                          )}
+                          {person.missingDays.length > 0 && (
+                            <p><span className="font-medium">Days with no entries:</span> {listDates(person.missingDays)}</p>
+                          )}
+                          {person.longDays.length > 0 && (
+                            <p>
+                              <span className="font-medium">Implausible days:</span>{' '}
+                              {person.longDays.map(({ date, hours }) => `${formatDay(date)} (${hours.toFixed(1)}h)`).join(', ')}
+                            </p>
+                          )}
+                        </td>
+                      </tr>
+                    )
+                  ];
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+ComplianceView.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  start: PropTypes.instanceOf(Date),
+  end: PropTypes.instanceOf(Date),
+  roster: PropTypes.arrayOf(PropTypes.string).isRequired,
+  employees: PropTypes.arrayOf(PropTypes.string).isRequired,
+  holidays: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    name: PropTypes.string
+  })).isRequired,
+  weekStartsOn: PropTypes.number.isRequired,
+  onRosterChange: PropTypes.func.isRequired
+};
+
+export default ComplianceView;
@@ -0,0 +1,74 @@
+import PropTypes from 'prop-types';
+import { DATE_RANGE_PRESETS } from '../analytics/dateRanges';
+import { formatDate } from '../analytics/dates';
+
+const selectClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+const DateRangePicker = ({ label = 'Date Range', extraPresets = [], preset, anchor, customStart, customEnd, resolvedRange, onChange }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+    <select
+      value={preset}
+      onChange={(e) => onChange({ preset: e.target.value })}
+      className={selectClass}
+    >
+      {[...extraPresets, ...DATE_RANGE_PRESETS].map((option) => (
+        <option key={option.id} value={option.id}>{option.label}</option>
+      ))}
+    </select>
+    {preset === 'custom' ? (
+      <div className="mt-2 space-y-1">
+        <input
+          type="date"
+          value={customStart}
+          max={customEnd || undefined}
+          onChange={(e) => onChange({ customStart: e.target.value })}
+          className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+        />
+        <input
+          type="date"
+          value={customEnd}
+          min={customStart || undefined}
+          onChange={(e) => onChange({ customEnd: e.target.value })}
+          className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+        />
+      </div>
+    ) : preset !== 'all' && (
+      <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+        <span>
+          {resolvedRange && resolvedRange.start && resolvedRange.end
+            ? `${formatDate(resolvedRange.start, 'MMM d')} – ${formatDate(resolvedRange.end, 'MMM d, yyyy')}`
+            : ''}
+        </span>
+        <select
+          value={anchor}
+          onChange={(e) => onChange({ anchor: e.target.value })}
+          className="border-none bg-transparent text-xs text-indigo-600 p-0 focus:ring-0"
+          title="Anchor presets to today or to the latest entry in the data"
+        >
+          <option value="today">from today</option>
+          <option value="data">from latest entry</option>
+        </select>
+      </div>
+    )}
+  </div>
+);
+
+DateRangePicker.propTypes = {
+  label: PropTypes.string,
+  extraPresets: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired
+  })),
+  preset: PropTypes.string.isRequired,
+  anchor: PropTypes.oneOf(['today', 'data']).isRequired,
+  customStart: PropTypes.string.isRequired,
+  customEnd: PropTypes.string.isRequired,
+  resolvedRange: PropTypes.shape({
+    start: PropTypes.instanceOf(Date),
+    end: PropTypes.instanceOf(Date)
+  }),
+  onChange: PropTypes.func.isRequired
+};
+
+export default DateRangePicker;
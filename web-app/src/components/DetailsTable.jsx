@@ -0,0 +1,256 @@
+import { useState, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { formatDate } from '../analytics/dates';
+import { getExtraColumns, sortRows, searchRows, groupRows } from '../utils/table';
+
+const ROW_HEIGHT = 37;
+const VIEWPORT_HEIGHT = 600;
+const OVERSCAN = 10;
+
+const headerClass = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap cursor-pointer select-none hover:text-gray-700';
+const cellClass = 'px-4 py-2 whitespace-nowrap text-sm text-gray-900 truncate max-w-xs';
+const ALIGN_CLASSES = { left: 'text-left', right: 'text-right', center: 'text-center' };
+
+const BUILTIN_COLUMNS = [
+  { id: 'Date', label: 'Date', value: row => row['Date'], render: row => formatDate(row['Date'], 'MMM d, yyyy') },
+  { id: 'Full Name', label: 'Employee', value: row => row['Full Name'] },
+  {
+    id: 'Client',
+    label: 'Client',
+    value: row => row['Client'],
+    render: row => (
+      <>
+        {row['Client']}
+        {row['Is Internal'] && <span className="ml-1 text-xs text-purple-600">(Int)</span>}
+      </>
+    )
+  },
+  { id: 'Project', label: 'Project', value: row => row['Project'] },
+  { id: 'Task', label: 'Task', value: row => row['Task'] },
+  { id: 'Hours', label: 'Hours', align: 'right', value: row => row['Hours'], render: row => row['Hours'].toFixed(1) },
+  {
+    id: 'Is Internal',
+    label: 'Type',
+    align: 'center',
+    value: row => row['Is Internal'],
+    render: row => (
+      <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${
+        row['Is Internal'] ? 'bg-purple-100 text-purple-800' : 'bg-blue-100 text-blue-800'
+      }`}>
+        {row['Is Internal'] ? 'Internal' : 'External'}
+      </span>
+    )
+  },
+  {
+    id: 'Billable?',
+    label: 'Billable',
+    align: 'center',
+    value: row => row['Billable?'],
+    render: row => (row['Billable?'] === 'Yes' ? <span className="text-green-600">✓</span> : <span className="text-gray-400">-</span>)
+  }
+];
+
+const GROUP_OPTIONS = [
+  { id: 'none', label: 'No grouping' },
+  { id: 'Full Name', label: 'Employee' },
+  { id: 'Client', label: 'Client' },
+  { id: 'Project', label: 'Project' }
+];
+
+const SEARCH_FIELDS = ['Notes', 'Full Name', 'Client', 'Project', 'Task'];
+
+const DetailsTable = ({ rows }) => {
+  const extraColumns = useMemo(() => getExtraColumns(rows), [rows]);
+  const columns = useMemo(() => [
+    ...BUILTIN_COLUMNS,
+    ...extraColumns.map(column => ({ id: column, label: column, value: row => row[column] }))
+  ], [extraColumns]);
+
+  const [hiddenColumns, setHiddenColumns] = useState(null);
+  const [showColumnPicker, setShowColumnPicker] = useState(false);
+  const [sort, setSort] = useState({ column: 'Date', direction: 'desc' });
+  const [query, setQuery] = useState('');
+  const [groupBy, setGroupBy] = useState('none');
+  const [collapsedGroups, setCollapsedGroups] = useState(new Set());
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewportRef = useRef(null);
+
+  // Extra Harvest columns start hidden, except Notes
+  const hidden = hiddenColumns || new Set(extraColumns.filter(column => column !== 'Notes'));
+  const visibleColumns = columns.filter(column => !hidden.has(column.id));
+
+  const toggleColumn = (id) => {
+    const next = new Set(hidden);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setHiddenColumns(next);
+  };
+
+  const handleSort = (id) => {
+    setSort(prev => ({
+      column: id,
+      direction: prev.column === id && prev.direction === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const searched = useMemo(() => searchRows(rows, query, SEARCH_FIELDS), [rows, query]);
+
+  const sorted = useMemo(() => {
+    const column = columns.find(c => c.id === sort.column) || columns[0];
+    return sortRows(searched, column.value, sort.direction);
+  }, [searched, columns, sort]);
+
+  const items = useMemo(() => (
+    groupBy === 'none'
+      ? sorted.map(row => ({ type: 'row', row }))
+      : groupRows(sorted, row => row[groupBy], collapsedGroups)
+  ), [sorted, groupBy, collapsedGroups]);
+
+  const totalHours = useMemo(() => searched.reduce((sum, row) => sum + row['Hours'], 0), [searched]);
+
+  const toggleGroup = (key) => {
+    const next = new Set(collapsedGroups);
+    if (next.has(key)) {
+      next.delete(key);
+    } else {
+      next.add(key);
+    }
+    setCollapsedGroups(next);
+  };
+
+  // Only the rows inside the viewport (plus a margin) are rendered
+  const firstIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastIndex = Math.min(items.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const visibleItems = items.slice(firstIndex, lastIndex);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-3 p-4 border-b">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setScrollTop(0);
+            if (viewportRef.current) viewportRef.current.scrollTop = 0;
+          }}
+          placeholder="Search notes, people, clients, projects, tasks…"
+          className="flex-1 min-w-[16rem] border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <select
+          value={groupBy}
+          onChange={(e) => {
+            setGroupBy(e.target.value);
+            setCollapsedGroups(new Set());
+          }}
+          className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {GROUP_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <div className="relative">
+          <button
+            onClick={() => setShowColumnPicker(!showColumnPicker)}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            Columns ({visibleColumns.length}/{columns.length})
+          </button>
+          {showColumnPicker && (
+            <div className="absolute right-0 mt-2 w-64 max-h-80 overflow-y-auto bg-white rounded-lg shadow-lg border z-30 py-2">
+              {columns.map(column => (
+                <label key={column.id} className="flex items-center px-4 py-1 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!hidden.has(column.id)}
+                    onChange={() => toggleColumn(column.id)}
+                    className="mr-2"
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        <span className="text-sm text-gray-600">
+          {searched.length.toLocaleString()} entries · {totalHours.toFixed(1)} hours
+        </span>
+      </div>
+
+      {/* Virtualized grid */}
+      <div
+        ref={viewportRef}
+        className="overflow-auto"
+        style={{ height: Math.min(VIEWPORT_HEIGHT, (items.length + 1) * ROW_HEIGHT + 2) }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="min-w-full">
+          <thead className="bg-gray-50 sticky top-0 z-10">
+            <tr>
+              {visibleColumns.map(column => (
+                <th
+                  key={column.id}
+                  onClick={() => handleSort(column.id)}
+                  className={`${headerClass} ${ALIGN_CLASSES[column.align || 'left']}`}
+                >
+                  {column.label}
+                  {sort.column === column.id && <span className="ml-1">{sort.direction === 'asc' ? '▲' : '▼'}</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {firstIndex > 0 && (
+              <tr style={{ height: firstIndex * ROW_HEIGHT }}><td colSpan={visibleColumns.length}></td></tr>
+            )}
+            {visibleItems.map((item, index) => (item.type === 'group' ? (
+              <tr
+                key={`group-${item.key}`}
+                style={{ height: ROW_HEIGHT }}
+                className="bg-indigo-50 cursor-pointer hover:bg-indigo-100"
+                onClick={() => toggleGroup(item.key)}
+              >
+                <td colSpan={visibleColumns.length} className="px-4 py-2 text-sm whitespace-nowrap">
+                  <span className="text-gray-400 mr-2">{collapsedGroups.has(item.key) ? '▶' : '▼'}</span>
+                  <span className="font-semibold text-gray-900">{item.key}</span>
+                  <span className="ml-3 text-gray-600">
+                    {item.count} entries · {item.hours.toFixed(1)}h
+                    <span className="text-green-600 ml-2">({item.billableHours.toFixed(1)}h billable)</span>
+                  </span>
+                </td>
+              </tr>
+            ) : (
+              <tr key={firstIndex + index} style={{ height: ROW_HEIGHT }} className="hover:bg-gray-50">
+                {visibleColumns.map(column => (
+                  <td
+                    key={column.id}
+                    className={`${cellClass} ${ALIGN_CLASSES[column.align || 'left']}`}
+                    title={typeof column.value(item.row) === 'string' ? column.value(item.row) : undefined}
+                  >
+                    {column.render ? column.render(item.row) : column.value(item.row)}
+                  </td>
+                ))}
+              </tr>
+            )))}
+            {lastIndex < items.length && (
+              <tr style={{ height: (items.length - lastIndex) * ROW_HEIGHT }}><td colSpan={visibleColumns.length}></td></tr>
+            )}
+          </tbody>
+        </table>
+        {items.length === 0 && (
+          <div className="px-6 py-8 text-sm text-gray-500 text-center">No entries match the current filters</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+DetailsTable.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired
+};
+
+export default DetailsTable;
@@ -0,0 +1,207 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import UtilizationAlert from './UtilizationAlert';
+import { computeEmployeeProfile, ROLLING_WEEKS } from '../analytics/profiles';
+import { formatDate, parseLocalDate } from '../analytics/dates';
+
+const weekLabel = (weekStart) => formatDate(parseLocalDate(weekStart), 'MMM d');
+
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${value.toFixed(1)}%`);
+
+// Projects beyond this many are summed into "Other" in the mix chart
+const MAX_PROJECTS = 8;
+
+const EmployeeProfile = ({ rows, employee, settings, onBack }) => {
+  const profile = useMemo(() => computeEmployeeProfile(rows, employee, settings), [rows, employee, settings]);
+  const { totals, weeks, clients, projects, internalProjects, alerts, shoutouts } = profile;
+
+  const chartWeeks = weeks.map(week => ({ ...week, label: weekLabel(week.weekStart) }));
+  const projectMix = projects.slice(0, MAX_PROJECTS).map(({ client, project, hours }) => ({ name: `${client} › ${project}`, hours }));
+  if (projects.length > MAX_PROJECTS) {
+    projectMix.push({ name: 'Other', hours: projects.slice(MAX_PROJECTS).reduce((sum, { hours }) => sum + hours, 0) });
+  }
+  const rollingDelta = profile.rollingUtilization !== null && profile.teamMedianUtilization !== null
+    ? profile.rollingUtilization - profile.teamMedianUtilization
+    : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <button onClick={onBack} className="text-sm text-indigo-600 hover:text-indigo-800 mb-2">← Back to utilization</button>
+        <h2 className="text-2xl font-bold text-gray-900">{employee}</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Every entry in the selected dates, whatever the other filters; time off is left out of worked hours.
+        </p>
+
+        {weeks.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">No entries for {employee} in the selected dates</p>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-4">
+            <div>
+              <p className="text-sm text-gray-600">Hours worked</p>
+              <p className="text-2xl font-bold text-gray-900">{totals.hours.toFixed(1)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Billable</p>
+              <p className="text-2xl font-bold text-green-600">{totals.billablePercent.toFixed(1)}%</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Internal hours</p>
+              <p className="text-2xl font-bold text-purple-600">{totals.internalHours.toFixed(1)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">{ROLLING_WEEKS}-week utilization</p>
+              <p className="text-2xl font-bold text-indigo-600">{formatPercent(profile.rollingUtilization)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Team median</p>
+              <p className="text-2xl font-bold text-gray-900">{formatPercent(profile.teamMedianUtilization)}</p>
+              {rollingDelta !== null && (
+                <p className={`text-sm ${rollingDelta >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {rollingDelta >= 0 ? '+' : ''}{rollingDelta.toFixed(1)} pts vs team
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {weeks.length > 0 && (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Weekly Hours &amp; Billable %</h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={chartWeeks}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis yAxisId="hours" />
+                  <YAxis yAxisId="percent" orientation="right" domain={[0, 100]} unit="%" />
+                  <Tooltip formatter={(value, name) => (name === 'Billable %' ? formatPercent(value) : `${value.toFixed(1)}h`)} />
+                  <Legend />
+                  <Line yAxisId="hours" type="monotone" dataKey="hours" stroke="#4F46E5" name="Hours" dot={false} />
+                  <Line yAxisId="percent" type="monotone" dataKey="billablePercent" stroke="#10B981" name="Billable %" dot={false} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">{ROLLING_WEEKS}-Week Rolling Utilization</h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={chartWeeks}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis unit="%" />
+                  <Tooltip formatter={(value) => formatPercent(value)} />
+                  <Legend />
+                  <Line type="monotone" dataKey="rollingUtilization" stroke="#4F46E5" name={employee} dot={false} connectNulls />
+                  <Line type="monotone" dataKey="teamMedian" stroke="#9CA3AF" strokeDasharray="4 4" name="Team median" dot={false} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Project Mix</h3>
+              <ResponsiveContainer width="100%" height={Math.max(160, projectMix.length * 32)}>
+                <BarChart data={projectMix} layout="vertical" margin={{ left: 40 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" />
+                  <YAxis type="category" dataKey="name" width={180} />
+                  <Tooltip formatter={(value) => `${value.toFixed(1)}h`} />
+                  <Bar dataKey="hours" fill="#4F46E5" name="Hours" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6 space-y-6">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-3">Clients</h3>
+                <div className="space-y-2">
+                  {clients.map(({ client, hours }) => (
+                    <div key={client}>
+                      <div className="flex justify-between text-sm mb-1">
+                        <span className="text-gray-700">{client}</span>
+                        <span className="font-medium">{hours.toFixed(1)}h</span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div className="h-2 rounded-full bg-blue-500" style={{ width: `${(hours / clients[0].hours) * 100}%` }}></div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-3">Internal Time by Project</h3>
+                {internalProjects.length === 0 ? (
+                  <p className="text-sm text-gray-500">No internal time</p>
+                ) : (
+                  <table className="min-w-full text-sm">
+                    <tbody>
+                      {internalProjects.map(({ client, project, hours }) => (
+                        <tr key={`${client}-${project}`} className="border-b">
+                          <td className="py-1 pr-4 text-gray-500">{client}</td>
+                          <td className="py-1 pr-4 text-gray-900">{project}</td>
+                          <td className="py-1 text-right font-medium text-purple-600">{hours.toFixed(1)}h</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Alert History</h3>
+              {alerts.length === 0 ? (
+                <p className="text-sm text-gray-500">Within the utilization thresholds every week</p>
+              ) : (
+                <div className="space-y-3">
+                  {alerts.map(({ weekStart, hours, level, capacity }) => (
+                    <UtilizationAlert
+                      key={weekStart}
+                      employee={employee}
+                      hours={hours}
+                      capacity={capacity}
+                      weekStart={weekStart}
+                      level={level}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Shoutouts Earned</h3>
+              {shoutouts.length === 0 ? (
+                <p className="text-sm text-gray-500">No weeks met the shoutout criteria</p>
+              ) : (
+                <ul className="space-y-2">
+                  {shoutouts.map(({ weekStart, billableHours, billableRate }) => (
+                    <li key={weekStart} className="text-sm text-gray-700">
+                      🎉 Week of {formatDate(parseLocalDate(weekStart), 'MMM d, yyyy')}: {billableHours.toFixed(1)} billable hours ({billableRate.toFixed(0)}% utilization)
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+EmployeeProfile.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  employee: PropTypes.string.isRequired,
+  settings: PropTypes.object.isRequired,
+  onBack: PropTypes.func.isRequired
+};
+
+export default EmployeeProfile;
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const ExportMenu = ({ datasets, onExport, onOpenReport }) => {
+  const [open, setOpen] = useState(false);
+
+  const handle = (callback) => () => {
+    setOpen(false);
+    callback();
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+      >
+        Export ▾
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border z-40">
+          <div className="py-2">
+            {datasets.map(({ id, label }) => (
+              <div key={id} className="flex items-center justify-between px-4 py-2 hover:bg-gray-50">
+                <span className="text-sm text-gray-700">{label}</span>
+                <div className="flex space-x-2">
+                  <button onClick={handle(() => onExport([id], 'csv'))} className="text-xs text-indigo-600 hover:text-indigo-800">CSV</button>
+                  <button onClick={handle(() => onExport([id], 'xlsx'))} className="text-xs text-indigo-600 hover:text-indigo-800">XLSX</button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="border-t py-2">
+            <button
+              onClick={handle(() => onExport(datasets.map(d => d.id), 'xlsx'))}
+              className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              All tables as one workbook (XLSX)
+            </button>
+            <button
+              onClick={handle(onOpenReport)}
+              className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Summary report (PDF)
+            </button>
+          </div>
+          <p className="border-t px-4 py-2 text-xs text-gray-500">Exports use the current filters and are generated in your browser</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+ExportMenu.propTypes = {
+  datasets: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired
+  })).isRequired,
+  onExport: PropTypes.func.isRequired,
+  onOpenReport: PropTypes.func.isRequired
+};
+
+export default ExportMenu;
@@ -0,0 +1,39 @@
+import PropTypes from 'prop-types';
+import { listFilterCrumbs } from '../analytics/filters';
+
+// Active filters as removable chips, so selections made by clicking charts stay visible
+// wherever they were made. dateLabel is shown as one more chip when a date range is set.
+const FilterBreadcrumb = ({ filters, dateLabel, onRemove, onClearDates, onClearAll }) => {
+  const crumbs = listFilterCrumbs(filters);
+  if (crumbs.length === 0 && !dateLabel) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+      <span className="text-gray-500">Showing</span>
+      {dateLabel && (
+        <span className="inline-flex items-center bg-gray-100 text-gray-800 rounded-full pl-3 pr-1 py-1">
+          {dateLabel}
+          <button onClick={onClearDates} className="ml-1 px-1 text-gray-400 hover:text-gray-700" aria-label="Clear date range">×</button>
+        </span>
+      )}
+      {crumbs.map(({ id, label, value }) => (
+        <span key={`${id}-${value}`} className="inline-flex items-center bg-indigo-50 text-indigo-800 rounded-full pl-3 pr-1 py-1">
+          <span className="text-indigo-500 mr-1">{label}:</span>
+          {value}
+          <button onClick={() => onRemove(id, value)} className="ml-1 px-1 text-indigo-400 hover:text-indigo-700" aria-label={`Remove ${value}`}>×</button>
+        </span>
+      ))}
+      <button onClick={onClearAll} className="text-gray-500 hover:text-gray-700 ml-1">Clear all</button>
+    </div>
+  );
+};
+
+FilterBreadcrumb.propTypes = {
+  filters: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  dateLabel: PropTypes.string,
+  onRemove: PropTypes.func.isRequired,
+  onClearDates: PropTypes.func.isRequired,
+  onClearAll: PropTypes.func.isRequired
+};
+
+export default FilterBreadcrumb;
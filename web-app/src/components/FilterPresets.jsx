@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+// Named filter + date range combinations, stored in this browser
+const FilterPresets = ({ presets, onApply, onSave, onDelete }) => {
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+    setSaving(false);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">Presets:</span>
+      {presets.length === 0 && !saving && <span className="text-gray-400">none saved</span>}
+      {presets.map(preset => (
+        <span key={preset.name} className="inline-flex items-center bg-gray-100 rounded-full pl-3 pr-1 py-0.5">
+          <button onClick={() => onApply(preset)} className="text-gray-700 hover:text-indigo-700">
+            {preset.name}
+          </button>
+          <button
+            onClick={() => onDelete(preset.name)}
+            className="ml-1 px-1 text-gray-400 hover:text-red-600"
+            title={`Delete preset "${preset.name}"`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      {saving ? (
+        <form onSubmit={handleSave} className="inline-flex items-center gap-1">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Preset name"
+            list="filter-preset-names"
+            className="border border-gray-300 rounded px-2 py-0.5"
+            autoFocus
+          />
+          <datalist id="filter-preset-names">
+            {presets.map(preset => <option key={preset.name} value={preset.name} />)}
+          </datalist>
+          <button type="submit" className="text-indigo-600 hover:text-indigo-800">Save</button>
+          <button type="button" onClick={() => setSaving(false)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+        </form>
+      ) : (
+        <button onClick={() => setSaving(true)} className="text-indigo-600 hover:text-indigo-800">
+          + Save current filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+FilterPresets.propTypes = {
+  presets: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired
+  })).isRequired,
+  onApply: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default FilterPresets;
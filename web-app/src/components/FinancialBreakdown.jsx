@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { formatCurrency } from '../analytics/financials';
+
+const DIMENSIONS = [
+  { id: 'client', label: 'Client' },
+  { id: 'project', label: 'Project' },
+  { id: 'employee', label: 'Employee' },
+  { id: 'month', label: 'Month' }
+];
+
+const FinancialBreakdown = ({ breakdowns, currency }) => {
+  const [dimension, setDimension] = useState('client');
+  const rows = breakdowns[dimension];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Revenue &amp; Margin</h3>
+        <div className="flex space-x-1">
+          {DIMENSIONS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setDimension(id)}
+              className={`px-3 py-1 text-sm rounded-lg transition-colors ${
+                dimension === id ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="text-left py-2 px-4">{DIMENSIONS.find(d => d.id === dimension).label}</th>
+              <th className="text-right py-2 px-4">Hours</th>
+              <th className="text-right py-2 px-4">Revenue</th>
+              <th className="text-right py-2 px-4">Cost</th>
+              <th className="text-right py-2 px-4">Margin</th>
+              <th className="text-right py-2 px-4">Margin %</th>
+              <th className="text-right py-2 px-4">Eff. Rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4">{row.key}</td>
+                <td className="text-right py-2 px-4">{row.hours.toFixed(1)}</td>
+                <td className="text-right py-2 px-4 text-green-600">{formatCurrency(row.revenue, currency)}</td>
+                <td className="text-right py-2 px-4 text-gray-600">{formatCurrency(row.cost, currency)}</td>
+                <td className={`text-right py-2 px-4 font-medium ${row.margin < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  {formatCurrency(row.margin, currency)}
+                </td>
+                <td className="text-right py-2 px-4">{row.revenue > 0 ? `${row.marginRate.toFixed(0)}%` : '-'}</td>
+                <td className="text-right py-2 px-4">{formatCurrency(row.effectiveRate, currency, 2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const breakdownShape = PropTypes.arrayOf(PropTypes.shape({
+  key: PropTypes.string.isRequired,
+  hours: PropTypes.number.isRequired,
+  revenue: PropTypes.number.isRequired,
+  cost: PropTypes.number.isRequired,
+  margin: PropTypes.number.isRequired,
+  marginRate: PropTypes.number.isRequired,
+  effectiveRate: PropTypes.number.isRequired
+}));
+
+FinancialBreakdown.propTypes = {
+  breakdowns: PropTypes.shape({
+    client: breakdownShape.isRequired,
+    project: breakdownShape.isRequired,
+    employee: breakdownShape.isRequired,
+    month: breakdownShape.isRequired
+  }).isRequired,
+  currency: PropTypes.string.isRequired
+};
+
+export default FinancialBreakdown;
@@ -0,0 +1,224 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  computeDailyHours,
+  buildCalendarHeatmap,
+  getWeekdayNames,
+  computeWeekdayMatrix,
+  computeUtilizationHeatmap
+} from '../analytics/heatmaps';
+import { formatDate, parseLocalDate } from '../analytics/dates';
+
+// Shades from empty to busiest; listed in full so Tailwind keeps every class
+const INTENSITY_CLASSES = ['bg-gray-100', 'bg-indigo-100', 'bg-indigo-300', 'bg-indigo-500', 'bg-indigo-700'];
+
+const intensityClass = (value, max) => (
+  value > 0 && max > 0 ? INTENSITY_CLASSES[Math.min(4, Math.ceil((value / max) * 4))] : INTENSITY_CLASSES[0]
+);
+
+// Same colours as UtilizationAlert: yellow for under the low threshold, red for over the high one
+const LEVEL_CLASSES = {
+  low: 'bg-yellow-200 text-yellow-900',
+  high: 'bg-red-300 text-red-900',
+  ok: 'bg-green-200 text-green-900',
+  off: 'bg-gray-200 text-gray-500'
+};
+
+const LEVEL_LABELS = {
+  low: 'Below low threshold',
+  high: 'Above high threshold',
+  ok: 'Within thresholds',
+  off: 'Whole week off'
+};
+
+const dayLabel = (date) => formatDate(parseLocalDate(date), 'MMM d, yyyy');
+
+const HeatmapView = ({ rows, weeklyUtilization, settings }) => {
+  const [scope, setScope] = useState('');
+
+  const employees = useMemo(() => Array.from(new Set(rows.map(row => row['Full Name']))).sort(), [rows]);
+  // A person the filters no longer include falls back to the whole team
+  if (scope && !employees.includes(scope)) setScope('');
+
+  const calendar = useMemo(() => {
+    if (rows.length === 0) return null;
+    const scoped = scope ? rows.filter(row => row['Full Name'] === scope) : rows;
+    // Rows are newest first
+    return buildCalendarHeatmap(computeDailyHours(scoped), rows[rows.length - 1]['Date'], rows[0]['Date'], settings.weekStartsOn);
+  }, [rows, scope, settings.weekStartsOn]);
+
+  const matrix = useMemo(() => computeWeekdayMatrix(rows, settings.weekStartsOn), [rows, settings.weekStartsOn]);
+  const matrixMax = Math.max(0, ...matrix.cells.flat().map(cell => cell.days));
+
+  const utilization = useMemo(() => computeUtilizationHeatmap(weeklyUtilization, settings), [weeklyUtilization, settings]);
+
+  if (!calendar) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <p className="text-sm text-gray-500 text-center py-8">No entries match the current filters</p>
+      </div>
+    );
+  }
+
+  const weekdayNames = getWeekdayNames(settings.weekStartsOn);
+
+  return (
+    <div className="space-y-6">
+      {/* Calendar Heatmap */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Daily Hours</h3>
+            <p className="text-sm text-gray-600">Each square is one day, darker for more hours logged</p>
+          </div>
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">Whole team</option>
+            {employees.map(employee => (
+              <option key={employee} value={employee}>{employee}</option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <div className="flex">
+            <div className="flex flex-col mr-2 pt-5">
+              {weekdayNames.map(name => (
+                <span key={name} className="h-3 mb-1 text-[10px] leading-3 text-gray-500">{name.slice(0, 3)}</span>
+              ))}
+            </div>
+            {calendar.weeks.map(week => (
+              <div key={week.weekStart} className="flex flex-col mr-1">
+                <span className="h-4 mb-1 text-[10px] text-gray-500 whitespace-nowrap">{week.month ? week.month.slice(0, 3) : ''}</span>
+                {week.days.map((day, index) => (
+                  day ? (
+                    <span
+                      key={day.date}
+                      className={`w-3 h-3 mb-1 rounded-sm ${intensityClass(day.hours, calendar.max)}`}
+                      title={`${dayLabel(day.date)}: ${day.hours.toFixed(1)}h`}
+                    />
+                  ) : (
+                    <span key={index} className="w-3 h-3 mb-1" />
+                  )
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-center justify-end mt-2 text-xs text-gray-500">
+          <span className="mr-1">Less</span>
+          {INTENSITY_CLASSES.map(className => (
+            <span key={className} className={`w-3 h-3 mr-1 rounded-sm ${className}`} />
+          ))}
+          <span>More (up to {calendar.max.toFixed(1)}h)</span>
+        </div>
+      </div>
+
+      {/* Day Length x Weekday */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Day Length by Weekday</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          How many person-days of each length fall on each weekday. Harvest exports have no start or end
+          times, so this shows how long days were, not the hours of the day they were worked.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr>
+                <th className="text-left py-2 px-3"></th>
+                {matrix.buckets.map(bucket => (
+                  <th key={bucket.id} className="text-center py-2 px-3 font-medium text-gray-600">{bucket.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.weekdays.map((weekday, row) => (
+                <tr key={weekday}>
+                  <td className="py-1 px-3 text-gray-700">{weekday}</td>
+                  {matrix.cells[row].map((cell, column) => (
+                    <td key={matrix.buckets[column].id} className="p-1">
+                      <div
+                        className={`rounded text-center py-2 ${intensityClass(cell.days, matrixMax)} ${
+                          cell.days / matrixMax > 0.5 ? 'text-white' : 'text-gray-700'
+                        }`}
+                        title={`${cell.days} person-days, ${cell.hours.toFixed(1)}h`}
+                      >
+                        {cell.days || ''}
+                      </div>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Employee x Week Utilization */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Weekly Utilization by Employee</h3>
+        <p className="text-sm text-gray-600 mb-4">Hours worked each week, coloured by the same thresholds as the utilization alerts</p>
+        <div className="overflow-x-auto">
+          <table className="text-xs">
+            <thead>
+              <tr>
+                <th className="text-left py-1 pr-3"></th>
+                {utilization.weeks.map(week => (
+                  <th key={week} className="px-0.5 py-1 font-normal text-gray-500 whitespace-nowrap">
+                    {formatDate(parseLocalDate(week), 'MMM d')}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {utilization.employees.map(employee => (
+                <tr key={employee}>
+                  <td className="py-0.5 pr-3 text-sm text-gray-700 whitespace-nowrap">{employee}</td>
+                  {utilization.weeks.map(week => {
+                    const cell = utilization.cells.get(`${employee}|${week}`);
+                    return (
+                      <td key={week} className="p-0.5">
+                        {cell ? (
+                          <div
+                            className={`w-12 rounded text-center py-1 ${LEVEL_CLASSES[cell.level]}`}
+                            title={`Week of ${dayLabel(week)}: ${cell.hours.toFixed(1)}h worked${
+                              cell.utilization === null ? '' : `, ${cell.utilization.toFixed(0)}% utilization`
+                            } (${LEVEL_LABELS[cell.level]})`}
+                          >
+                            {cell.hours.toFixed(0)}
+                          </div>
+                        ) : (
+                          <div className="w-12 rounded text-center py-1 bg-white border border-dashed border-gray-200 text-gray-300">–</div>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex flex-wrap gap-4 mt-3 text-xs text-gray-600">
+          {Object.entries(LEVEL_LABELS).map(([level, label]) => (
+            <span key={level} className="inline-flex items-center">
+              <span className={`w-3 h-3 mr-1 rounded-sm ${LEVEL_CLASSES[level]}`} />
+              {label}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+HeatmapView.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  weeklyUtilization: PropTypes.arrayOf(PropTypes.array).isRequired,
+  settings: PropTypes.shape({
+    weekStartsOn: PropTypes.number.isRequired
+  }).isRequired
+};
+
+export default HeatmapView;
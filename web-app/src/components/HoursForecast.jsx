@@ -0,0 +1,105 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { forecastClientHours, forecastMonthEndUtilization } from '../analytics/forecast';
+import { formatDate } from '../analytics/dates';
+
+// Per-client projections and month-end utilization shown under the trend chart in forecast mode
+const HoursForecast = ({ rows, settings, asOf, horizon }) => {
+  const clients = useMemo(
+    () => forecastClientHours(rows, { horizon, weekStartsOn: settings.weekStartsOn }),
+    [rows, horizon, settings.weekStartsOn]
+  );
+  const monthEnd = useMemo(() => forecastMonthEndUtilization(rows, settings, asOf), [rows, settings, asOf]);
+
+  return (
+    <div className="space-y-6">
+      {clients.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-900 mb-1">Projected Hours by Client</h4>
+          <p className="text-sm text-gray-600 mb-3">The next {horizon} weeks for every client, each from its own weekly trend</p>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left py-2 px-4">Client</th>
+                  <th className="text-right py-2 px-4">Recent Weekly Average</th>
+                  <th className="text-right py-2 px-4">Projected Hours</th>
+                  <th className="text-right py-2 px-4">95% Range</th>
+                </tr>
+              </thead>
+              <tbody>
+                {clients.map(client => (
+                  <tr key={client.client} className="border-b hover:bg-gray-50">
+                    <td className="py-2 px-4">{client.client}</td>
+                    <td className="text-right py-2 px-4">{client.recentWeekly.toFixed(1)}</td>
+                    <td className="text-right py-2 px-4 font-medium">{client.value.toFixed(1)}</td>
+                    <td className="text-right py-2 px-4 text-gray-500">{client.low.toFixed(0)}–{client.high.toFixed(0)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h4 className="font-semibold text-gray-900 mb-1">Projected Month-End Utilization</h4>
+        <p className="text-sm text-gray-600 mb-3">
+          {formatDate(asOf, 'MMM yyyy')}: billable hours so far plus each person&apos;s billable pace over the last eight weeks,
+          over the month&apos;s capacity
+        </p>
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left py-2 px-4">Employee</th>
+                <th className="text-right py-2 px-4">Billable So Far</th>
+                <th className="text-right py-2 px-4">Pace / Day</th>
+                <th className="text-right py-2 px-4">Workdays Left</th>
+                <th className="text-right py-2 px-4">Projected Billable</th>
+                <th className="text-right py-2 px-4">Capacity</th>
+                <th className="text-right py-2 px-4">Projected Utilization</th>
+              </tr>
+            </thead>
+            <tbody>
+              {monthEnd.map(person => {
+                const rate = person.projectedUtilization;
+                return (
+                  <tr key={person.employee} className="border-b hover:bg-gray-50">
+                    <td className="py-2 px-4">{person.employee}</td>
+                    <td className="text-right py-2 px-4">{person.billableToDate.toFixed(1)}</td>
+                    <td className="text-right py-2 px-4">{person.dailyPace.toFixed(1)}</td>
+                    <td className="text-right py-2 px-4">{person.remainingWorkdays}</td>
+                    <td className="text-right py-2 px-4 text-green-600">{person.projectedBillable.toFixed(1)}</td>
+                    <td className="text-right py-2 px-4">{person.capacity.toFixed(1)}</td>
+                    <td className="text-right py-2 px-4">
+                      <span className={`font-medium ${
+                        rate === null ? 'text-gray-400' :
+                          rate > 80 ? 'text-green-600' :
+                          rate > 60 ? 'text-yellow-600' : 'text-red-600'
+                      }`}>
+                        {rate === null ? '–' : `${rate.toFixed(1)}%`}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+HoursForecast.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  settings: PropTypes.shape({
+    weekStartsOn: PropTypes.number.isRequired,
+    holidays: PropTypes.array.isRequired
+  }).isRequired,
+  asOf: PropTypes.instanceOf(Date).isRequired,
+  horizon: PropTypes.number.isRequired
+};
+
+export default HoursForecast;
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { countIssues } from '../analytics/csvValidation';
+import { DATE_FORMATS } from '../analytics/dates';
+
+const MAX_LISTED_ROWS = 100;
+
+const IssueList = ({ title, description, items, renderItem, tone }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (items.length === 0) return null;
+
+  const toneClasses = tone === 'error'
+    ? 'bg-red-50 border-red-200 text-red-800'
+    : 'bg-yellow-50 border-yellow-200 text-yellow-800';
+
+  return (
+    <div className={`border rounded-lg ${toneClasses}`}>
+      <div className="p-3 cursor-pointer" onClick={() => setExpanded(!expanded)}>
+        <div className="flex justify-between items-center">
+          <div className="flex items-center space-x-2">
+            <span className="opacity-60">{expanded ? '▼' : '▶'}</span>
+            <span className="font-medium">{title}</span>
+          </div>
+          <span className="text-sm font-medium">{items.length}</span>
+        </div>
+        <p className="text-xs mt-1 ml-6 opacity-80">{description}</p>
+      </div>
+      {expanded && (
+        <div className="border-t bg-white text-gray-700 text-xs max-h-64 overflow-y-auto">
+          {items.slice(0, MAX_LISTED_ROWS).map((item, index) => (
+            <div key={index} className="flex py-1 px-3 border-b last:border-b-0">
+              <span className="w-20 text-gray-500">{item.row !== null ? `Row ${item.row}` : 'File'}</span>
+              <span className="flex-1">{renderItem(item)}</span>
+            </div>
+          ))}
+          {items.length > MAX_LISTED_ROWS && (
+            <div className="py-2 px-3 text-gray-500">…and {items.length - MAX_LISTED_ROWS} more</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+IssueList.propTypes = {
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string.isRequired,
+  items: PropTypes.array.isRequired,
+  renderItem: PropTypes.func.isRequired,
+  tone: PropTypes.oneOf(['error', 'warning']).isRequired
+};
+
+const dateFormatLabel = (id) => (DATE_FORMATS.find(format => format.id === id) || { label: id }).label;
+
+const ImportDiagnostics = ({ files, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center z-50 overflow-y-auto py-8">
+    <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl mx-4">
+      <div className="flex items-center justify-between border-b px-6 py-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Import Diagnostics</h2>
+          <p className="text-sm text-gray-600 mt-1">Row numbers refer to lines in the original CSV file, counting the header as row 1</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl">×</button>
+      </div>
+
+      <div className="px-6 py-4 space-y-6">
+        {files.map(({ fileName, diagnostics }, index) => (
+          <section key={`${fileName}-${index}`}>
+            <div className="flex justify-between items-center mb-3">
+              <div>
+                <h3 className="font-semibold text-gray-900">{fileName}</h3>
+                {diagnostics.dateFormat && (
+                  <p className="text-xs text-gray-500">Dates read as {dateFormatLabel(diagnostics.dateFormat)}; if that is wrong, change the CSV date format in Settings and import the file again</p>
+                )}
+              </div>
+              {countIssues(diagnostics) === 0 ? (
+                <span className="text-sm text-green-600">✓ No issues found</span>
+              ) : (
+                <span className="text-sm text-gray-600">{countIssues(diagnostics)} issues</span>
+              )}
+            </div>
+            <div className="space-y-2">
+              {diagnostics.missingColumns.length > 0 && (
+                <div className="border rounded-lg p-3 bg-red-50 border-red-200 text-red-800">
+                  <p className="font-medium">Missing required columns</p>
+                  <p className="text-sm mt-1">{diagnostics.missingColumns.join(', ')}</p>
+                </div>
+              )}
+              <IssueList
+                title="Parse errors"
+                description="Lines the CSV parser could not read cleanly"
+                items={diagnostics.parseErrors}
+                renderItem={(item) => item.message}
+                tone="error"
+              />
+              <IssueList
+                title="Skipped rows"
+                description="Rows left out of every total because they have no usable date"
+                items={diagnostics.skippedRows}
+                renderItem={(item) => item.reason}
+                tone="error"
+              />
+              <IssueList
+                title="Non-numeric hours"
+                description="Rows kept but counted as 0 hours"
+                items={diagnostics.invalidHours}
+                renderItem={(item) => (item.value === '' ? 'Empty' : `"${item.value}"`)}
+                tone="warning"
+              />
+              <IssueList
+                title="Unknown Billable? values"
+                description="Rows kept but treated as non-billable; expected Yes or No"
+                items={diagnostics.unknownBillable}
+                renderItem={(item) => (item.value === '' ? 'Empty' : `"${item.value}"`)}
+                tone="warning"
+              />
+            </div>
+          </section>
+        ))}
+      </div>
+
+      <div className="flex justify-end border-t px-6 py-4">
+        <button onClick={onClose} className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors">
+          Close
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+ImportDiagnostics.propTypes = {
+  files: PropTypes.arrayOf(PropTypes.shape({
+    fileName: PropTypes.string.isRequired,
+    diagnostics: PropTypes.object.isRequired
+  })).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ImportDiagnostics;
@@ -0,0 +1,37 @@
+import PropTypes from 'prop-types';
+
+// Byte-based progress while files stream through the parser; without progress
+// (after parsing) the bar is indeterminate while the data is indexed
+const ImportProgress = ({ progress }) => {
+  const percent = progress && progress.total > 0 ? Math.min(100, (progress.loaded / progress.total) * 100) : null;
+
+  return (
+    <div className="max-w-md mx-auto mt-12 p-8 bg-white rounded-lg shadow-sm">
+      <p className="text-gray-700 font-medium">
+        {percent !== null ? `Reading ${progress.fileName}` : 'Indexing entries…'}
+      </p>
+      <div className="mt-4 w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+        {percent !== null ? (
+          <div className="bg-indigo-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }}></div>
+        ) : (
+          <div className="bg-indigo-600 h-2 rounded-full w-1/3 animate-pulse"></div>
+        )}
+      </div>
+      {percent !== null && (
+        <p className="mt-2 text-xs text-gray-500">
+          {percent.toFixed(0)}% · {(progress.loaded / 1048576).toFixed(1)} of {(progress.total / 1048576).toFixed(1)} MB
+        </p>
+      )}
+    </div>
+  );
+};
+
+ImportProgress.propTypes = {
+  progress: PropTypes.shape({
+    fileName: PropTypes.string.isRequired,
+    loaded: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired
+  })
+};
+
+export default ImportProgress;
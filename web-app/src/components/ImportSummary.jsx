@@ -0,0 +1,85 @@
+import PropTypes from 'prop-types';
+import { countIssues } from '../analytics/csvValidation';
+
+const ImportSummary = ({ files, onShowDiagnostics, onDismiss }) => {
+  const totalAdded = files.reduce((sum, file) => sum + file.addedRows, 0);
+  const totalDuplicates = files.reduce((sum, file) => sum + file.duplicateRows, 0);
+  const totalIssues = files.reduce((sum, file) => sum + countIssues(file.diagnostics), 0);
+  const hasMissingColumns = files.some(file => file.diagnostics.missingColumns.length > 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Loaded Files</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {totalAdded} entries from {files.length} {files.length === 1 ? 'file' : 'files'}
+            {totalDuplicates > 0 && `, ${totalDuplicates} duplicate ${totalDuplicates === 1 ? 'entry' : 'entries'} dropped`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={onShowDiagnostics}
+            className={`text-sm px-4 py-2 rounded-lg transition-colors ${
+              totalIssues > 0 ? 'bg-yellow-50 text-yellow-800 hover:bg-yellow-100' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {totalIssues > 0 ? `View Diagnostics (${totalIssues} issues)` : 'View Diagnostics'}
+          </button>
+          <button onClick={onDismiss} className="text-gray-400 hover:text-gray-600 text-xl">×</button>
+        </div>
+      </div>
+      {hasMissingColumns && (
+        <div className="p-3 mb-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800">
+          Some files are missing required columns; totals may be incomplete. Review the diagnostics before sharing results.
+        </div>
+      )}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="text-left py-2 px-4">File</th>
+              <th className="text-right py-2 px-4">Rows</th>
+              <th className="text-right py-2 px-4">Added</th>
+              <th className="text-right py-2 px-4">Skipped</th>
+              <th className="text-right py-2 px-4">Duplicates Dropped</th>
+              <th className="text-right py-2 px-4">Issues</th>
+            </tr>
+          </thead>
+          <tbody>
+            {files.map((file, index) => (
+              <tr key={`${file.fileName}-${index}`} className="border-b hover:bg-gray-50">
+                <td className="py-2 px-4">{file.fileName}</td>
+                <td className="text-right py-2 px-4">{file.totalRows}</td>
+                <td className="text-right py-2 px-4 text-green-600">{file.addedRows}</td>
+                <td className={`text-right py-2 px-4 ${file.diagnostics.skippedRows.length > 0 ? 'text-red-600 font-medium' : 'text-gray-400'}`}>
+                  {file.diagnostics.skippedRows.length}
+                </td>
+                <td className={`text-right py-2 px-4 ${file.duplicateRows > 0 ? 'text-yellow-600 font-medium' : 'text-gray-400'}`}>
+                  {file.duplicateRows}
+                </td>
+                <td className={`text-right py-2 px-4 ${countIssues(file.diagnostics) > 0 ? 'text-yellow-600 font-medium' : 'text-gray-400'}`}>
+                  {countIssues(file.diagnostics)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+ImportSummary.propTypes = {
+  files: PropTypes.arrayOf(PropTypes.shape({
+    fileName: PropTypes.string.isRequired,
+    totalRows: PropTypes.number.isRequired,
+    addedRows: PropTypes.number.isRequired,
+    duplicateRows: PropTypes.number.isRequired,
+    diagnostics: PropTypes.object.isRequired
+  })).isRequired,
+  onShowDiagnostics: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired
+};
+
+export default ImportSummary;
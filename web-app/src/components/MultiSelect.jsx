@@ -0,0 +1,124 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+// Searchable checkbox dropdown; an empty selection means "all"
+const MultiSelect = ({ label, allLabel, options, selected, onChange, groups }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggle = (value) => {
+    onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+  };
+
+  const normalizedQuery = query.trim().toLowerCase();
+  const visible = normalizedQuery
+    ? options.filter(option => option.toLowerCase().includes(normalizedQuery))
+    : options;
+  // Selections that no longer appear in the options (e.g. from a shared link) stay removable
+  const stale = selected.filter(value => !options.includes(value));
+
+  const summary = selected.length === 0
+    ? allLabel
+    : selected.length === 1 ? selected[0] : `${selected.length} selected`;
+
+  const renderOption = (option) => (
+    <label key={option} className="flex items-center px-3 py-1 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={selected.includes(option)}
+        onChange={() => toggle(option)}
+        className="mr-2"
+      />
+      <span className="truncate">{option}</span>
+    </label>
+  );
+
+  const groupedOptions = groups
+    ? groups.map(group => ({ ...group, options: visible.filter(group.match) })).filter(group => group.options.length > 0)
+    : [{ label: null, options: visible }];
+
+  return (
+    <div ref={containerRef} className="relative">
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`w-full flex items-center justify-between border rounded-lg px-3 py-2 text-left focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${
+          selected.length > 0 ? 'border-indigo-400 bg-indigo-50' : 'border-gray-300 bg-white'
+        }`}
+        title={selected.join(', ')}
+      >
+        <span className="truncate">{summary}</span>
+        <span className="ml-2 text-gray-400">▾</span>
+      </button>
+      {open && (
+        <div className="absolute left-0 mt-1 w-72 bg-white rounded-lg shadow-lg border z-40">
+          {options.length > 8 && (
+            <div className="p-2 border-b">
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search…"
+                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                autoFocus
+              />
+            </div>
+          )}
+          <div className="flex justify-between px-3 py-2 border-b text-xs">
+            <button
+              type="button"
+              onClick={() => onChange([...new Set([...selected, ...visible])])}
+              className="text-indigo-600 hover:text-indigo-800"
+            >
+              Select {normalizedQuery ? 'matches' : 'all'}
+            </button>
+            <button type="button" onClick={() => onChange([])} className="text-gray-500 hover:text-gray-700">
+              Clear
+            </button>
+          </div>
+          <div className="max-h-64 overflow-y-auto py-1">
+            {stale.map(renderOption)}
+            {groupedOptions.map(group => (
+              <div key={group.label || 'all'}>
+                {group.label && (
+                  <p className="px-3 pt-2 pb-1 text-xs font-semibold text-gray-500 uppercase">{group.label}</p>
+                )}
+                {group.options.map(renderOption)}
+              </div>
+            ))}
+            {visible.length === 0 && stale.length === 0 && (
+              <p className="px-3 py-2 text-sm text-gray-500">No options</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+MultiSelect.propTypes = {
+  label: PropTypes.string.isRequired,
+  allLabel: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selected: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  groups: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    match: PropTypes.func.isRequired
+  }))
+};
+
+export default MultiSelect;
@@ -0,0 +1,220 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  computeNoteCloud,
+  computeKeywordsByGroup,
+  computeNoteQuality,
+  searchNotes,
+  parseSearchQuery,
+  highlightTerms
+} from '../analytics/notes';
+import { buildNoteQualitySheet } from '../analytics/sheets';
+import { formatDate } from '../analytics/dates';
+import { exportSheetToCsv } from '../utils/exporters';
+
+// Search results beyond this many are counted but not rendered
+const MAX_RESULTS = 200;
+
+const KEYWORD_GROUPS = [
+  { id: 'client', label: 'Client', getKey: row => row['Client'] },
+  { id: 'project', label: 'Project', getKey: row => `${row['Client']} - ${row['Project']}` }
+];
+
+const Highlighted = ({ text, terms }) => (
+  <>
+    {highlightTerms(text, terms).map((part, index) => (
+      part.match ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part.text}</mark> : <span key={index}>{part.text}</span>
+    ))}
+  </>
+);
+
+Highlighted.propTypes = {
+  text: PropTypes.string,
+  terms: PropTypes.arrayOf(PropTypes.string).isRequired
+};
+
+const NotesView = ({ rows }) => {
+  const [query, setQuery] = useState('');
+  const [groupBy, setGroupBy] = useState('client');
+
+  const hasNotes = useMemo(() => rows.some(row => row['Notes'] !== undefined), [rows]);
+  const terms = useMemo(() => parseSearchQuery(query), [query]);
+  const results = useMemo(() => searchNotes(rows, query), [rows, query]);
+  const cloud = useMemo(() => computeNoteCloud(rows), [rows]);
+  const quality = useMemo(() => computeNoteQuality(rows), [rows]);
+  const keywordGroups = useMemo(() => {
+    const group = KEYWORD_GROUPS.find(option => option.id === groupBy);
+    return computeKeywordsByGroup(rows, group.getKey).slice(0, 12);
+  }, [rows, groupBy]);
+
+  if (!hasNotes) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <p className="text-sm text-gray-500 text-center py-8">The loaded exports have no Notes column</p>
+      </div>
+    );
+  }
+
+  const resultHours = results.reduce((sum, row) => sum + row['Hours'], 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Search */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Search Notes</h3>
+        <p className="text-sm text-gray-600 mb-4">Every word must appear; put a phrase in &quot;quotes&quot; to match it whole. Click a cloud term to search for it.</p>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='e.g. migration "load balancer"'
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        {terms.length > 0 && (
+          <div className="mt-4">
+            <p className="text-sm text-gray-600 mb-2">
+              {results.length.toLocaleString()} entries · {resultHours.toFixed(1)} hours
+              {results.length > MAX_RESULTS && ` · showing the newest ${MAX_RESULTS}`}
+            </p>
+            <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {results.slice(0, MAX_RESULTS).map((row, index) => (
+                <div key={index} className="py-2 text-sm">
+                  <div className="flex justify-between text-gray-500 text-xs">
+                    <span>{formatDate(row['Date'], 'MMM d, yyyy')} · {row['Full Name']} · {row['Client']} › {row['Project']}</span>
+                    <span>{row['Hours'].toFixed(2)}h</span>
+                  </div>
+                  <p className="text-gray-900 mt-1"><Highlighted text={row['Notes']} terms={terms} /></p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Notes Cloud */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Notes Cloud</h3>
+        <p className="text-sm text-gray-600 mb-4">Words and two-word phrases from notes, sized by how many entries use them</p>
+        {cloud.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">No notes in the filtered entries</p>
+        ) : (
+          <div className="text-center">
+            {cloud.map((term, index) => (
+              <span
+                key={term.text}
+                onClick={() => setQuery(term.text.includes(' ') ? `"${term.text}"` : term.text)}
+                className="inline-block m-1 px-2 py-1 rounded cursor-pointer hover:scale-110 transition-transform"
+                style={{
+                  fontSize: `${term.size}px`,
+                  color: `hsl(${160 + index * 13}, 60%, ${35 + (index % 3) * 10}%)`,
+                  fontWeight: term.size > 30 ? 'bold' : 'normal'
+                }}
+                title={`${term.text}: ${term.count} entries, ${term.hours.toFixed(1)} hours`}
+              >
+                {term.text}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Keywords by Client / Project */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Top Keywords</h3>
+            <p className="text-sm text-gray-600">The terms that set each {groupBy} apart from the rest</p>
+          </div>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {KEYWORD_GROUPS.map(option => (
+              <option key={option.id} value={option.id}>By {option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {keywordGroups.map(group => (
+            <div key={group.key} className="rounded-lg p-4 bg-gray-50">
+              <h4 className="font-medium text-gray-900 text-sm">{group.key}</h4>
+              <p className="text-xs text-gray-500 mb-2">{group.hours.toFixed(1)}h · {group.entries} entries</p>
+              {group.keywords.length === 0 ? (
+                <p className="text-xs text-gray-400">No notes</p>
+              ) : (
+                <div className="flex flex-wrap gap-1">
+                  {group.keywords.map(keyword => (
+                    <button
+                      key={keyword.text}
+                      onClick={() => setQuery(keyword.text.includes(' ') ? `"${keyword.text}"` : keyword.text)}
+                      className="text-xs bg-white border border-gray-200 rounded-full px-2 py-0.5 text-gray-700 hover:border-indigo-300"
+                    >
+                      {keyword.text} <span className="text-gray-400">{keyword.count}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Notes Quality */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Notes Quality</h3>
+            <p className="text-sm text-gray-600">Entries with no note, a stock phrase (&quot;misc&quot;, &quot;work&quot;…) or just the task name again</p>
+          </div>
+          <button
+            onClick={() => exportSheetToCsv(buildNoteQualitySheet(quality))}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+          >
+            Export CSV
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left py-2 px-4">Employee</th>
+                <th className="text-right py-2 px-4">Entries</th>
+                <th className="text-right py-2 px-4">Empty</th>
+                <th className="text-right py-2 px-4">Boilerplate</th>
+                <th className="text-right py-2 px-4">Billable Hours Affected</th>
+                <th className="text-right py-2 px-4">Quality</th>
+                <th className="text-left py-2 px-4">Common Boilerplate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {quality.map(person => (
+                <tr key={person.employee} className="border-b hover:bg-gray-50">
+                  <td className="py-2 px-4">{person.employee}</td>
+                  <td className="text-right py-2 px-4">{person.entries}</td>
+                  <td className="text-right py-2 px-4">{person.emptyEntries}</td>
+                  <td className="text-right py-2 px-4">{person.boilerplateEntries}</td>
+                  <td className="text-right py-2 px-4">{person.poorBillableHours.toFixed(1)}</td>
+                  <td className="text-right py-2 px-4">
+                    <span className={`font-medium ${
+                      person.quality >= 90 ? 'text-green-600' : person.quality >= 70 ? 'text-yellow-600' : 'text-red-600'
+                    }`}>
+                      {person.quality.toFixed(0)}%
+                    </span>
+                  </td>
+                  <td className="py-2 px-4 text-sm text-gray-500">{person.examples.map(example => `"${example}"`).join(', ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+NotesView.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired
+};
+
+export default NotesView;
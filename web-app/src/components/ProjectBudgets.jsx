@@ -0,0 +1,239 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import BudgetAlert from './BudgetAlert';
+import { BUDGET_TYPES, getProjectKey, computeBudgetStatus, parseBudgetCsv, mergeBudgets } from '../analytics/budgets';
+import { formatCurrency, detectCurrencies } from '../analytics/financials';
+import { formatDate } from '../analytics/dates';
+
+const inputClass = 'border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+// Keeps what is being typed as a draft and only passes on positive amounts, so clearing the
+// field to type a new number doesn't save a budget of zero (which would be dropped on reload)
+const BudgetAmountInput = ({ amount, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const invalid = draft !== null && !(parseFloat(draft) > 0);
+
+  return (
+    <input
+      type="number"
+      min="0"
+      value={draft !== null ? draft : amount}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        const value = parseFloat(e.target.value);
+        if (value > 0) onChange(value);
+      }}
+      onBlur={() => setDraft(null)}
+      title={invalid ? 'Enter a budget above zero' : undefined}
+      className={`${inputClass} w-28 text-sm ${invalid ? 'border-red-500' : ''}`}
+    />
+  );
+};
+
+BudgetAmountInput.propTypes = {
+  amount: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+const ProjectBudgets = ({ budgets, onChange, projectEntries, asOf, currency }) => {
+  const [newProject, setNewProject] = useState('');
+  const [newType, setNewType] = useState('hours');
+  const [newAmount, setNewAmount] = useState('');
+  const [importMessage, setImportMessage] = useState(null);
+
+  // Currency budgets are shown in the project's own currency where the export names one
+  const formatAmount = (value, budget, projectCurrency) => (
+    budget.type === 'currency' ? formatCurrency(value, projectCurrency) : `${value.toFixed(1)}h`
+  );
+
+  const statuses = useMemo(() => budgets.map(budget => {
+    const key = getProjectKey(budget.client, budget.project);
+    const entries = projectEntries.has(key) ? projectEntries.get(key).entries : [];
+    const [projectCurrency] = detectCurrencies(entries);
+    return { key, budget, currency: projectCurrency || currency, status: computeBudgetStatus(entries, budget, asOf) };
+  }), [budgets, projectEntries, asOf, currency]);
+
+  const budgetedKeys = new Set(statuses.map(({ key }) => key));
+  const availableProjects = Array.from(projectEntries.keys()).filter(key => !budgetedKeys.has(key)).sort();
+
+  const addBudget = () => {
+    const amount = parseFloat(newAmount);
+    if (!projectEntries.has(newProject) || !(amount > 0)) return;
+    const { client, project } = projectEntries.get(newProject);
+    onChange([...budgets, { client, project, type: newType, amount }]);
+    setNewProject('');
+    setNewAmount('');
+  };
+
+  const updateBudget = (index, changes) => {
+    onChange(budgets.map((budget, i) => (i === index ? { ...budget, ...changes } : budget)));
+  };
+
+  const removeBudget = (index) => {
+    onChange(budgets.filter((_, i) => i !== index));
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const imported = parseBudgetCsv(reader.result);
+        onChange(mergeBudgets(budgets, imported));
+        setImportMessage({ error: false, text: `Imported ${imported.length} budgets from ${file.name}` });
+      } catch (error) {
+        setImportMessage({ error: true, text: error.message });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const alerts = statuses
+    .filter(({ status }) => status.alertLevel)
+    .sort((a, b) => b.status.percent - a.status.percent);
+
+  return (
+    <div className="space-y-6">
+      {/* Budget Alerts */}
+      {alerts.length > 0 && (
+        <div className="space-y-3">
+          {alerts.map(({ key, budget, currency: projectCurrency, status }) => (
+            <BudgetAlert
+              key={key}
+              project={key}
+              level={status.alertLevel}
+              percent={status.percent}
+              consumedLabel={`${formatAmount(status.consumed, budget, projectCurrency)} of ${formatAmount(budget.amount, budget, projectCurrency)}`}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Add / Import */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Project Budgets</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Budgets are tracked against every loaded entry for the project, regardless of filters. Currency budgets burn billable amounts.
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={newProject} onChange={(e) => setNewProject(e.target.value)} className={`${inputClass} flex-1 min-w-[16rem]`}>
+            <option value="">Select a project…</option>
+            {availableProjects.map(key => (
+              <option key={key} value={key}>{key}</option>
+            ))}
+          </select>
+          <select value={newType} onChange={(e) => setNewType(e.target.value)} className={inputClass}>
+            {BUDGET_TYPES.map(type => (
+              <option key={type} value={type}>{type === 'hours' ? 'Hours' : `Currency (${currency})`}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            value={newAmount}
+            onChange={(e) => setNewAmount(e.target.value)}
+            placeholder="Budget"
+            className={`${inputClass} w-32`}
+          />
+          <button onClick={addBudget} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors">
+            Add Budget
+          </button>
+          <label className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 cursor-pointer transition-colors">
+            Import CSV
+            <input type="file" accept=".csv" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Budget CSV columns: Client, Project, Budget, Type (hours or currency; defaults to hours)</p>
+        {importMessage && (
+          <p className={`text-sm mt-2 ${importMessage.error ? 'text-red-600' : 'text-green-600'}`}>{importMessage.text}</p>
+        )}
+      </div>
+
+      {/* Burn Charts */}
+      {statuses.map(({ key, budget, currency: projectCurrency, status }, index) => (
+        <div key={key} className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h4 className="font-semibold text-gray-900">{key}</h4>
+              <p className="text-sm text-gray-600 mt-1">
+                {formatAmount(status.consumed, budget, projectCurrency)} of {formatAmount(budget.amount, budget, projectCurrency)} used
+                {' · '}
+                {formatAmount(status.burnRatePerWeek, budget, projectCurrency)}/week recently
+                {' · '}
+                {status.remaining <= 0
+                  ? `exhausted ${status.projectedExhaustion ? formatDate(status.projectedExhaustion, 'MMM d, yyyy') : ''}`
+                  : status.projectedExhaustion
+                    ? `projected to run out ${formatDate(status.projectedExhaustion, 'MMM d, yyyy')}`
+                    : 'no recent burn'}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <BudgetAmountInput amount={budget.amount} onChange={(amount) => updateBudget(index, { amount })} />
+              <select
+                value={budget.type}
+                onChange={(e) => updateBudget(index, { type: e.target.value })}
+                className={`${inputClass} text-sm`}
+              >
+                {BUDGET_TYPES.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+              <button onClick={() => removeBudget(index)} className="text-gray-400 hover:text-red-600 px-2">×</button>
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <div className="flex justify-between text-sm mb-1">
+              <span className="text-gray-600">Consumed</span>
+              <span className="font-medium">{status.percent.toFixed(1)}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className={`h-2 rounded-full ${
+                  status.percent >= 100 ? 'bg-red-600' : status.percent >= 90 ? 'bg-orange-500' : status.percent >= 75 ? 'bg-yellow-500' : 'bg-green-600'
+                }`}
+                style={{ width: `${Math.min(status.percent, 100)}%` }}
+              ></div>
+            </div>
+          </div>
+
+          {status.series.length > 0 ? (
+            <ResponsiveContainer width="100%" height={250}>
+              <LineChart data={status.series}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis />
+                <Tooltip formatter={(value) => formatAmount(value, budget, projectCurrency)} />
+                <Legend />
+                <ReferenceLine y={budget.amount} stroke="#EF4444" strokeDasharray="4 4" label="Budget" />
+                <Line type="monotone" dataKey="consumed" stroke="#4F46E5" name="Burn-up" dot={false} />
+                <Line type="monotone" dataKey="remaining" stroke="#10B981" name="Burn-down" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <p className="text-sm text-gray-500 text-center py-8">No time entries for this project in the loaded data</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+ProjectBudgets.propTypes = {
+  budgets: PropTypes.arrayOf(PropTypes.shape({
+    client: PropTypes.string.isRequired,
+    project: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['hours', 'currency']).isRequired,
+    amount: PropTypes.number.isRequired
+  })).isRequired,
+  onChange: PropTypes.func.isRequired,
+  projectEntries: PropTypes.instanceOf(Map).isRequired,
+  asOf: PropTypes.instanceOf(Date).isRequired,
+  currency: PropTypes.string.isRequired
+};
+
+export default ProjectBudgets;
@@ -0,0 +1,486 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  DEFAULT_SETTINGS,
+  MATCH_TYPES,
+  TIME_OFF_FIELDS,
+  normalizeSettings,
+  mergeHolidays,
+  serializeSettingsProfile,
+  parseSettingsProfile,
+  isValidRegex
+} from '../analytics/settings';
+import { DATE_FORMATS, WEEK_STARTS, formatDate, parseLocalDate } from '../analytics/dates';
+import { parseHolidayCalendar } from '../analytics/holidays';
+import { downloadText } from '../utils/download';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+const SettingsPanel = ({ settings, employees, onSave, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const [newTargetEmployee, setNewTargetEmployee] = useState('');
+  const [importError, setImportError] = useState(null);
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+  const [holidayMessage, setHolidayMessage] = useState(null);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateRule = (index, changes) => {
+    updateDraft({
+      internalClients: draft.internalClients.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    });
+  };
+
+  const removeRule = (index) => {
+    updateDraft({ internalClients: draft.internalClients.filter((_, i) => i !== index) });
+  };
+
+  const updateTimeOffRule = (index, changes) => {
+    updateDraft({
+      timeOffRules: draft.timeOffRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    });
+  };
+
+  const removeTimeOffRule = (index) => {
+    updateDraft({ timeOffRules: draft.timeOffRules.filter((_, i) => i !== index) });
+  };
+
+  const addHolidays = (holidays) => {
+    updateDraft({ holidays: mergeHolidays(draft.holidays, holidays) });
+  };
+
+  const removeHoliday = (date) => {
+    updateDraft({ holidays: draft.holidays.filter(holiday => holiday.date !== date) });
+  };
+
+  const handleHolidayImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { holidays, skipped } = parseHolidayCalendar(reader.result);
+        const added = mergeHolidays(draft.holidays, holidays).length - draft.holidays.length;
+        addHolidays(holidays);
+        setHolidayMessage(`Added ${added} ${added === 1 ? 'holiday' : 'holidays'} from ${file.name}${skipped > 0 ? `; ${skipped} entries without a usable date were skipped` : ''}`);
+      } catch (error) {
+        setHolidayMessage(`${file.name}: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const updateTarget = (employee, hours) => {
+    updateDraft({ employeeTargets: { ...draft.employeeTargets, [employee]: hours } });
+  };
+
+  const removeTarget = (employee) => {
+    const targets = { ...draft.employeeTargets };
+    delete targets[employee];
+    updateDraft({ employeeTargets: targets });
+  };
+
+  const handleExport = () => {
+    downloadText(serializeSettingsProfile(normalizeSettings(draft)), 'harvest-analyzer-profile.json', 'application/json');
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setDraft(parseSettingsProfile(reader.result));
+        setImportError(null);
+      } catch {
+        setImportError(`${file.name} is not a valid settings profile`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const invalidRules = draft.internalClients.filter(rule => rule.match === 'regex' && !isValidRegex(rule.pattern));
+  const invalidTimeOffRules = draft.timeOffRules.filter(rule => rule.match === 'regex' && !isValidRegex(rule.pattern));
+  const targetCandidates = employees.filter(emp => draft.employeeTargets[emp] === undefined);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center z-50 overflow-y-auto py-8">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl mx-4">
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <h2 className="text-lg font-semibold text-gray-900">Settings</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl">×</button>
+        </div>
+
+        <div className="px-6 py-4 space-y-6">
+          {/* Internal Clients */}
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-1">Internal Clients</h3>
+            <p className="text-sm text-gray-600 mb-3">Clients matching any rule are treated as internal time. Prefix and regex rules are case-insensitive.</p>
+            <div className="space-y-2">
+              {draft.internalClients.map((rule, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={rule.pattern}
+                    onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                    className={`${inputClass} ${rule.match === 'regex' && !isValidRegex(rule.pattern) ? 'border-red-400' : ''}`}
+                    placeholder="Client name"
+                  />
+                  <select
+                    value={rule.match}
+                    onChange={(e) => updateRule(index, { match: e.target.value })}
+                    className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {MATCH_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => removeRule(index)} className="text-gray-400 hover:text-red-600 px-2">×</button>
+                </div>
+              ))}
+            </div>
+            {invalidRules.length > 0 && (
+              <p className="text-xs text-red-600 mt-2">Invalid regular expressions are ignored until fixed.</p>
+            )}
+            <button
+              onClick={() => updateDraft({ internalClients: [...draft.internalClients, { pattern: '', match: 'exact' }] })}
+              className="mt-2 text-sm text-indigo-600 hover:text-indigo-800"
+            >
+              + Add rule
+            </button>
+          </section>
+
+          {/* Utilization Thresholds */}
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-3">Weekly Utilization Thresholds</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Standard Week (hours)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={draft.standardWeeklyHours}
+                  onChange={(e) => updateDraft({ standardWeeklyHours: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Low Alert Below</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.lowHoursThreshold}
+                  onChange={(e) => updateDraft({ lowHoursThreshold: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">High Alert Above</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.highHoursThreshold}
+                  onChange={(e) => updateDraft({ highHoursThreshold: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          </section>
+
+          {/* Weekly Capacity */}
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-1">Weekly Capacity</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Hours each part-timer is expected to work in a normal week; everyone else works the standard week.
+              Alert and shoutout thresholds scale with each person&apos;s capacity.
+            </p>
+            <div className="space-y-2">
+              {Object.entries(draft.employeeTargets).map(([employee, hours]) => (
+                <div key={employee} className="flex items-center space-x-2">
+                  <span className="flex-1 text-sm text-gray-700">{employee}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={hours}
+                    onChange={(e) => updateTarget(employee, e.target.value)}
+                    className="w-28 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <span className="text-sm text-gray-500">h/week</span>
+                  <button onClick={() => removeTarget(employee)} className="text-gray-400 hover:text-red-600 px-2">×</button>
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center space-x-2 mt-2">
+              <input
+                type="text"
+                list="settings-employee-list"
+                value={newTargetEmployee}
+                onChange={(e) => setNewTargetEmployee(e.target.value)}
+                className={inputClass}
+                placeholder="Employee name"
+              />
+              <datalist id="settings-employee-list">
+                {targetCandidates.map(emp => (
+                  <option key={emp} value={emp} />
+                ))}
+              </datalist>
+              <button
+                onClick={() => {
+                  if (!newTargetEmployee.trim()) return;
+                  updateTarget(newTargetEmployee.trim(), draft.standardWeeklyHours / 2);
+                  setNewTargetEmployee('');
+                }}
+                className="text-sm text-indigo-600 hover:text-indigo-800 whitespace-nowrap"
+              >
+                + Add target
+              </button>
+            </div>
+          </section>
+
+          {/* Time Off */}
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-1">Time Off</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Entries whose task or project matches a rule are leave: they reduce that week&apos;s capacity instead of counting as work.
+            </p>
+            <div className="space-y-2">
+              {draft.timeOffRules.map((rule, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <select
+                    value={rule.field}
+                    onChange={(e) => updateTimeOffRule(index, { field: e.target.value })}
+                    className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {TIME_OFF_FIELDS.map(({ id, label }) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={rule.pattern}
+                    onChange={(e) => updateTimeOffRule(index, { pattern: e.target.value })}
+                    className={`${inputClass} ${rule.match === 'regex' && !isValidRegex(rule.pattern) ? 'border-red-400' : ''}`}
+                    placeholder="e.g. PTO"
+                  />
+                  <select
+                    value={rule.match}
+                    onChange={(e) => updateTimeOffRule(index, { match: e.target.value })}
+                    className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {MATCH_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => removeTimeOffRule(index)} className="text-gray-400 hover:text-red-600 px-2">×</button>
+                </div>
+              ))}
+            </div>
+            {invalidTimeOffRules.length > 0 && (
+              <p className="text-xs text-red-600 mt-2">Invalid regular expressions are ignored until fixed.</p>
+            )}
+            <button
+              onClick={() => updateDraft({ timeOffRules: [...draft.timeOffRules, { pattern: '', match: 'exact', field: 'task' }] })}
+              className="mt-2 text-sm text-indigo-600 hover:text-indigo-800"
+            >
+              + Add rule
+            </button>
+          </section>
+
+          {/* Holidays */}
+          <section>
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="font-semibold text-gray-900">Holidays</h3>
+              <label className="text-sm text-indigo-600 hover:text-indigo-800 cursor-pointer">
+                Import ICS / CSV
+                <input type="file" accept=".ics,.csv,text/calendar,text/csv" onChange={handleHolidayImport} className="hidden" />
+              </label>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Each holiday on a weekday takes a day (a fifth of the weekly capacity) off everyone&apos;s capacity for that week.
+            </p>
+            {draft.holidays.length > 0 ? (
+              <div className="max-h-48 overflow-y-auto border rounded-lg divide-y">
+                {draft.holidays.map(holiday => (
+                  <div key={holiday.date} className="flex items-center px-3 py-1 text-sm">
+                    <span className="w-32 text-gray-500">{formatDate(parseLocalDate(holiday.date), 'MMM d, yyyy')}</span>
+                    <span className="flex-1 text-gray-700">{holiday.name}</span>
+                    <button onClick={() => removeHoliday(holiday.date)} className="text-gray-400 hover:text-red-600 px-2">×</button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No holidays yet.</p>
+            )}
+            {holidayMessage && (
+              <p className="text-xs text-gray-600 mt-2">{holidayMessage}</p>
+            )}
+            <div className="flex items-center space-x-2 mt-2">
+              <input
+                type="date"
+                value={newHoliday.date}
+                onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+                className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <input
+                type="text"
+                value={newHoliday.name}
+                onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+                className={inputClass}
+                placeholder="Holiday name"
+              />
+              <button
+                onClick={() => {
+                  if (!newHoliday.date) return;
+                  addHolidays([newHoliday]);
+                  setNewHoliday({ date: '', name: '' });
+                }}
+                className="text-sm text-indigo-600 hover:text-indigo-800 whitespace-nowrap"
+              >
+                + Add holiday
+              </button>
+              {draft.holidays.length > 0 && (
+                <button
+                  onClick={() => updateDraft({ holidays: [] })}
+                  className="text-sm text-gray-500 hover:text-red-600 whitespace-nowrap"
+                >
+                  Clear all
+                </button>
+              )}
+            </div>
+          </section>
+
+          {/* Shoutouts */}
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-3">Shoutout Criteria</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Billable %</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={draft.shoutout.minBillableRate}
+                  onChange={(e) => updateDraft({ shoutout: { ...draft.shoutout, minBillableRate: e.target.value } })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Weekly Hours</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.shoutout.minHours}
+                  onChange={(e) => updateDraft({ shoutout: { ...draft.shoutout, minHours: e.target.value } })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          </section>
+
+          {/* Fiscal Year */}
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-1">Fiscal Year</h3>
+            <p className="text-sm text-gray-600 mb-3">Used by the fiscal year date range presets.</p>
+            <div className="md:w-1/2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Starts In</label>
+              <select
+                value={draft.fiscalYearStartMonth}
+                onChange={(e) => updateDraft({ fiscalYearStartMonth: Number(e.target.value) })}
+                className={inputClass}
+              >
+                {MONTH_NAMES.map((month, index) => (
+                  <option key={month} value={index + 1}>{month}</option>
+                ))}
+              </select>
+            </div>
+          </section>
+
+          {/* Calendar */}
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-1">Calendar</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              How weeks are grouped on the Utilization tab and in week presets, and how dates in CSV files are read.
+              The date format applies to files imported after it is changed; import files already loaded again to re-read their dates.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Weeks Start On</label>
+                <select
+                  value={draft.weekStartsOn}
+                  onChange={(e) => updateDraft({ weekStartsOn: Number(e.target.value) })}
+                  className={inputClass}
+                >
+                  {WEEK_STARTS.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">CSV Date Format</label>
+                <select
+                  value={draft.dateFormat}
+                  onChange={(e) => updateDraft({ dateFormat: e.target.value })}
+                  className={inputClass}
+                >
+                  {DATE_FORMATS.map(({ id, label }) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </section>
+
+          {importError && (
+            <p className="text-sm text-red-600">{importError}</p>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between border-t px-6 py-4">
+          <div className="flex items-center space-x-2">
+            <label className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 cursor-pointer transition-colors text-sm">
+              Import Profile
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={handleImport}
+                className="hidden"
+              />
+            </label>
+            <button onClick={handleExport} className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors text-sm">
+              Export Profile
+            </button>
+            <button onClick={() => setDraft(normalizeSettings(DEFAULT_SETTINGS))} className="text-sm text-gray-500 hover:text-gray-700 px-2">
+              Reset to defaults
+            </button>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button onClick={onClose} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100 transition-colors">
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave(normalizeSettings(draft))}
+              className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+SettingsPanel.propTypes = {
+  settings: PropTypes.object.isRequired,
+  employees: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SettingsPanel;
@@ -0,0 +1,180 @@
+import PropTypes from 'prop-types';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Legend, BarChart, Bar, PieChart, Pie, Cell } from 'recharts';
+import { formatCurrency } from '../analytics/financials';
+import { formatDate } from '../analytics/dates';
+
+const CHART_WIDTH = 680;
+
+// Printable summary; the browser's print dialog saves it as PDF without the data leaving the page
+const SummaryReport = ({ stats, financials, currency, clientHours, projectSummary, monthlyTrend, alertCounts, filterSummary, onClose }) => (
+  <div className="fixed inset-0 z-50 bg-gray-100 overflow-y-auto print:static print:bg-white print:overflow-visible">
+    <div className="max-w-4xl mx-auto my-8 print:my-0 bg-white shadow-lg print:shadow-none p-10">
+      <div className="flex justify-between items-start mb-6 print:hidden">
+        <p className="text-sm text-gray-600">Use &quot;Save as PDF&quot; in the print dialog to create the report file.</p>
+        <div className="flex space-x-2">
+          <button onClick={() => window.print()} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors text-sm">
+            Print / Save as PDF
+          </button>
+          <button onClick={onClose} className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors text-sm">
+            Close
+          </button>
+        </div>
+      </div>
+
+      <h1 className="text-2xl font-bold text-gray-900">Harvest Time Summary</h1>
+      <p className="text-sm text-gray-600 mt-1">Generated {formatDate(new Date(), 'MMM d, yyyy')}</p>
+      <p className="text-sm text-gray-600">{filterSummary}</p>
+
+      <div className="grid grid-cols-4 gap-4 mt-6">
+        <div className="border rounded-lg p-4">
+          <p className="text-xs text-gray-600">Total Hours</p>
+          <p className="text-xl font-bold">{stats.totalHours}</p>
+        </div>
+        <div className="border rounded-lg p-4">
+          <p className="text-xs text-gray-600">Billable Hours</p>
+          <p className="text-xl font-bold text-green-600">{stats.billableHours}</p>
+          <p className="text-xs text-gray-500">{stats.utilizationRate}% utilization</p>
+        </div>
+        <div className="border rounded-lg p-4">
+          <p className="text-xs text-gray-600">Internal Hours</p>
+          <p className="text-xl font-bold text-purple-600">{stats.internalHours}</p>
+          <p className="text-xs text-gray-500">{stats.internalRate}% of total</p>
+        </div>
+        <div className="border rounded-lg p-4">
+          <p className="text-xs text-gray-600">External Hours</p>
+          <p className="text-xl font-bold text-blue-600">{stats.externalHours}</p>
+        </div>
+      </div>
+
+      {financials && (
+        <div className="grid grid-cols-4 gap-4 mt-4">
+          <div className="border rounded-lg p-4">
+            <p className="text-xs text-gray-600">Revenue</p>
+            <p className="text-xl font-bold text-green-600">{formatCurrency(financials.revenue, currency)}</p>
+          </div>
+          <div className="border rounded-lg p-4">
+            <p className="text-xs text-gray-600">Cost</p>
+            <p className="text-xl font-bold">{formatCurrency(financials.cost, currency)}</p>
+          </div>
+          <div className="border rounded-lg p-4">
+            <p className="text-xs text-gray-600">Gross Margin</p>
+            <p className="text-xl font-bold">{formatCurrency(financials.margin, currency)}</p>
+            <p className="text-xs text-gray-500">{financials.marginRate.toFixed(1)}% of revenue</p>
+          </div>
+          <div className="border rounded-lg p-4">
+            <p className="text-xs text-gray-600">Effective Rate</p>
+            <p className="text-xl font-bold">{formatCurrency(financials.effectiveRate, currency, 2)}</p>
+          </div>
+        </div>
+      )}
+
+      <p className="text-sm text-gray-700 mt-4">
+        {stats.uniqueClients} clients · {stats.uniqueProjects} projects · {stats.avgHoursPerDay} avg hours/day ·{' '}
+        {alertCounts.low} low and {alertCounts.high} high utilization alerts
+      </p>
+
+      <div className="grid grid-cols-2 gap-6 mt-8" style={{ breakInside: 'avoid' }}>
+        <div>
+          <h2 className="font-semibold text-gray-900 mb-2">Internal vs External Hours</h2>
+          <PieChart width={320} height={220}>
+            <Pie
+              data={[
+                { name: 'Internal', value: parseFloat(stats.internalHours) },
+                { name: 'External', value: parseFloat(stats.externalHours) }
+              ]}
+              cx="50%"
+              cy="50%"
+              outerRadius={70}
+              label={(entry) => `${entry.name}: ${entry.value}h`}
+              labelLine={false}
+              dataKey="value"
+              isAnimationActive={false}
+            >
+              <Cell fill="#7C3AED" />
+              <Cell fill="#3B82F6" />
+            </Pie>
+          </PieChart>
+        </div>
+        <div>
+          <h2 className="font-semibold text-gray-900 mb-2">Top Clients</h2>
+          <table className="w-full text-sm">
+            <tbody>
+              {clientHours.slice(0, 8).map(([client, hours]) => (
+                <tr key={client} className="border-b">
+                  <td className="py-1">{client}</td>
+                  <td className="py-1 text-right">{hours.toFixed(1)}h</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="mt-8" style={{ breakInside: 'avoid' }}>
+        <h2 className="font-semibold text-gray-900 mb-2">Client Hours Distribution</h2>
+        <BarChart width={CHART_WIDTH} height={260} data={clientHours.slice(0, 10).map(([client, hours]) => ({ client, hours: Number(hours.toFixed(1)) }))}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="client" tick={{ fontSize: 10 }} interval={0} />
+          <YAxis />
+          <Bar dataKey="hours" fill="#4F46E5" isAnimationActive={false} />
+        </BarChart>
+      </div>
+
+      <div className="mt-8" style={{ breakInside: 'avoid' }}>
+        <h2 className="font-semibold text-gray-900 mb-2">Monthly Hours Trend</h2>
+        <LineChart width={CHART_WIDTH} height={260} data={monthlyTrend}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="month" />
+          <YAxis />
+          <Legend />
+          <Line type="monotone" dataKey="total" stroke="#4F46E5" name="Total" isAnimationActive={false} />
+          <Line type="monotone" dataKey="internal" stroke="#7C3AED" name="Internal" isAnimationActive={false} />
+          <Line type="monotone" dataKey="external" stroke="#3B82F6" name="External" isAnimationActive={false} />
+        </LineChart>
+      </div>
+
+      <div className="mt-8" style={{ breakInside: 'avoid' }}>
+        <h2 className="font-semibold text-gray-900 mb-2">Top Projects</h2>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="text-left py-1">Project</th>
+              <th className="text-right py-1">Hours</th>
+              <th className="text-right py-1">Billable</th>
+              <th className="text-right py-1">Rate</th>
+              {financials && <th className="text-right py-1">Revenue</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {projectSummary.slice(0, 15).map(([project, data]) => (
+              <tr key={project} className="border-b">
+                <td className="py-1">{project}</td>
+                <td className="py-1 text-right">{data.hours.toFixed(1)}</td>
+                <td className="py-1 text-right">{data.billable.toFixed(1)}</td>
+                <td className="py-1 text-right">{data.hours > 0 ? ((data.billable / data.hours) * 100).toFixed(0) : 0}%</td>
+                {financials && <td className="py-1 text-right">{formatCurrency(data.revenue, currency)}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  </div>
+);
+
+SummaryReport.propTypes = {
+  stats: PropTypes.object.isRequired,
+  financials: PropTypes.object,
+  currency: PropTypes.string.isRequired,
+  clientHours: PropTypes.array.isRequired,
+  projectSummary: PropTypes.array.isRequired,
+  monthlyTrend: PropTypes.array.isRequired,
+  alertCounts: PropTypes.shape({
+    low: PropTypes.number.isRequired,
+    high: PropTypes.number.isRequired
+  }).isRequired,
+  filterSummary: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SummaryReport;
@@ -0,0 +1,32 @@
+import PropTypes from 'prop-types';
+import { formatDate, parseLocalDate } from '../analytics/dates';
+
+const UtilizationAlert = ({ employee, hours, capacity, weekStart, level }) => {
+  const isLow = level === 'low';
+
+  return (
+    <div className={`p-4 rounded-lg ${isLow ? 'bg-yellow-50 border border-yellow-200' : 'bg-red-50 border border-red-200'}`}>
+      <div className="flex items-center">
+        <span className="text-2xl mr-3">{isLow ? '⚠️' : '🔥'}</span>
+        <div>
+          <p className={`font-semibold ${isLow ? 'text-yellow-800' : 'text-red-800'}`}>
+            {isLow ? 'Low' : 'High'} Utilization Alert
+          </p>
+          <p className={`text-sm ${isLow ? 'text-yellow-700' : 'text-red-700'}`}>
+            {employee} worked {hours.toFixed(1)} of {capacity.toFixed(1)} available hours for week of {formatDate(parseLocalDate(weekStart), 'MMM d, yyyy')}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+UtilizationAlert.propTypes = {
+  employee: PropTypes.string.isRequired,
+  hours: PropTypes.number.isRequired,
+  capacity: PropTypes.number.isRequired,
+  weekStart: PropTypes.string.isRequired,
+  level: PropTypes.oneOf(['low', 'high']).isRequired
+};
+
+export default UtilizationAlert;
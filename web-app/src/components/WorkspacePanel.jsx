@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  isWorkspaceSupported,
+  isEncryptionSupported,
+  listDatasets,
+  saveDataset,
+  loadDataset,
+  deleteDataset
+} from '../utils/workspace';
+import { formatDate, parseLocalDate } from '../analytics/dates';
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+const formatRange = (dataset) => (
+  dataset.dateStart && dataset.dateEnd
+    ? `${formatDate(parseLocalDate(dataset.dateStart), 'MMM d, yyyy')} – ${formatDate(parseLocalDate(dataset.dateEnd), 'MMM d, yyyy')}`
+    : 'No dated entries'
+);
+
+// Saved datasets live in this browser's IndexedDB; nothing is uploaded anywhere
+const WorkspacePanel = ({ current, onOpen, onClose }) => {
+  const [datasets, setDatasets] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState(current ? current.files.map(file => file.fileName).join(', ') : '');
+  const [passphrase, setPassphrase] = useState('');
+  const [unlocking, setUnlocking] = useState(null);
+  const [unlockPassphrase, setUnlockPassphrase] = useState('');
+
+  const supported = isWorkspaceSupported();
+
+  const refresh = () => listDatasets().then(setDatasets).catch(err => setError(err.message || String(err)));
+
+  useEffect(() => {
+    if (!supported) return;
+    listDatasets().then(setDatasets).catch(err => setError(err.message || String(err)));
+  }, [supported]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await saveDataset({ name, rows: current.rows, files: current.files, passphrase });
+      setPassphrase('');
+      await refresh();
+    });
+  };
+
+  const handleOpen = (dataset, secret) => run(async () => {
+    const { rows, files } = await loadDataset(dataset, secret);
+    onOpen({ rows, files });
+  });
+
+  const handleDelete = (dataset) => {
+    if (!window.confirm(`Delete "${dataset.name}" from this browser?`)) return;
+    run(async () => {
+      await deleteDataset(dataset.id);
+      await refresh();
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center z-50 overflow-y-auto py-8">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl mx-4">
+        <div className="flex items-center justify-between border-b px-6 py-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Local Workspace</h2>
+            <p className="text-xs text-gray-500 mt-1">Datasets are stored in this browser only and are never sent to a server</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl">×</button>
+        </div>
+
+        {!supported ? (
+          <p className="px-6 py-8 text-sm text-gray-600">This browser does not support IndexedDB, so datasets cannot be kept locally.</p>
+        ) : (
+          <div className="px-6 py-4 space-y-6">
+            {error && <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800">{error}</div>}
+
+            {current && (
+              <form onSubmit={handleSave} className="space-y-3">
+                <h3 className="font-semibold text-gray-900">Save current dataset</h3>
+                <p className="text-xs text-gray-500">{current.rows.length.toLocaleString()} entries from {current.files.length} {current.files.length === 1 ? 'file' : 'files'}</p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Dataset name"
+                    className={inputClass}
+                  />
+                  <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder={isEncryptionSupported() ? 'Passphrase (optional, encrypts the data)' : 'Encryption needs https'}
+                    disabled={!isEncryptionSupported()}
+                    autoComplete="new-password"
+                    className={inputClass}
+                  />
+                </div>
+                <div className="flex items-center justify-between">
+                  <p className="text-xs text-gray-500">A forgotten passphrase cannot be recovered.</p>
+                  <button
+                    type="submit"
+                    disabled={busy}
+                    className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                  >
+                    {busy ? 'Working…' : 'Save to Workspace'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-2">Saved datasets</h3>
+              {datasets.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing saved yet.</p>
+              ) : (
+                <ul className="divide-y border rounded-lg">
+                  {datasets.map(dataset => (
+                    <li key={dataset.id} className="px-4 py-3">
+                      <div className="flex items-start justify-between gap-4">
+                        <div className="min-w-0">
+                          <p className="font-medium text-gray-900 truncate">
+                            {dataset.encrypted && <span className="mr-1" title="Encrypted">🔒</span>}
+                            {dataset.name}
+                          </p>
+                          <p className="text-xs text-gray-600">
+                            {formatRange(dataset)} · {dataset.rowCount.toLocaleString()} entries
+                          </p>
+                          <p className="text-xs text-gray-400 truncate" title={dataset.fileNames.join(', ')}>
+                            Saved {formatDate(new Date(dataset.savedAt), 'MMM d, yyyy')} · {dataset.fileNames.join(', ')}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-3 text-sm whitespace-nowrap">
+                          <button
+                            onClick={() => (dataset.encrypted ? setUnlocking(dataset.id) : handleOpen(dataset))}
+                            disabled={busy}
+                            className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                          >
+                            Open
+                          </button>
+                          <button
+                            onClick={() => handleDelete(dataset)}
+                            disabled={busy}
+                            className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                      {unlocking === dataset.id && (
+                        <form
+                          onSubmit={(e) => {
+                            e.preventDefault();
+                            handleOpen(dataset, unlockPassphrase);
+                          }}
+                          className="mt-2 flex items-center gap-2"
+                        >
+                          <input
+                            type="password"
+                            value={unlockPassphrase}
+                            onChange={(e) => setUnlockPassphrase(e.target.value)}
+                            placeholder="Passphrase"
+                            autoComplete="current-password"
+                            className="flex-1 border border-gray-300 rounded-lg px-3 py-1 text-sm"
+                            autoFocus
+                          />
+                          <button type="submit" disabled={busy} className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50">
+                            {busy ? 'Decrypting…' : 'Unlock'}
+                          </button>
+                        </form>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+WorkspacePanel.propTypes = {
+  current: PropTypes.shape({
+    rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+    files: PropTypes.arrayOf(PropTypes.shape({
+      fileName: PropTypes.string.isRequired
+    })).isRequired
+  }),
+  onOpen: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default WorkspacePanel;
@@ -0,0 +1,129 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { buildDataset } from '../analytics/dataset';
+import { runAnalyticsQuery } from '../analytics/query';
+import { createInternalClientMatcher, createTimeOffMatcher } from '../analytics/settings';
+
+const workersSupported = typeof Worker !== 'undefined';
+
+// The dataset (processed rows plus lookup tables) is built once, in the analytics worker,
+// which keeps it for aggregate queries and posts a copy back for the views that still work
+// on rows in the page (details, heatmaps, notes, anomalies, compliance, forecast, profiles
+// and filter options). Large exports are therefore held twice besides the parsed rows.
+// Parsed rows are only sent when they change; new internal-client or time-off rules are
+// rebuilt from the worker's copy. dataset is null until the build for the current inputs
+// arrives.
+export const useDataset = ({ csvData, internalClients, timeOffRules }) => {
+  const [worker, setWorker] = useState(null);
+  const versionRef = useRef(0);
+  const inputsRef = useRef(null);
+  const sentRowsRef = useRef(null);
+  const [loaded, setLoaded] = useState({ inputs: null, dataset: null });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!workersSupported) return undefined;
+    const instance = new Worker(new URL('../workers/analytics.worker.js', import.meta.url), { type: 'module' });
+    instance.addEventListener('message', ({ data }) => {
+      // Builds for inputs that have since changed are dropped
+      if (data.version !== versionRef.current) return;
+      if (data.type === 'loaded') {
+        setLoaded({ inputs: inputsRef.current, dataset: data.dataset });
+      } else if (data.type === 'load-error') {
+        setError(data.message);
+      }
+    });
+    instance.addEventListener('error', (event) => setError(event.message || 'Analytics worker stopped unexpectedly'));
+    sentRowsRef.current = null;
+    setWorker(instance);
+    return () => {
+      instance.terminate();
+      setWorker(null);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!worker) return;
+    versionRef.current += 1;
+    inputsRef.current = { csvData, internalClients, timeOffRules };
+    setError(null);
+    const message = { type: 'load', version: versionRef.current, internalClients, timeOffRules };
+    if (sentRowsRef.current !== csvData) {
+      message.csvData = csvData;
+      sentRowsRef.current = csvData;
+    }
+    worker.postMessage(message);
+  }, [worker, csvData, internalClients, timeOffRules]);
+
+  // Without worker support the dataset is built synchronously
+  const fallback = useMemo(() => (workersSupported ? null : buildDataset(
+    csvData,
+    createInternalClientMatcher(internalClients),
+    createTimeOffMatcher(timeOffRules)
+  )), [csvData, internalClients, timeOffRules]);
+
+  if (!workersSupported) {
+    return { dataset: fallback, worker: null, error: null };
+  }
+  const { inputs } = loaded;
+  const current = inputs !== null && inputs.csvData === csvData &&
+    inputs.internalClients === internalClients && inputs.timeOffRules === timeOffRules;
+  return { dataset: current ? loaded.dataset : null, worker, error };
+};
+
+// Aggregates for the current filters, computed in the worker against its copy of the
+// dataset. While a query is in flight the previous aggregates stay on screen and pending
+// is true; aggregates is null until the first result for the current dataset.
+export const useAnalytics = ({ worker, dataset, query }) => {
+  const queryIdRef = useRef(0);
+  const datasetRef = useRef(null);
+  const [result, setResult] = useState({ dataset: null, aggregates: null, pending: false });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!worker) return undefined;
+    const handleMessage = ({ data }) => {
+      // Answers to a superseded query are dropped
+      if (data.id !== queryIdRef.current) return;
+      if (data.type === 'result') {
+        setResult({ dataset: datasetRef.current, aggregates: data.aggregates, pending: false });
+      } else if (data.type === 'error') {
+        setError(data.message);
+        setResult(prev => ({ ...prev, pending: false }));
+      }
+    };
+    const handleError = (event) => {
+      setError(event.message || 'Analytics worker stopped unexpectedly');
+      setResult(prev => ({ ...prev, pending: false }));
+    };
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleError);
+    return () => {
+      worker.removeEventListener('message', handleMessage);
+      worker.removeEventListener('error', handleError);
+    };
+  }, [worker]);
+
+  // A new dataset invalidates any query still in flight; nothing is asked until it arrives
+  useEffect(() => {
+    if (!worker) return;
+    queryIdRef.current += 1;
+    datasetRef.current = dataset;
+    if (!dataset) return;
+    setError(null);
+    setResult(prev => ({ ...prev, pending: true }));
+    worker.postMessage({ type: 'query', id: queryIdRef.current, query });
+  }, [worker, dataset, query]);
+
+  // Without worker support the same query runs synchronously
+  const fallback = useMemo(() => (workersSupported || !dataset ? null : runAnalyticsQuery(dataset, query)), [dataset, query]);
+
+  if (!workersSupported) {
+    return { aggregates: fallback, pending: false, error: null };
+  }
+  return {
+    // Row positions in the aggregates refer to the dataset they were computed from
+    aggregates: dataset && result.dataset === dataset ? result.aggregates : null,
+    pending: result.pending,
+    error
+  };
+};
@@ -0,0 +1,20 @@
+import { normalizeBudgets } from '../analytics/budgets';
+
+const STORAGE_KEY = 'harvest-analyzer-budgets';
+
+export const loadBudgets = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizeBudgets(JSON.parse(stored)) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveBudgets = (budgets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(budgets));
+  } catch {
+    // Storage can be full or disabled; budgets still apply for this session
+  }
+};
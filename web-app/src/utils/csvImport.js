@@ -0,0 +1,54 @@
+import * as Papa from 'papaparse';
+import { validateCsvFile } from '../analytics/csvValidation';
+
+// Wrap Papa.parse in a promise so several files can be read together. A file that
+// cannot be read resolves with the error attached so the other files still load.
+export const parseCsvFile = (file) => new Promise((resolve) => {
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: (header) => header.trim(),
+    complete: (results) => resolve({ fileName: file.name, ...results }),
+    error: (error) => resolve({
+      fileName: file.name,
+      data: [],
+      errors: [{ message: error.message || String(error) }],
+      meta: { fields: [] }
+    })
+  });
+});
+
+// Parse and validate files off the main thread, reporting progress as
+// onProgress({ fileName, loaded, total }) in bytes. Resolves with one
+// { fileName, totalRows, diagnostics } per file, in order. Falls back to
+// parsing on the main thread where module workers are unavailable.
+// dateFormat is a DATE_FORMATS id used to read the Date column.
+export const parseCsvFiles = (files, onProgress = () => {}, { dateFormat = 'auto' } = {}) => {
+  if (typeof Worker === 'undefined') {
+    const total = files.reduce((sum, file) => sum + file.size, 0);
+    let loaded = 0;
+    return files.reduce((chain, file) => chain.then(async (results) => {
+      onProgress({ fileName: file.name, loaded, total });
+      const parsed = await parseCsvFile(file);
+      loaded += file.size;
+      return [...results, { fileName: file.name, totalRows: parsed.data.length, diagnostics: validateCsvFile(parsed, { dateFormat }) }];
+    }), Promise.resolve([]));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/csvParser.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data);
+      } else if (data.type === 'done') {
+        worker.terminate();
+        resolve(data.results.map(result => ({ fileName: result.diagnostics.fileName, ...result })));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'CSV parser stopped unexpectedly'));
+    };
+    worker.postMessage({ files, dateFormat });
+  });
+};
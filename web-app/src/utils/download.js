@@ -0,0 +1,15 @@
+// Trigger a browser download for generated content; nothing leaves the machine
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const downloadText = (text, fileName, type = 'text/plain') => {
+  downloadBlob(new Blob([text], { type }), fileName);
+};
@@ -0,0 +1,15 @@
+import * as Papa from 'papaparse';
+import { downloadBlob, downloadText } from './download';
+import { buildXlsx } from './xlsx';
+
+const fileStem = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+export const exportSheetToCsv = (sheet, prefix = 'harvest') => {
+  const csv = Papa.unparse({ fields: sheet.columns, data: sheet.rows });
+  downloadText(csv, `${prefix}-${fileStem(sheet.name)}.csv`, 'text/csv;charset=utf-8');
+};
+
+export const exportSheetsToXlsx = (sheets, fileName = 'harvest-analysis.xlsx') => {
+  const data = buildXlsx(sheets);
+  downloadBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), fileName);
+};
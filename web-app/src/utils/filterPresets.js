@@ -0,0 +1,44 @@
+import { normalizeFilters } from '../analytics/filters';
+
+const PRESETS_STORAGE_KEY = 'harvest-analyzer-filter-presets';
+
+const normalizePreset = (preset) => {
+  if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) return null;
+  return {
+    name: preset.name.trim(),
+    filters: normalizeFilters(preset.filters),
+    dateRange: preset.dateRange && typeof preset.dateRange.preset === 'string'
+      ? {
+        preset: preset.dateRange.preset,
+        anchor: preset.dateRange.anchor === 'data' ? 'data' : 'today',
+        customStart: preset.dateRange.customStart || '',
+        customEnd: preset.dateRange.customEnd || ''
+      }
+      : null
+  };
+};
+
+export const loadFilterPresets = () => {
+  try {
+    const stored = window.localStorage.getItem(PRESETS_STORAGE_KEY);
+    return stored ? JSON.parse(stored).map(normalizePreset).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveFilterPresets = (presets) => {
+  try {
+    window.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  } catch {
+    // Storage can be full or disabled; presets still apply for this session
+  }
+};
+
+// Saving under an existing name replaces that preset
+export const upsertFilterPreset = (presets, preset) => {
+  const normalized = normalizePreset(preset);
+  if (!normalized) return presets;
+  return [...presets.filter(existing => existing.name !== normalized.name), normalized]
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -0,0 +1,19 @@
+const STORAGE_KEY = 'harvest-analyzer-roster';
+
+// An uploaded roster replaces the one derived from the data; an empty list means "derive"
+export const loadRoster = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(name => typeof name === 'string' && name.trim()) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveRoster = (roster) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(roster));
+  } catch {
+    // Storage can be full or disabled; the roster still applies for this session
+  }
+};
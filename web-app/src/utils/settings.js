@@ -0,0 +1,20 @@
+import { DEFAULT_SETTINGS, normalizeSettings } from '../analytics/settings';
+
+const STORAGE_KEY = 'harvest-analyzer-settings';
+
+export const loadSettings = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizeSettings(JSON.parse(stored)) : normalizeSettings(DEFAULT_SETTINGS);
+  } catch {
+    return normalizeSettings(DEFAULT_SETTINGS);
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage can be full or disabled (private browsing); settings still apply for this session
+  }
+};
@@ -0,0 +1,75 @@
+// Fields added by processedData; everything else on a row came from the Harvest export
+const DERIVED_FIELDS = ['Full Name', 'Is Internal', 'Is Time Off', 'Revenue', 'Cost'];
+const BUILTIN_FIELDS = ['Date', 'First Name', 'Last Name', 'Client', 'Project', 'Task', 'Hours', 'Billable?'];
+
+// Harvest columns the built-in grid columns don't already show
+export const getExtraColumns = (rows) => {
+  const known = new Set([...DERIVED_FIELDS, ...BUILTIN_FIELDS]);
+  const extra = [];
+  // Exports share a header, so sampling the start of the data finds every column cheaply
+  rows.slice(0, 1000).forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!known.has(key)) {
+        known.add(key);
+        extra.push(key);
+      }
+    });
+  });
+  return extra;
+};
+
+const compareValues = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a - b;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' || typeof b === 'boolean') return Number(Boolean(a)) - Number(Boolean(b));
+
+  const textA = a === undefined || a === null ? '' : String(a);
+  const textB = b === undefined || b === null ? '' : String(b);
+  const numA = Number(textA);
+  const numB = Number(textB);
+  if (textA !== '' && textB !== '' && !Number.isNaN(numA) && !Number.isNaN(numB)) return numA - numB;
+  return textA.localeCompare(textB, undefined, { sensitivity: 'base' });
+};
+
+export const sortRows = (rows, getValue, direction) => {
+  const factor = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => factor * compareValues(getValue(a), getValue(b)));
+};
+
+// Case-insensitive match of every whitespace-separated term against the given fields
+export const searchRows = (rows, query, fields) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return rows;
+  return rows.filter(row => {
+    const haystack = fields.map(field => row[field] || '').join(' ').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+};
+
+// Flatten rows into group headers (with subtotals) followed by their rows, skipping collapsed groups
+export const groupRows = (rows, getGroupKey, collapsed) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = getGroupKey(row) || '(none)';
+    if (!groups.has(key)) {
+      groups.set(key, { key, hours: 0, billableHours: 0, rows: [] });
+    }
+    const group = groups.get(key);
+    group.hours += row['Hours'];
+    if (row['Billable?'] === 'Yes') {
+      group.billableHours += row['Hours'];
+    }
+    group.rows.push(row);
+  });
+
+  const items = [];
+  Array.from(groups.values())
+    .sort((a, b) => b.hours - a.hours)
+    .forEach(group => {
+      items.push({ type: 'group', key: group.key, hours: group.hours, billableHours: group.billableHours, count: group.rows.length });
+      if (!collapsed.has(group.key)) {
+        group.rows.forEach(row => items.push({ type: 'row', row }));
+      }
+    });
+  return items;
+};
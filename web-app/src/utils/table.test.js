@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { getExtraColumns, sortRows, searchRows, groupRows } from './table';
+
+const row = (overrides = {}) => ({
+  'Date': new Date(2024, 2, 4),
+  'Full Name': 'Ada Lovelace',
+  'Client': 'Acme',
+  'Project': 'Website',
+  'Task': 'Development',
+  'Hours': 2,
+  'Billable?': 'Yes',
+  'Is Internal': false,
+  'Is Time Off': false,
+  'Revenue': 0,
+  'Cost': 0,
+  ...overrides
+});
+
+describe('getExtraColumns', () => {
+  it('lists only the Harvest columns the grid does not already show', () => {
+    expect(getExtraColumns([row({ 'Notes': 'Standup' }), row({ 'Roles': 'Engineer' })])).toEqual(['Notes', 'Roles']);
+  });
+});
+
+describe('sortRows', () => {
+  it('compares numbers, numeric text and booleans by value', () => {
+    const rows = [row({ 'Hours': 10, 'Ref': '9' }), row({ 'Hours': 2, 'Ref': '10', 'Is Internal': true })];
+    expect(sortRows(rows, r => r['Hours'], 'asc').map(r => r['Hours'])).toEqual([2, 10]);
+    expect(sortRows(rows, r => r['Ref'], 'desc').map(r => r['Ref'])).toEqual(['10', '9']);
+    expect(sortRows(rows, r => r['Is Internal'], 'desc')[0]['Is Internal']).toBe(true);
+  });
+});
+
+describe('searchRows', () => {
+  it('needs every term somewhere in the fields, ignoring case', () => {
+    const rows = [row({ 'Notes': 'Fixed login bug' }), row({ 'Client': 'Globex', 'Notes': 'Login page' })];
+    expect(searchRows(rows, 'LOGIN globex', ['Notes', 'Client'])).toEqual([rows[1]]);
+    expect(searchRows(rows, '  ', ['Notes'])).toBe(rows);
+  });
+});
+
+describe('groupRows', () => {
+  it('puts the biggest group first with subtotals and hides collapsed rows', () => {
+    const rows = [row(), row({ 'Client': 'Globex', 'Hours': 5, 'Billable?': 'No' }), row({ 'Hours': 1 })];
+    const items = groupRows(rows, r => r['Client'], new Set(['Acme']));
+    expect(items).toEqual([
+      { type: 'group', key: 'Globex', hours: 5, billableHours: 0, count: 1 },
+      { type: 'row', row: rows[1] },
+      { type: 'group', key: 'Acme', hours: 3, billableHours: 3, count: 2 }
+    ]);
+  });
+});
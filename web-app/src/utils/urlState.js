@@ -0,0 +1,72 @@
+import { FILTER_DIMENSIONS, EMPTY_FILTERS } from '../analytics/filters';
+import { DATE_RANGE_PRESETS } from '../analytics/dateRanges';
+
+// Tabs in the tab bar; the employee and client profiles are opened from names on other tabs
+export const NAV_TABS = ['overview', 'utilization', 'heatmaps', 'internal', 'insights', 'notes', 'budgets', 'compliance', 'anomalies', 'details'];
+const TABS = [...NAV_TABS, 'profile', 'client'];
+
+const DATE_RANGE_IDS = DATE_RANGE_PRESETS.map(preset => preset.id);
+
+// Query-string keys for the view state, with the defaults that are left out of the URL;
+// params with a list of values fall back to the default for anything else
+const URL_PARAMS = {
+  dateRange: { key: 'range', default: 'all', values: DATE_RANGE_IDS },
+  dateAnchor: { key: 'anchor', default: 'today', values: ['today', 'data'] },
+  customStart: { key: 'from', default: '' },
+  customEnd: { key: 'to', default: '' },
+  compareEnabled: { key: 'compare', default: false },
+  comparePreset: { key: 'vs', default: 'previous-period', values: ['previous-period', ...DATE_RANGE_IDS] },
+  compareStart: { key: 'vsFrom', default: '' },
+  compareEnd: { key: 'vsTo', default: '' },
+  tab: { key: 'tab', default: 'overview', values: TABS },
+  profileEmployee: { key: 'person', default: '' },
+  profileClient: { key: 'account', default: '' }
+};
+
+export const DEFAULT_URL_STATE = {
+  ...Object.fromEntries(Object.entries(URL_PARAMS).map(([name, param]) => [name, param.default])),
+  filters: EMPTY_FILTERS
+};
+
+// Multi-select filters repeat their key once per value, e.g. ?employee=Ann&employee=Bob
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULT_URL_STATE };
+  Object.entries(URL_PARAMS).forEach(([name, param]) => {
+    if (!params.has(param.key)) return;
+    const value = params.get(param.key);
+    if (param.values && !param.values.includes(value)) return;
+    state[name] = typeof param.default === 'boolean' ? value === '1' : value;
+  });
+  state.filters = Object.fromEntries(FILTER_DIMENSIONS.map(({ id }) => [id, params.getAll(id)]));
+  return state;
+};
+
+export const serializeUrlState = (state) => {
+  const params = new URLSearchParams();
+  FILTER_DIMENSIONS.forEach(({ id }) => {
+    ((state.filters && state.filters[id]) || []).forEach(value => params.append(id, value));
+  });
+  Object.entries(URL_PARAMS).forEach(([name, param]) => {
+    const value = state[name];
+    if (value === undefined || value === param.default) return;
+    params.set(param.key, typeof param.default === 'boolean' ? (value ? '1' : '0') : value);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+export const readUrlState = () => parseUrlState(window.location.search);
+
+// Push a history entry when the view changes so back/forward walk through filter states;
+// replace is used for the first sync so normalizing a pasted link doesn't add an entry
+export const writeUrlState = (state, replace = false) => {
+  const search = serializeUrlState(state);
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+};
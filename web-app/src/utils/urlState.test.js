@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_URL_STATE, parseUrlState, serializeUrlState } from './urlState';
+
+describe('parseUrlState', () => {
+  it('reads view state and repeated filter values', () => {
+    const state = parseUrlState('?employee=Ann&employee=Bob&range=last-month&anchor=data&compare=1&vs=previous-period&tab=budgets');
+    expect(state).toMatchObject({
+      dateRange: 'last-month',
+      dateAnchor: 'data',
+      compareEnabled: true,
+      comparePreset: 'previous-period',
+      tab: 'budgets'
+    });
+    expect(state.filters.employee).toEqual(['Ann', 'Bob']);
+  });
+
+  it('falls back to the defaults for unknown values', () => {
+    const state = parseUrlState('?range=last-7-days&anchor=tomorrow&vs=next-period&tab=reports');
+    expect(state).toEqual(DEFAULT_URL_STATE);
+  });
+
+  it('accepts the profile tabs that are not in the tab bar', () => {
+    expect(parseUrlState('?tab=profile&person=Ann')).toMatchObject({ tab: 'profile', profileEmployee: 'Ann' });
+  });
+
+  it('round-trips through serializeUrlState', () => {
+    const search = '?client=Acme&range=custom&from=2024-01-01&to=2024-03-31&tab=insights';
+    expect(serializeUrlState(parseUrlState(search))).toBe(search);
+  });
+});
@@ -0,0 +1,162 @@
+import { formatDate, parseCalendarDate } from '../analytics/dates';
+import { ROW_DATE_FORMAT } from '../analytics/csvValidation';
+
+// Opt-in local workspace: parsed datasets are kept in this browser's IndexedDB and never leave it.
+// Listing only reads the small metadata store; rows live in a separate store and load on demand.
+const DB_NAME = 'harvest-analyzer-workspace';
+const DB_VERSION = 1;
+const META_STORE = 'datasets';
+const DATA_STORE = 'payloads';
+
+const PBKDF2_ITERATIONS = 250000;
+
+export const isWorkspaceSupported = () => typeof window !== 'undefined' && 'indexedDB' in window;
+
+export const isEncryptionSupported = () => typeof window !== 'undefined' && Boolean(window.crypto && window.crypto.subtle);
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs fn against the named stores inside one transaction and resolves once it commits
+const withStores = async (mode, storeNames, fn) => {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(storeNames, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Workspace transaction aborted'));
+    });
+    const result = await fn(...storeNames.map(name => transaction.objectStore(name)));
+    await done;
+    return result;
+  } finally {
+    db.close();
+  }
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return window.btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(window.atob(text), char => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptPayload = async (payload, passphrase) => {
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+  const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { salt: toBase64(salt), iv: toBase64(iv), ciphertext: new Uint8Array(ciphertext) };
+};
+
+const decryptPayload = async (encrypted, passphrase) => {
+  const key = await deriveKey(passphrase, fromBase64(encrypted.salt));
+  try {
+    const plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, key, encrypted.ciphertext);
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+};
+
+// Import diagnostics carry a copy of every valid row; the merged rows are stored once instead
+const stripFileReports = (files) => files.map(file => ({
+  ...file,
+  diagnostics: file.diagnostics ? { ...file.diagnostics, validRows: [] } : file.diagnostics
+}));
+
+const summarizeRows = (rows) => {
+  let start = null;
+  let end = null;
+  rows.forEach(row => {
+    const date = parseCalendarDate(row['Date'], ROW_DATE_FORMAT);
+    if (!date) return;
+    if (!start || date < start) start = date;
+    if (!end || date > end) end = date;
+  });
+  return {
+    rowCount: rows.length,
+    dateStart: start ? formatDate(start, ROW_DATE_FORMAT) : null,
+    dateEnd: end ? formatDate(end, ROW_DATE_FORMAT) : null
+  };
+};
+
+const createId = () => (
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+export const listDatasets = () => withStores('readonly', [META_STORE], async (store) => {
+  const datasets = await promisify(store.getAll());
+  return datasets.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+});
+
+// Saves rows and file reports; with a passphrase the payload is AES-GCM encrypted before it is stored
+export const saveDataset = async ({ name, rows, files, passphrase }) => {
+  if (passphrase && !isEncryptionSupported()) {
+    throw new Error('Encryption requires a secure (https) context');
+  }
+  const payload = { rows, files: stripFileReports(files) };
+  const data = passphrase ? await encryptPayload(payload, passphrase) : payload;
+  const meta = {
+    id: createId(),
+    name: name.trim() || 'Untitled dataset',
+    savedAt: new Date().toISOString(),
+    fileNames: files.map(file => file.fileName),
+    encrypted: Boolean(passphrase),
+    ...summarizeRows(rows)
+  };
+
+  await withStores('readwrite', [META_STORE, DATA_STORE], async (metaStore, dataStore) => {
+    metaStore.put(meta);
+    dataStore.put({ id: meta.id, data });
+  });
+  return meta;
+};
+
+export const loadDataset = async (meta, passphrase) => {
+  const record = await withStores('readonly', [DATA_STORE], (store) => promisify(store.get(meta.id)));
+  if (!record) {
+    throw new Error(`Dataset "${meta.name}" is no longer in the workspace`);
+  }
+  if (!meta.encrypted) return record.data;
+  if (!passphrase) {
+    throw new Error('This dataset is encrypted; enter its passphrase');
+  }
+  return decryptPayload(record.data, passphrase);
+};
+
+export const deleteDataset = (id) => withStores('readwrite', [META_STORE, DATA_STORE], async (metaStore, dataStore) => {
+  metaStore.delete(id);
+  dataStore.delete(id);
+});
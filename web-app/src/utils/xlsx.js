@@ -0,0 +1,172 @@
+// Minimal XLSX writer for the { name, columns, rows } sheets the exports produce: one
+// worksheet per sheet with a header row, numbers as numbers and everything else as inline
+// text. The workbook parts go into an uncompressed ZIP, which is all Excel, Numbers and
+// LibreOffice need to open it.
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const PACKAGE_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const OFFICE_RELS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const SHEET_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Stored (method 0) entries with a fixed 1980-01-01 timestamp, so the same sheets always
+// produce the same bytes
+const buildZip = (files) => {
+  const encoder = new TextEncoder();
+  const entries = files.map(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    return { nameBytes, data, crc: crc32(data) };
+  });
+  const localSize = entries.reduce((sum, { nameBytes, data }) => sum + 30 + nameBytes.length + data.length, 0);
+  const centralSize = entries.reduce((sum, { nameBytes }) => sum + 46 + nameBytes.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+
+  const writeHeader = (offset, signature, entry, central, localOffset) => {
+    let at = offset;
+    view.setUint32(at, signature, true);
+    at += 4;
+    if (central) {
+      view.setUint16(at, 20, true); // version made by
+      at += 2;
+    }
+    view.setUint16(at, 20, true); // version needed to extract
+    view.setUint16(at + 2, 0x0800, true); // names are UTF-8
+    view.setUint16(at + 4, 0, true); // stored
+    view.setUint16(at + 6, 0, true); // time
+    view.setUint16(at + 8, 0x21, true); // date: 1980-01-01
+    view.setUint32(at + 10, entry.crc, true);
+    view.setUint32(at + 14, entry.data.length, true);
+    view.setUint32(at + 18, entry.data.length, true);
+    view.setUint16(at + 22, entry.nameBytes.length, true);
+    view.setUint16(at + 24, 0, true); // extra field length
+    at += 26;
+    if (central) {
+      // comment length, disk number, internal and external attributes stay 0
+      view.setUint32(at + 10, localOffset, true);
+      at += 14;
+    }
+    bytes.set(entry.nameBytes, at);
+    return at + entry.nameBytes.length;
+  };
+
+  let offset = 0;
+  const offsets = entries.map(entry => {
+    const start = offset;
+    offset = writeHeader(offset, 0x04034b50, entry, false);
+    bytes.set(entry.data, offset);
+    offset += entry.data.length;
+    return start;
+  });
+  const centralStart = offset;
+  entries.forEach((entry, i) => {
+    offset = writeHeader(offset, 0x02014b50, entry, true, offsets[i]);
+  });
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return bytes;
+};
+
+// Drops the control characters XML 1.0 does not allow, then escapes markup
+const escapeXml = (value) => String(value)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const buildCell = (value, ref) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+  }
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const buildWorksheet = ({ columns, rows }) => {
+  const sheetRows = [columns, ...rows].map((cells, r) => (
+    `<row r="${r + 1}">${cells.map((value, c) => buildCell(value, `${columnName(c)}${r + 1}`)).join('')}</row>`
+  ));
+  return XML_HEADER +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+};
+
+// Excel limits sheet names to 31 characters, forbids []:*?/\ and needs them unique
+export const toSheetNames = (names) => {
+  const used = new Set();
+  return names.map((name, i) => {
+    const base = String(name).replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet${i + 1}`;
+    let candidate = base.slice(0, 31).trim();
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      candidate = base.slice(0, 31 - suffix.length).trim() + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+// Returns the .xlsx file as bytes
+export const buildXlsx = (sheets) => {
+  const names = toSheetNames(sheets.map(sheet => sheet.name));
+  const sheetFiles = sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildWorksheet(sheet) }));
+
+  const contentTypes = XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    sheetFiles.map(({ name }) => `<Override PartName="/${name}" ContentType="${SHEET_TYPE}"/>`).join('') +
+    '</Types>';
+  const rootRels = XML_HEADER +
+    `<Relationships xmlns="${PACKAGE_RELS}">` +
+    `<Relationship Id="rId1" Type="${OFFICE_RELS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+  const workbook = XML_HEADER +
+    `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${OFFICE_RELS}"><sheets>` +
+    names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+    '</sheets></workbook>';
+  const workbookRels = XML_HEADER +
+    `<Relationships xmlns="${PACKAGE_RELS}">` +
+    sheetFiles.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${OFFICE_RELS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+    '</Relationships>';
+
+  return buildZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    ...sheetFiles
+  ]);
+};
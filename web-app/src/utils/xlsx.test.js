@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { buildXlsx, crc32, columnName, toSheetNames } from './xlsx';
+
+const decoder = new TextDecoder();
+
+// Reads the stored entries back through the ZIP central directory
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const files = {};
+  let at = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const size = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const local = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + size);
+    expect(crc32(data)).toBe(view.getUint32(at + 16, true));
+    files[name] = decoder.decode(data);
+    at += 46 + nameLength;
+  }
+  return files;
+};
+
+describe('buildXlsx', () => {
+  it('packs a workbook with one worksheet per sheet', () => {
+    const files = readZip(buildXlsx([
+      { name: 'Clients', columns: ['Client', 'Hours'], rows: [['Acme & Sons', 12.5], ['<Globex>', 0]] },
+      { name: 'Weekly', columns: ['Week'], rows: [] }
+    ]));
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Clients" sheetId="1" r:id="rId1"/><sheet name="Weekly" sheetId="2" r:id="rId2"/>');
+    expect(files['[Content_Types].xml']).toContain('PartName="/xl/worksheets/sheet2.xml"');
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Acme &amp; Sons</t></is></c><c r="B2"><v>12.5</v></c>');
+    expect(sheet).toContain('&lt;Globex&gt;');
+    expect(sheet).toContain('<c r="B3"><v>0</v></c>');
+  });
+
+  it('leaves empty and non-finite values out', () => {
+    const files = readZip(buildXlsx([{ name: 'Test', columns: ['A', 'B', 'C'], rows: [[null, '', NaN]] }]));
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<row r="2"></row>');
+  });
+});
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+});
+
+describe('columnName', () => {
+  it('counts columns like a spreadsheet', () => {
+    expect([0, 25, 26, 51, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'AZ', 'ZZ', 'AAA']);
+  });
+});
+
+describe('toSheetNames', () => {
+  it('shortens, cleans and de-duplicates names', () => {
+    expect(toSheetNames(['Internal Attribution by Client and Project', 'Q1/Q2', 'q1 q2', ''])).toEqual([
+      'Internal Attribution by Client',
+      'Q1 Q2',
+      'q1 q2 (2)',
+      'Sheet4'
+    ]);
+  });
+});
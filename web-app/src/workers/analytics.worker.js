@@ -0,0 +1,46 @@
+import { buildDataset } from '../analytics/dataset';
+import { runAnalyticsQuery } from '../analytics/query';
+import { createInternalClientMatcher, createTimeOffMatcher } from '../analytics/settings';
+
+// Builds the dataset, posts a copy back to the UI and keeps its own to answer aggregate
+// queries. Queries that arrive while one is running are coalesced: only the newest is answered.
+let csvData = [];
+let dataset = null;
+let pendingQuery = null;
+let scheduled = false;
+
+const runPendingQuery = () => {
+  scheduled = false;
+  if (!pendingQuery || !dataset) return;
+  const { id, query } = pendingQuery;
+  pendingQuery = null;
+  try {
+    self.postMessage({ type: 'result', id, aggregates: runAnalyticsQuery(dataset, query) });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message || String(error) });
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') {
+    // Parsed rows only come along when they changed; rule changes rebuild from the kept copy
+    if (data.csvData) csvData = data.csvData;
+    dataset = null;
+    try {
+      dataset = buildDataset(
+        csvData,
+        createInternalClientMatcher(data.internalClients),
+        createTimeOffMatcher(data.timeOffRules)
+      );
+      self.postMessage({ type: 'loaded', version: data.version, dataset });
+    } catch (error) {
+      self.postMessage({ type: 'load-error', version: data.version, message: error.message || String(error) });
+    }
+  } else if (data.type === 'query') {
+    pendingQuery = data;
+    if (!scheduled) {
+      scheduled = true;
+      setTimeout(runPendingQuery, 0);
+    }
+  }
+};
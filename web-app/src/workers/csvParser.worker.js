@@ -0,0 +1,51 @@
+import * as Papa from 'papaparse';
+import { validateCsvFile } from '../analytics/csvValidation';
+
+const CHUNK_SIZE = 1024 * 1024;
+
+// Stream one file through Papa in chunks, reporting bytes read as it goes
+const parseInChunks = (file, onProgress) => new Promise((resolve) => {
+  const data = [];
+  const errors = [];
+  let meta = { fields: [] };
+
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: (header) => header.trim(),
+    chunkSize: CHUNK_SIZE,
+    chunk: (results) => {
+      // Chunk error rows are relative to the chunk; make them relative to the file
+      results.errors.forEach(error => errors.push(
+        error.row !== undefined ? { ...error, row: error.row + data.length } : error
+      ));
+      for (let i = 0; i < results.data.length; i++) data.push(results.data[i]);
+      if (results.meta.fields) meta = results.meta;
+      onProgress(results.meta.cursor);
+    },
+    complete: () => resolve({ fileName: file.name, data, errors, meta }),
+    error: (error) => resolve({
+      fileName: file.name,
+      data: [],
+      errors: [{ message: error.message || String(error) }],
+      meta: { fields: [] }
+    })
+  });
+});
+
+// Parses and validates files one after another; only the validated rows are posted back
+self.onmessage = async ({ data: { files, dateFormat } }) => {
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  let done = 0;
+  const results = [];
+
+  for (const file of files) {
+    const parsed = await parseInChunks(file, (cursor) => {
+      self.postMessage({ type: 'progress', fileName: file.name, loaded: done + cursor, total });
+    });
+    done += file.size;
+    results.push({ totalRows: parsed.data.length, diagnostics: validateCsvFile(parsed, { dateFormat }) });
+  }
+
+  self.postMessage({ type: 'done', results });
+};
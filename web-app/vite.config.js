@@ -19,5 +19,9 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true
+  },
+  test: {
+    include: ['src/**/*.test.js'],
+    globalSetup: ['vitest.setup.js']
   }
 })
\ No newline at end of file
@@ -0,0 +1,5 @@
+// Vitest global setup: pin the suite to a zone with daylight saving so week and day
+// arithmetic is exercised across transitions. It runs before the test workers start.
+export default function setup() {
+  process.env.TZ = 'America/New_York';
+}